@@ -4,14 +4,39 @@
  */
 
 import { CONFIG, AppState } from './config.js';
-import { initPdfJs, loadPdfFromBuffer, loadPdfFromUrl, renderAudienceSlide, renderNotesArea } from './pdf-renderer.js';
-import { openAudienceWindow, sendNavigateToAudience, sendPointerToAudience, setupPresenterMessageListener, isAudienceConnected } from './sync.js';
-import { startClock, startTimer, pauseTimer, resetTimer, toggleTimer, getTimerState } from './timer.js';
+import { initPdfJs, loadPdfFromBuffer, loadPdfFromUrl, renderAudienceSlide, renderNotesArea, getPresenterScale } from './pdf-renderer.js';
+import { clearRenderCache, setRenderFocus, prefetchPages, recordSlideChange, isRenderCancelled, getRenderMetrics } from './render-scheduler.js';
+import { initPresenterSync, openAudienceWindow, sendStateToAudience, sendNavigateToAudience, sendModeToAudience, sendPointerToAudience, sendZoomToAudience, sendTimerWarningToAudience, sendFullscreenRequestToAudience, setupPresenterMessageListener, startHeartbeat, getOutputHealth, sendOutputConfig, closeOutputWindow, setAudienceMirror } from './sync.js';
+import { loadOutputs, getOutputs, addOutput, removeOutput, renderOutputList } from './outputs.js';
+import { getFrame, getPageLabel, getNextFramePage, getPrevFramePage, hasOverlays } from './frames.js';
+import { isPdfpcFile, parsePdfpc, applyPdfpc } from './pdfpc.js';
+import { detectNotesLayout } from './layout.js';
+import { restoreTransitionSettings } from './transitions.js';
+import { initPanelResizer } from './resizer.js';
+import { registerShortcutHandlers, runShortcut, getShortcutAction, getComboFromEvent, findConflict, bindShortcut, unbindShortcut, resetShortcuts, getActionLabel, formatCombo, renderShortcutList } from './shortcuts.js';
+import { getTextNotes, clearNotes } from './notes.js';
+import { drawStrokes, alignOverlay, getPageStrokes, isStrokeActive, beginStroke, extendStroke, endStroke, eraseAt, clearPageDrawing, sendAllDrawings } from './drawing.js';
+import { applyPointerStyle, getZoomRect } from './pointer.js';
+import { showPresenterMedia, resetPresenterMedia, setMediaFolder, sendCurrentMedia } from './media.js';
+import { initOverview, isOverviewOpen, toggleOverview, closeOverview, resetOverview, handleOverviewKey } from './overview.js';
+import { startClock, startTimer, pauseTimer, resetTimer, toggleTimer, getTimerState, getElapsedTime, updateTimerDisplay, onTimerThreshold, onTimerTick, recordPageEntry, getScheduleStatus, formatTime, getCurrentTimerLevel, restoreTimer } from './timer.js';
+import { isRehearsing, startRehearsal, finishRehearsal, getStoredRehearsals, rehearsalToBudgets, rehearsalToCsv, rehearsalToJson, renderRehearsalReport } from './rehearsal.js';
+import { isBudgetFile, parseBudgetFile } from './schedule.js';
+import { sendToViewers, sendPdfToViewers } from './mirror.js';
+import { addToLibrary, updateLibraryEntry, clearLibraryEntry, getSavedDeckSettings, getLibraryEntries, loadLibraryPdf, removeFromLibrary, renderLibrary } from './library.js';
+import { saveSessionPdf, loadSessionPdf, getSavedSession, startSessionAutosave, clearSession, restoreSessionState } from './session.js';
+import { getJoinCode, getRelayUrl, getRemotePageUrl, getViewerPageUrl, getRemoteStatus, getClientCounts, startRemoteControl, stopRemoteControl, sendRemoteStatus, sendRemoteTimer, snapshotCanvas } from './remote.js';
 
 // DOM Elements
 const elements = {
     // Start screen
     startScreen: null,
+    resumeSection: null,
+    resumeDetails: null,
+    resumeBtn: null,
+    resumeDiscardBtn: null,
+    librarySection: null,
+    libraryList: null,
     dropZone: null,
     fileInput: null,
     urlInput: null,
@@ -22,44 +47,140 @@ const elements = {
     splitInput: null,
     scaleInput: null,
     nextPreviewCheckbox: null,
+    nextPreviewModeSelect: null,
+    outlineNotesCheckbox: null,
+    timerModeSelect: null,
+    durationInput: null,
+    endTimeInput: null,
+    warningInput: null,
+    criticalInput: null,
+    timerFlashCheckbox: null,
+    budgetModeSelect: null,
 
     // Presenter screen
     presenterScreen: null,
     homeBtn: null,
+    pageInfo: null,
     pageCurrent: null,
     pageTotal: null,
+    pageOverlay: null,
     prevBtn: null,
     nextBtn: null,
     jumpInput: null,
+    overviewBtn: null,
     clockDisplay: null,
     timerDisplay: null,
     timerStartBtn: null,
     timerResetBtn: null,
+    rehearseBtn: null,
+    scheduleIndicator: null,
 
     // Preview panels
     currentPreview: null,
     currentPreviewWrapper: null,
     presenterPointer: null,
+    drawingCanvas: null,
+    drawingToolBtns: null,
+    pointerModeBtns: null,
+    zoomSelection: null,
+    drawingColorInput: null,
+    clearDrawingBtn: null,
+    mediaLayer: null,
+    mediaFolderBtn: null,
+    mediaFolderInput: null,
+    displayModeOverlay: null,
     nextPreview: null,
     nextPreviewSection: null,
+    nextPreviewTitle: null,
+    presenterMain: null,
+    panelResizer: null,
+    previewPanel: null,
+    notesPanel: null,
     notesCanvas: null,
+    notesText: null,
+    notesOutline: null,
+    notesTextBody: null,
+    notesZoomInBtn: null,
+    notesZoomOutBtn: null,
+    pdfpcInput: null,
+    loadPdfpcBtn: null,
 
     // Bottom bar
-    connectionStatus: null,
+    outputStatusList: null,
+    outputsBtn: null,
     openAudienceBtn: null,
+    blackBtn: null,
+    whiteBtn: null,
     fullscreenBtn: null,
 
     // Overlays
+    rehearsalModal: null,
+    rehearsalReport: null,
+    rehearsalCsvBtn: null,
+    rehearsalJsonBtn: null,
+    rehearsalBudgetBtn: null,
+    rehearsalCloseBtn: null,
+    outputsModal: null,
+    outputsList: null,
+    outputPresetSelect: null,
+    addOutputBtn: null,
+    outputsCloseBtn: null,
+    remoteBtn: null,
+    remoteModal: null,
+    remoteCloseBtn: null,
+    relayUrlInput: null,
+    remoteCode: null,
+    remoteLink: null,
+    viewerLink: null,
+    remoteStatus: null,
+    remoteConnectBtn: null,
+    layoutBtn: null,
+    layoutDrawer: null,
+    layoutCloseBtn: null,
+    layoutLocationSelect: null,
+    layoutSplitInput: null,
+    layoutSplitValue: null,
+    layoutScaleInput: null,
+    layoutScaleValue: null,
+    layoutNextPreviewCheckbox: null,
+    layoutTransitionSelect: null,
+    layoutTransitionDurationInput: null,
+    layoutTransitionDurationValue: null,
+    layoutFadeOutInput: null,
+    layoutFadeInInput: null,
+    shortcutsBtn: null,
+    shortcutsModal: null,
+    shortcutsList: null,
+    shortcutsResetBtn: null,
+    shortcutsCloseBtn: null,
+    overviewOverlay: null,
+    overviewGrid: null,
     loadingOverlay: null,
     toast: null,
 };
 
+// pdfpc sidecar and timings file waiting for their PDF
+let pendingSidecar = null;
+let pendingBudgetText = null;
+
+// Action waiting for a key press in the shortcut help (rebinding)
+let capturingShortcut = null;
+
+// Result of the last finished rehearsal (for export)
+let lastRehearsal = null;
+
 /**
  * Initialize DOM element references
  */
 function initElements() {
     // Start screen
     elements.startScreen = document.getElementById('start-screen');
+    elements.resumeSection = document.getElementById('resume-section');
+    elements.resumeDetails = document.getElementById('resume-details');
+    elements.resumeBtn = document.getElementById('resume-btn');
+    elements.resumeDiscardBtn = document.getElementById('resume-discard-btn');
+    elements.librarySection = document.getElementById('library-section');
+    elements.libraryList = document.getElementById('library-list');
     elements.dropZone = document.getElementById('drop-zone');
     elements.fileInput = document.getElementById('file-input');
     elements.urlInput = document.getElementById('url-input');
@@ -70,34 +191,114 @@ function initElements() {
     elements.splitInput = document.getElementById('split-input');
     elements.scaleInput = document.getElementById('scale-input');
     elements.nextPreviewCheckbox = document.getElementById('next-preview-checkbox');
+    elements.nextPreviewModeSelect = document.getElementById('next-preview-mode-select');
+    elements.outlineNotesCheckbox = document.getElementById('outline-notes-checkbox');
+    elements.timerModeSelect = document.getElementById('timer-mode-select');
+    elements.durationInput = document.getElementById('duration-input');
+    elements.endTimeInput = document.getElementById('end-time-input');
+    elements.warningInput = document.getElementById('warning-input');
+    elements.criticalInput = document.getElementById('critical-input');
+    elements.timerFlashCheckbox = document.getElementById('timer-flash-checkbox');
+    elements.budgetModeSelect = document.getElementById('budget-mode-select');
 
     // Presenter screen
     elements.presenterScreen = document.getElementById('presenter-screen');
     elements.homeBtn = document.getElementById('home-btn');
+    elements.pageInfo = document.getElementById('page-info');
     elements.pageCurrent = document.getElementById('page-current');
     elements.pageTotal = document.getElementById('page-total');
+    elements.pageOverlay = document.getElementById('page-overlay');
     elements.prevBtn = document.getElementById('prev-btn');
     elements.nextBtn = document.getElementById('next-btn');
     elements.jumpInput = document.getElementById('jump-input');
+    elements.overviewBtn = document.getElementById('overview-btn');
     elements.clockDisplay = document.getElementById('clock-display');
     elements.timerDisplay = document.getElementById('timer-display');
     elements.timerStartBtn = document.getElementById('timer-start-btn');
     elements.timerResetBtn = document.getElementById('timer-reset-btn');
+    elements.rehearseBtn = document.getElementById('rehearse-btn');
+    elements.scheduleIndicator = document.getElementById('schedule-indicator');
 
     // Preview panels
     elements.currentPreview = document.getElementById('current-preview');
     elements.currentPreviewWrapper = document.getElementById('current-preview-wrapper');
     elements.presenterPointer = document.getElementById('presenter-pointer');
+    elements.drawingCanvas = document.getElementById('drawing-canvas');
+    elements.drawingToolBtns = document.querySelectorAll('.drawing-tools [data-tool]');
+    elements.pointerModeBtns = document.querySelectorAll('.drawing-tools [data-pointer]');
+    elements.zoomSelection = document.getElementById('zoom-selection');
+    elements.drawingColorInput = document.getElementById('drawing-color-input');
+    elements.clearDrawingBtn = document.getElementById('clear-drawing-btn');
+    elements.mediaLayer = document.getElementById('media-layer');
+    elements.mediaFolderBtn = document.getElementById('media-folder-btn');
+    elements.mediaFolderInput = document.getElementById('media-folder-input');
+    elements.displayModeOverlay = document.getElementById('display-mode-overlay');
     elements.nextPreview = document.getElementById('next-preview');
     elements.nextPreviewSection = document.getElementById('next-preview-section');
+    elements.nextPreviewTitle = document.getElementById('next-preview-title');
+    elements.presenterMain = document.getElementById('presenter-main');
+    elements.panelResizer = document.getElementById('panel-resizer');
+    elements.previewPanel = document.getElementById('preview-panel');
+    elements.notesPanel = document.getElementById('notes-panel');
     elements.notesCanvas = document.getElementById('notes-canvas');
+    elements.notesText = document.getElementById('notes-text');
+    elements.notesOutline = document.getElementById('notes-outline');
+    elements.notesTextBody = document.getElementById('notes-text-body');
+    elements.notesZoomInBtn = document.getElementById('notes-zoom-in-btn');
+    elements.notesZoomOutBtn = document.getElementById('notes-zoom-out-btn');
+    elements.pdfpcInput = document.getElementById('pdfpc-input');
+    elements.loadPdfpcBtn = document.getElementById('load-pdfpc-btn');
 
     // Bottom bar
-    elements.connectionStatus = document.getElementById('connection-status');
+    elements.outputStatusList = document.getElementById('output-status-list');
+    elements.outputsBtn = document.getElementById('outputs-btn');
     elements.openAudienceBtn = document.getElementById('open-audience-btn');
+    elements.blackBtn = document.getElementById('black-btn');
+    elements.whiteBtn = document.getElementById('white-btn');
     elements.fullscreenBtn = document.getElementById('fullscreen-btn');
 
     // Overlays
+    elements.rehearsalModal = document.getElementById('rehearsal-modal');
+    elements.rehearsalReport = document.getElementById('rehearsal-report');
+    elements.rehearsalCsvBtn = document.getElementById('rehearsal-csv-btn');
+    elements.rehearsalJsonBtn = document.getElementById('rehearsal-json-btn');
+    elements.rehearsalBudgetBtn = document.getElementById('rehearsal-budget-btn');
+    elements.rehearsalCloseBtn = document.getElementById('rehearsal-close-btn');
+    elements.outputsModal = document.getElementById('outputs-modal');
+    elements.outputsList = document.getElementById('outputs-list');
+    elements.outputPresetSelect = document.getElementById('output-preset-select');
+    elements.addOutputBtn = document.getElementById('add-output-btn');
+    elements.outputsCloseBtn = document.getElementById('outputs-close-btn');
+    elements.remoteBtn = document.getElementById('remote-btn');
+    elements.remoteModal = document.getElementById('remote-modal');
+    elements.remoteCloseBtn = document.getElementById('remote-close-btn');
+    elements.relayUrlInput = document.getElementById('relay-url-input');
+    elements.remoteCode = document.getElementById('remote-code');
+    elements.remoteLink = document.getElementById('remote-link');
+    elements.viewerLink = document.getElementById('viewer-link');
+    elements.remoteStatus = document.getElementById('remote-status');
+    elements.remoteConnectBtn = document.getElementById('remote-connect-btn');
+    elements.layoutBtn = document.getElementById('layout-btn');
+    elements.layoutDrawer = document.getElementById('layout-drawer');
+    elements.layoutCloseBtn = document.getElementById('layout-close-btn');
+    elements.layoutLocationSelect = document.getElementById('layout-location-select');
+    elements.layoutSplitInput = document.getElementById('layout-split-input');
+    elements.layoutSplitValue = document.getElementById('layout-split-value');
+    elements.layoutScaleInput = document.getElementById('layout-scale-input');
+    elements.layoutScaleValue = document.getElementById('layout-scale-value');
+    elements.layoutNextPreviewCheckbox = document.getElementById('layout-next-preview-checkbox');
+    elements.layoutTransitionSelect = document.getElementById('layout-transition-select');
+    elements.layoutTransitionDurationInput = document.getElementById('layout-transition-duration-input');
+    elements.layoutTransitionDurationValue = document.getElementById('layout-transition-duration-value');
+    elements.layoutFadeOutInput = document.getElementById('layout-fade-out-input');
+    elements.layoutFadeInInput = document.getElementById('layout-fade-in-input');
+    elements.shortcutsBtn = document.getElementById('shortcuts-btn');
+    elements.shortcutsModal = document.getElementById('shortcuts-modal');
+    elements.shortcutsList = document.getElementById('shortcuts-list');
+    elements.shortcutsResetBtn = document.getElementById('shortcuts-reset-btn');
+    elements.shortcutsCloseBtn = document.getElementById('shortcuts-close-btn');
+    elements.overviewOverlay = document.getElementById('overview-overlay');
+    elements.overviewGrid = document.getElementById('overview-grid');
     elements.loadingOverlay = document.getElementById('loading-overlay');
     elements.toast = document.getElementById('toast');
 }
@@ -134,8 +335,20 @@ function setLoading(show, text = 'Loading...') {
  * Update page display
  */
 function updatePageDisplay() {
-    elements.pageCurrent.textContent = AppState.currentPage;
-    elements.pageTotal.textContent = AppState.totalPages;
+    const page = AppState.currentPage;
+
+    elements.pageCurrent.textContent = getPageLabel(page);
+    elements.pageTotal.textContent = getPageLabel(AppState.totalPages);
+    elements.pageInfo.title = `Page ${page} of ${AppState.totalPages}`;
+
+    // Overlay step within the current Beamer frame
+    const frame = getFrame(page);
+    if (hasOverlays() && frame && frame.end > frame.start) {
+        elements.pageOverlay.textContent = `${page - frame.start + 1}/${frame.end - frame.start + 1}`;
+        elements.pageOverlay.classList.remove('hidden');
+    } else {
+        elements.pageOverlay.classList.add('hidden');
+    }
 
     // Update button states
     elements.prevBtn.disabled = AppState.currentPage <= 1;
@@ -143,18 +356,415 @@ function updatePageDisplay() {
 }
 
 /**
- * Update connection status display
+ * Get connection status text of an output (latency or last seen)
+ * @param {object} output
+ * @returns {string}
+ */
+function getOutputStatusText(output) {
+    const { status, latency, lastSeen } = getOutputHealth(output);
+
+    if (status === 'connected') {
+        return latency !== null ? `${latency} ms` : 'Connected';
+    }
+    if (status === 'unresponsive') {
+        return `No response, last seen ${Math.round((Date.now() - lastSeen) / 1000)} s ago`;
+    }
+    return 'Not connected';
+}
+
+/**
+ * Update connection status display (one badge per output)
  */
 function updateConnectionStatus() {
-    const connected = isAudienceConnected();
+    const BADGE_CLASSES = {
+        connected: 'connected',
+        unresponsive: 'waiting',
+        disconnected: 'disconnected',
+    };
+
+    elements.outputStatusList.innerHTML = '';
+
+    getOutputs().forEach((output) => {
+        const { status } = getOutputHealth(output);
+
+        const badge = document.createElement('span');
+        badge.className = `status-badge ${BADGE_CLASSES[status]}`;
+        badge.textContent = output.name;
+        badge.title = getOutputStatusText(output);
+
+        const health = document.createElement('span');
+        health.className = 'connection-health text-xs text-muted';
+        health.textContent = status === 'disconnected' ? '' : getOutputStatusText(output);
+
+        elements.outputStatusList.append(badge, health);
+    });
+
+    const mainStatus = getOutputHealth(getOutputs()[0]).status;
+    elements.openAudienceBtn.textContent = mainStatus === 'disconnected' ? 'Open Audience' : 'Reconnect';
+}
+
+/**
+ * Render outputs dialog list
+ */
+function renderOutputsDialog() {
+    renderOutputList(elements.outputsList, getOutputStatusText, {
+        onOpen: (output) => {
+            openAudienceWindow(output);
+            setTimeout(renderOutputsDialog, 1000);
+        },
+        onChange: (output) => {
+            sendOutputConfig(output);
+            updateConnectionStatus();
+        },
+        onRemove: (output) => {
+            closeOutputWindow(output);
+            removeOutput(output.id);
+            renderOutputsDialog();
+            updateConnectionStatus();
+        },
+    });
+}
+
+/**
+ * Update text notes for the current page
+ * Text notes replace the notes image when the deck has no notes region.
+ */
+async function updateTextNotes() {
+    const page = AppState.currentPage;
+    const { outline, notes } = await getTextNotes(page);
+
+    // Navigated away while reading annotations
+    if (page !== AppState.currentPage) {
+        return;
+    }
+
+    const textOnly = AppState.location === 'none';
+    elements.notesPanel.classList.toggle('text-only', textOnly);
+
+    elements.notesOutline.textContent = outline.join(' › ');
+    elements.notesOutline.classList.toggle('hidden', outline.length === 0);
+    elements.notesTextBody.textContent = notes.join('\n\n');
+
+    elements.notesText.style.fontSize = `${AppState.noteFontSize}px`;
+    elements.notesText.classList.toggle('hidden', !textOnly && notes.length === 0 && outline.length === 0);
+}
+
+/**
+ * Change text notes font size
+ * @param {number} delta - Change in pixels
+ */
+function zoomTextNotes(delta) {
+    AppState.noteFontSize = Math.min(48, Math.max(10, AppState.noteFontSize + delta));
+    elements.notesText.style.fontSize = `${AppState.noteFontSize}px`;
+}
+
+/**
+ * Update ahead/behind schedule indicator
+ */
+function updateScheduleIndicator() {
+    const status = getScheduleStatus();
+    const indicator = elements.scheduleIndicator;
+
+    indicator.classList.toggle('hidden', status === null);
+    if (status === null) {
+        return;
+    }
+
+    const seconds = Math.round(status.delta / 1000);
+    indicator.classList.toggle('behind', seconds > 0);
+    indicator.classList.toggle('ahead', seconds < 0);
+
+    if (seconds > 0) {
+        indicator.textContent = `${formatTime(status.delta)} behind`;
+    } else if (seconds < 0) {
+        indicator.textContent = `${formatTime(-status.delta)} ahead`;
+    } else {
+        indicator.textContent = 'On time';
+    }
+
+    indicator.title = `This slide: ${formatTime(status.slideElapsed)} of ${formatTime(status.slideBudget)} planned`;
+}
+
+/**
+ * Save text as a file download
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} mimeType
+ */
+function downloadText(fileName, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Get base name for exported files
+ * @returns {string}
+ */
+function getExportBaseName() {
+    const name = (AppState.deckName || 'presentation').split(/[/?#]/).filter(Boolean).pop() || 'presentation';
+    return name.replace(/\.pdf$/i, '');
+}
+
+/**
+ * Start or stop recording a rehearsal
+ * Starting resets the timer; stopping pauses it and shows the report.
+ */
+function toggleRehearsal() {
+    if (isRehearsing()) {
+        pauseTimer(elements.timerDisplay);
+        lastRehearsal = finishRehearsal(getElapsedTime());
+
+        const history = getStoredRehearsals().slice(0, -1);
+        renderRehearsalReport(elements.rehearsalReport, lastRehearsal, history);
+        elements.rehearsalModal.classList.remove('hidden');
+    } else {
+        resetTimer(elements.timerDisplay);
+        startRehearsal();
+        recordPageEntry(AppState.currentPage);
+        startTimer(elements.timerDisplay);
+        showToast('Rehearsal started', 'info');
+    }
+
+    elements.rehearseBtn.classList.toggle('active', isRehearsing());
+    elements.rehearseBtn.textContent = isRehearsing() ? 'Stop' : 'Rehearse';
+    elements.timerStartBtn.textContent = getTimerState() === 'running' ? 'Pause' : 'Start';
+}
+
+/**
+ * Start or pause the talk timer
+ */
+function toggleTimerControl() {
+    toggleTimer(elements.timerDisplay);
+    elements.timerStartBtn.textContent = getTimerState() === 'running' ? 'Pause' : 'Start';
+}
+
+/**
+ * Reset the talk timer
+ */
+function resetTimerControl() {
+    resetTimer(elements.timerDisplay);
+    elements.timerStartBtn.textContent = 'Start';
+}
+
+/**
+ * Use last rehearsal timings as per-slide budget
+ */
+function useRehearsalAsBudget() {
+    if (!lastRehearsal) {
+        return;
+    }
+
+    AppState.slideBudgets = rehearsalToBudgets(lastRehearsal);
+    AppState.budgetMode = 'file';
+    elements.budgetModeSelect.value = 'file';
+    updateScheduleIndicator();
+    showToast('Rehearsal timings set as slide budget', 'success');
+}
+
+/**
+ * Redraw drawing overlay of the current slide preview
+ */
+function redrawDrawingOverlay() {
+    alignOverlay(elements.drawingCanvas, elements.currentPreview, elements.currentPreviewWrapper);
+    drawStrokes(elements.drawingCanvas, getPageStrokes(AppState.currentPage));
+}
+
+/**
+ * Update active state of drawing tool and pointer mode buttons
+ */
+function updateToolButtons() {
+    const tool = AppState.drawingTool;
+
+    elements.drawingToolBtns.forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+    elements.pointerModeBtns.forEach((btn) => {
+        btn.classList.toggle('active', tool === null && btn.dataset.pointer === AppState.pointerMode);
+    });
+    elements.currentPreviewWrapper.classList.toggle('drawing', tool !== null);
+    elements.currentPreviewWrapper.classList.toggle('zooming', tool === null && AppState.pointerMode === 'zoom');
+}
+
+/**
+ * Select drawing tool
+ * Selecting the active tool again returns to the pointer.
+ * @param {string|null} tool - pen, highlighter, eraser, or null for the pointer
+ */
+function setDrawingTool(tool) {
+    if (tool !== null && AppState.drawingTool === tool) {
+        tool = null;
+    }
+
+    AppState.drawingTool = tool;
+    updateToolButtons();
+}
+
+/**
+ * Select pointer mode (ends any drawing tool)
+ * Selecting the active mode again returns to the laser pointer.
+ * @param {string} mode - laser, spotlight or zoom
+ */
+function setPointerMode(mode) {
+    if (AppState.drawingTool === null && AppState.pointerMode === mode) {
+        mode = 'laser';
+    }
+
+    AppState.pointerMode = mode;
+    AppState.drawingTool = null;
+    updateToolButtons();
+}
+
+/**
+ * Show a rectangle over the current slide preview
+ * @param {{x: number, y: number, w: number, h: number}|null} rect - Normalized rectangle, null to hide
+ */
+function updateZoomSelection(rect) {
+    const selection = elements.zoomSelection;
+
+    if (!rect) {
+        selection.classList.add('hidden');
+        return;
+    }
+
+    const canvasRect = elements.currentPreview.getBoundingClientRect();
+    const wrapperRect = elements.currentPreviewWrapper.getBoundingClientRect();
+
+    selection.style.left = `${canvasRect.left - wrapperRect.left + rect.x * canvasRect.width}px`;
+    selection.style.top = `${canvasRect.top - wrapperRect.top + rect.y * canvasRect.height}px`;
+    selection.style.width = `${rect.w * canvasRect.width}px`;
+    selection.style.height = `${rect.h * canvasRect.height}px`;
+    selection.classList.remove('hidden');
+}
+
+/**
+ * Zoom audience view into a region of the current slide
+ * @param {{x: number, y: number, w: number, h: number}|null} region - Normalized region, null to reset
+ */
+function setZoomRegion(region) {
+    const changed = region !== null || AppState.zoomRegion !== null;
+
+    AppState.zoomRegion = region;
+    elements.zoomSelection.classList.toggle('applied', region !== null);
+    updateZoomSelection(region);
+
+    if (changed) {
+        sendZoomToAudience(region);
+    }
+}
+
+/**
+ * Clear drawing on the current slide
+ */
+function clearCurrentDrawing() {
+    clearPageDrawing(AppState.currentPage);
+    redrawDrawingOverlay();
+}
+
+/**
+ * Show the media players of the current slide
+ * Not waited for: embedded files take a moment to extract.
+ */
+function updateMediaLayer() {
+    showPresenterMedia(
+        elements.mediaLayer,
+        elements.currentPreview,
+        elements.currentPreviewWrapper,
+        AppState.currentPage,
+        () => elements.mediaFolderInput.click()
+    ).catch(error => console.warn('Failed to show media:', error));
+}
+
+/**
+ * Use a picked folder for the deck's media files
+ * @param {FileList} files
+ */
+function handleMediaFolder(files) {
+    const count = setMediaFolder(files);
+    showToast(`${count} media file${count === 1 ? '' : 's'} in the folder`, count > 0 ? 'success' : 'info');
+
+    resetPresenterMedia(elements.mediaLayer);
+    if (AppState.pdfDoc) {
+        updateMediaLayer();
+    }
+}
+
+/**
+ * Update display mode indicator (toolbar buttons and preview overlay)
+ */
+function updateDisplayModeIndicator() {
+    const mode = AppState.displayMode;
+    const { BLACK, WHITE } = CONFIG.displayModes;
+
+    elements.blackBtn.classList.toggle('active', mode === BLACK);
+    elements.whiteBtn.classList.toggle('active', mode === WHITE);
+
+    elements.displayModeOverlay.classList.toggle('hidden', mode !== BLACK && mode !== WHITE);
+    elements.displayModeOverlay.classList.toggle('white', mode === WHITE);
+    elements.displayModeOverlay.textContent = mode === WHITE
+        ? 'Audience screen is white'
+        : 'Audience screen is black';
+}
+
+/**
+ * Set audience display mode
+ * Selecting the active mode again returns to normal display.
+ * @param {string} mode - Display mode (normal, black, white)
+ */
+function setDisplayMode(mode) {
+    if (mode !== CONFIG.displayModes.NORMAL && AppState.displayMode === mode) {
+        mode = CONFIG.displayModes.NORMAL;
+    }
+
+    AppState.displayMode = mode;
+    sendModeToAudience(mode);
+    updateDisplayModeIndicator();
+    sendRemoteStatus();
+}
+
+/**
+ * Get page shown in the next preview
+ * @param {number} page - Current page
+ * @returns {number|null} - Next page, or null if there is none
+ */
+function getNextPreviewPage(page) {
+    const next = AppState.nextPreviewMode === 'frame' ? getNextFramePage(page) : page + 1;
+    return next > page ? findVisiblePage(next, 1) : null;
+}
+
+/**
+ * Find the nearest page not hidden by the sidecar
+ * @param {number} page - Page to start from
+ * @param {number} step - Search direction (1 or -1)
+ * @returns {number|null} - Visible page, or null if there is none
+ */
+function findVisiblePage(page, step) {
+    for (let p = page; p >= 1 && p <= AppState.totalPages; p += step) {
+        if (!AppState.hiddenPages.has(p)) {
+            return p;
+        }
+    }
+    return null;
+}
 
-    elements.connectionStatus.textContent = connected ? 'Connected' : 'Not connected';
-    elements.connectionStatus.className = `status-badge ${connected ? 'connected' : 'disconnected'}`;
-    elements.openAudienceBtn.textContent = connected ? 'Reconnect' : 'Open Audience';
+/**
+ * Navigate to the nearest visible page
+ * @param {number} page - Page to start from
+ * @param {number} step - Search direction (1 or -1)
+ */
+async function navigateToVisible(page, step) {
+    const target = findVisiblePage(page, step);
+    if (target !== null) {
+        await navigateTo(target);
+    }
 }
 
 /**
  * Render current page
+ * Stops early when navigation moved on (its renders are cancelled).
  */
 async function renderCurrentPage() {
     const page = AppState.currentPage;
@@ -162,25 +772,49 @@ async function renderCurrentPage() {
     try {
         // Render current slide preview
         await renderAudienceSlide(elements.currentPreview, page);
+        if (page !== AppState.currentPage) {
+            return;
+        }
+        redrawDrawingOverlay();
+        updateZoomSelection(AppState.zoomRegion);
+        updateMediaLayer();
 
-        // Render notes
+        // Render notes (same page render as the preview)
         await renderNotesArea(elements.notesCanvas, page);
+        await updateTextNotes();
 
         // Render next preview if enabled
-        if (AppState.showNextPreview && page < AppState.totalPages) {
+        const nextPreviewPage = getNextPreviewPage(page);
+        if (AppState.showNextPreview && nextPreviewPage !== null) {
             elements.nextPreviewSection.classList.remove('hidden');
-            await renderAudienceSlide(elements.nextPreview, page + 1);
+            await renderAudienceSlide(elements.nextPreview, nextPreviewPage);
         } else {
             elements.nextPreviewSection.classList.add('hidden');
         }
 
         updatePageDisplay();
     } catch (error) {
+        if (isRenderCancelled(error)) {
+            return;
+        }
         console.error('Render error:', error);
         showToast('Render error: ' + error.message, 'error');
     }
 }
 
+/**
+ * Render pages likely to be shown next in the background
+ * @param {number} page - Current page
+ */
+function prefetchAround(page) {
+    const next = findVisiblePage(page + 1, 1);
+    const prev = findVisiblePage(page - 1, -1);
+    const pages = [next, next !== null ? getNextPreviewPage(next) : null, prev]
+        .filter(candidate => candidate !== null && candidate !== page);
+
+    prefetchPages([...new Set(pages)], getPresenterScale());
+}
+
 /**
  * Navigate to a specific page
  * @param {number} page
@@ -190,56 +824,462 @@ async function navigateTo(page) {
         return;
     }
 
-    AppState.currentPage = page;
+    // Renders of pages we are leaving are no longer needed
+    const start = performance.now();
+    setRenderFocus([page, getNextPreviewPage(page)]);
+
+    if (page !== AppState.currentPage) {
+        AppState.previousPage = AppState.currentPage;
+    }
+    AppState.currentPage = page;
+    recordPageEntry(page);
+    endStroke();
+    setZoomRegion(null);
+
+    // Hide laser pointer on page change
+    sendPointerToAudience(null, null, false);
+    if (elements.presenterPointer) {
+        elements.presenterPointer.classList.add('hidden');
+    }
+
+    // Audiences render on their own, no need to wait for the previews
+    sendNavigateToAudience(page);
+
+    await renderCurrentPage();
+    if (page !== AppState.currentPage) {
+        return;
+    }
+    recordSlideChange(performance.now() - start);
+    prefetchAround(page);
+    updateScheduleIndicator();
+
+    // Notify phone remotes
+    sendRemoteStatus();
+    updateLibraryEntry();
+}
+
+/**
+ * Go to next page
+ */
+async function nextPage() {
+    await navigateToVisible(AppState.currentPage + 1, 1);
+}
+
+/**
+ * Go to previous page
+ */
+async function prevPage() {
+    await navigateToVisible(AppState.currentPage - 1, -1);
+}
+
+/**
+ * Go to first page of the next frame (skip remaining overlays)
+ */
+async function nextFrame() {
+    const target = getNextFramePage(AppState.currentPage);
+    if (target !== AppState.currentPage) {
+        await navigateToVisible(target, 1);
+    }
+}
+
+/**
+ * Go to last overlay of the previous frame
+ */
+async function prevFrame() {
+    const target = getPrevFramePage(AppState.currentPage);
+    if (target !== AppState.currentPage) {
+        await navigateToVisible(target, -1);
+    }
+}
+
+/**
+ * Request fullscreen for audience window
+ */
+function requestAudienceFullscreen() {
+    const mainWindow = getOutputs()[0].window;
+    if (mainWindow && !mainWindow.closed) {
+        mainWindow.focus();
+    }
+    // Send a message to request fullscreen (audience will handle it)
+    sendFullscreenRequestToAudience();
+}
+
+/**
+ * Get status shown on phone remotes
+ * @returns {Promise<object>}
+ */
+async function getRemoteStatusPayload() {
+    if (!AppState.pdfDoc) {
+        return { loaded: false };
+    }
+
+    const page = AppState.currentPage;
+    const nextPreviewPage = getNextPreviewPage(page);
+    const { notes } = await getTextNotes(page);
+
+    return {
+        loaded: true,
+        page: page,
+        label: getPageLabel(page),
+        totalLabel: getPageLabel(AppState.totalPages),
+        totalPages: AppState.totalPages,
+        mode: AppState.displayMode,
+        current: snapshotCanvas(elements.currentPreview, 480),
+        next: nextPreviewPage !== null ? snapshotCanvas(elements.nextPreview, 320) : null,
+        notesImage: AppState.location !== 'none' ? snapshotCanvas(elements.notesCanvas, 480) : null,
+        notes: notes.join('\n\n'),
+        timer: { text: elements.timerDisplay.textContent, level: getCurrentTimerLevel() },
+    };
+}
+
+/**
+ * Run a command from a phone remote (same paths as the keyboard)
+ * @param {{ action: string, page?: number }} command
+ */
+function handleRemoteCommand(command) {
+    if (!AppState.pdfDoc) {
+        return;
+    }
+
+    switch (command.action) {
+        case 'next':
+            nextPage();
+            break;
+        case 'prev':
+            prevPage();
+            break;
+        case 'black':
+            setDisplayMode(CONFIG.displayModes.BLACK);
+            break;
+        case 'white':
+            setDisplayMode(CONFIG.displayModes.WHITE);
+            break;
+        case 'jump':
+            if (Number.isInteger(command.page)) {
+                navigateTo(command.page);
+            }
+            break;
+    }
+}
+
+/**
+ * Update phone remote dialog (relay status, join code and links)
+ */
+function updateRemoteDialog() {
+    const STATUS_TEXT = {
+        connecting: 'Connecting...',
+        disconnected: 'Not connected',
+        error: 'Invalid relay URL',
+    };
+    const status = getRemoteStatus();
+    const isActive = status === 'connecting' || status === 'connected';
+
+    if (status === 'connected') {
+        const { remotes, viewers } = getClientCounts();
+        elements.remoteStatus.textContent = `Connected: ${remotes} remote${remotes === 1 ? '' : 's'}, ${viewers} viewer${viewers === 1 ? '' : 's'}`;
+    } else {
+        elements.remoteStatus.textContent = STATUS_TEXT[status] || status;
+    }
+    elements.remoteConnectBtn.textContent = isActive ? 'Disconnect' : 'Connect';
+    elements.remoteCode.textContent = getJoinCode();
+
+    [[elements.remoteLink, getRemotePageUrl], [elements.viewerLink, getViewerPageUrl]].forEach(([link, getUrl]) => {
+        try {
+            link.href = getUrl();
+            link.textContent = getUrl();
+        } catch (error) {
+            link.removeAttribute('href');
+            link.textContent = '';
+        }
+    });
+}
+
+/**
+ * Connect to or disconnect from the relay
+ */
+function toggleRemoteControl() {
+    const status = getRemoteStatus();
+
+    if (status === 'connecting' || status === 'connected') {
+        stopRemoteControl();
+        return;
+    }
+
+    const url = elements.relayUrlInput.value.trim();
+    if (!/^wss?:\/\//.test(url)) {
+        showToast('Relay URL must start with ws:// or wss://', 'error');
+        return;
+    }
+
+    startRemoteControl(url, {
+        onCommand: handleRemoteCommand,
+        getStatus: getRemoteStatusPayload,
+        onStatusChange: (status) => {
+            updateRemoteDialog();
+            elements.remoteBtn.classList.toggle('active', status === 'connected');
+        },
+    });
+}
+
+/**
+ * Show the current layout in the layout drawer
+ */
+function updateLayoutDrawer() {
+    elements.layoutLocationSelect.value = AppState.location;
+    elements.layoutSplitInput.value = AppState.split;
+    elements.layoutSplitInput.disabled = AppState.location === 'none';
+    elements.layoutSplitValue.textContent = AppState.split.toFixed(2);
+    elements.layoutScaleInput.value = AppState.scale;
+    elements.layoutScaleValue.textContent = `×${AppState.scale}`;
+    elements.layoutNextPreviewCheckbox.checked = AppState.showNextPreview;
+
+    const { style, duration, fadeToBlack, fadeFromBlack } = AppState.transitions;
+    const pdfOption = elements.layoutTransitionSelect.querySelector('option[value="pdf"]');
+    pdfOption.textContent = `From PDF (${AppState.pageTransitions.size} pages)`;
+    elements.layoutTransitionSelect.value = style;
+    elements.layoutTransitionDurationInput.value = duration;
+    elements.layoutTransitionDurationInput.disabled = style !== 'crossfade' && style !== 'push';
+    elements.layoutTransitionDurationValue.textContent = `${duration}s`;
+    elements.layoutFadeOutInput.value = fadeToBlack;
+    elements.layoutFadeInInput.value = fadeFromBlack;
+}
+
+/**
+ * Change a transition setting of the deck
+ * Audiences get the fade times with the state; page transitions come with each page change.
+ * @param {string} key - Key of AppState.transitions
+ * @param {string|number} value
+ */
+function setTransitionSetting(key, value) {
+    AppState.transitions = { ...AppState.transitions, [key]: value };
+    updateLayoutDrawer();
+    sendStateToAudience();
+    updateLibraryEntry();
+}
+
+/**
+ * Apply changed layout settings to the running presentation
+ * Rendered pages depend on scale and notes region, so the page cache is dropped.
+ */
+async function applyLayoutChange() {
+    clearRenderCache();
+    resetOverview();
+    elements.notesPanel.classList.toggle('text-only', AppState.location === 'none');
+    updateLayoutDrawer();
+
+    await renderCurrentPage();
+
+    // New geometry for audiences, phones and viewers
+    sendStateToAudience();
+    sendRemoteStatus();
+    updateLibraryEntry();
+}
+
+/**
+ * Apply settings from the start screen
+ */
+function applyStartSettings() {
+    AppState.location = elements.locationSelect.value;
+    AppState.split = parseFloat(elements.splitInput.value) || 0.5;
+    AppState.scale = parseFloat(elements.scaleInput.value) || 1.0;
+    AppState.showNextPreview = elements.nextPreviewCheckbox.checked;
+    AppState.nextPreviewMode = elements.nextPreviewModeSelect.value;
+    AppState.showOutlineNotes = elements.outlineNotesCheckbox.checked;
+    elements.nextPreviewTitle.textContent = AppState.nextPreviewMode === 'frame' ? 'Next Frame' : 'Next Slide';
+
+    // Countdown
+    const durationMinutes = parseFloat(elements.durationInput.value);
+    AppState.timerMode = elements.timerModeSelect.value;
+    AppState.talkDuration = durationMinutes > 0 ? durationMinutes * 60 * 1000 : null;
+    AppState.talkEndTime = elements.endTimeInput.value || null;
+    AppState.talkWarningMinutes = parseFloat(elements.warningInput.value) || 0;
+    AppState.talkCriticalMinutes = parseFloat(elements.criticalInput.value) || 0;
+    AppState.audienceTimerFlash = elements.timerFlashCheckbox.checked;
+    AppState.budgetMode = elements.budgetModeSelect.value;
+}
+
+/**
+ * Resolve the auto notes location of a freshly loaded deck
+ * @returns {Promise<{ hasNotes: boolean, description: string }|null>} - null if chosen by hand
+ */
+async function applyAutoLayout() {
+    if (AppState.location !== 'auto') {
+        return null;
+    }
+
+    const layout = await detectNotesLayout(AppState.pdfDoc);
+    AppState.location = layout.location;
+    AppState.split = layout.split;
+    return layout;
+}
+
+/**
+ * Show the loaded toast, with the detected layout (warns about decks without notes)
+ * @param {string} name - File name or URL
+ * @param {{ hasNotes: boolean, description: string }|null} layout - From applyAutoLayout()
+ */
+function showLoadedToast(name, layout) {
+    const details = layout ? `, ${layout.description}` : '';
+    showToast(
+        `Loaded: ${name} (${AppState.totalPages} pages${details})`,
+        layout && !layout.hasNotes ? 'warning' : 'success'
+    );
+}
+
+/**
+ * Apply a parsed pdfpc sidecar to the loaded presentation
+ * @param {ReturnType<typeof parsePdfpc>} sidecar
+ */
+async function applySidecar(sidecar) {
+    applyPdfpc(sidecar);
+    elements.locationSelect.value = AppState.location;
+    elements.splitInput.value = AppState.split;
+    updateTimerDisplay(elements.timerDisplay);
+    resetOverview();
+
+    AppState.currentPage = findVisiblePage(AppState.currentPage, 1) || AppState.currentPage;
+    await renderCurrentPage();
+    sendStateToAudience();
+}
+
+/**
+ * Read and parse a pdfpc sidecar file
+ * @param {File} file
+ * @returns {Promise<ReturnType<typeof parsePdfpc>|null>} - Parsed sidecar, or null on error
+ */
+async function readSidecar(file) {
+    try {
+        return parsePdfpc(await file.text());
+    } catch (error) {
+        console.error('pdfpc load error:', error);
+        showToast('Failed to read pdfpc file: ' + error.message, 'error');
+        return null;
+    }
+}
+
+/**
+ * Handle pdfpc sidecar file on its own
+ * Applied immediately if a PDF is loaded, otherwise kept for the next PDF.
+ * @param {File} file
+ */
+async function handleSidecarFile(file) {
+    const sidecar = await readSidecar(file);
+    if (!sidecar) {
+        return;
+    }
+
+    if (AppState.pdfDoc) {
+        await applySidecar(sidecar);
+        showToast(`Applied: ${file.name}`, 'success');
+    } else {
+        pendingSidecar = sidecar;
+        showToast(`Loaded ${file.name}, now select the PDF`, 'info');
+    }
+}
+
+/**
+ * Apply sidecar kept from the start screen to a freshly loaded PDF
+ */
+function applyPendingSidecar() {
+    if (!pendingSidecar) {
+        return;
+    }
+
+    applyPdfpc(pendingSidecar);
+    elements.locationSelect.value = AppState.location;
+    AppState.currentPage = findVisiblePage(1, 1) || 1;
+    pendingSidecar = null;
+}
 
-    // Hide laser pointer on page change
-    sendPointerToAudience(null, null, false);
-    if (elements.presenterPointer) {
-        elements.presenterPointer.classList.add('hidden');
+/**
+ * Apply per-slide timings to the loaded presentation
+ * @param {string} text - Timings file content (JSON or CSV)
+ * @returns {boolean} - Whether the timings were applied
+ */
+function applyBudgetText(text) {
+    try {
+        AppState.slideBudgets = parseBudgetFile(text);
+        AppState.budgetMode = 'file';
+        elements.budgetModeSelect.value = 'file';
+        updateScheduleIndicator();
+        return true;
+    } catch (error) {
+        console.error('Timings load error:', error);
+        showToast('Failed to read timings file: ' + error.message, 'error');
+        return false;
     }
-
-    await renderCurrentPage();
-
-    // Notify audience
-    sendNavigateToAudience(page);
 }
 
 /**
- * Go to next page
+ * Handle timings file on its own
+ * Applied immediately if a PDF is loaded, otherwise kept for the next PDF.
+ * @param {File} file
  */
-async function nextPage() {
-    await navigateTo(AppState.currentPage + 1);
+async function handleBudgetFile(file) {
+    const text = await file.text();
+
+    if (!AppState.pdfDoc) {
+        pendingBudgetText = text;
+        elements.budgetModeSelect.value = 'file';
+        showToast(`Loaded ${file.name}, now select the PDF`, 'info');
+    } else if (applyBudgetText(text)) {
+        showToast(`Applied timings: ${file.name}`, 'success');
+    }
 }
 
 /**
- * Go to previous page
+ * Apply timings file kept from the start screen to a freshly loaded PDF
  */
-async function prevPage() {
-    await navigateTo(AppState.currentPage - 1);
+function applyPendingBudget() {
+    if (pendingBudgetText === null) {
+        return;
+    }
+
+    applyBudgetText(pendingBudgetText);
+    pendingBudgetText = null;
 }
 
 /**
- * Request fullscreen for audience window
+ * Handle selected or dropped files (PDF, pdfpc sidecar and/or timings file)
+ * @param {FileList|File[]} files
  */
-function requestAudienceFullscreen() {
-    if (AppState.audienceWindow && !AppState.audienceWindow.closed) {
-        AppState.audienceWindow.focus();
-        // Send a message to request fullscreen (audience will handle it)
-        AppState.audienceWindow.postMessage({
-            sessionId: CONFIG.sessionId,
-            type: 'REQUEST_FULLSCREEN',
-        }, '*');
+async function handleFiles(files) {
+    const list = Array.from(files);
+    const pdfFile = list.find(file => file.name.toLowerCase().endsWith('.pdf'));
+    const sidecarFile = list.find(file => isPdfpcFile(file.name));
+    const budgetFile = list.find(file => isBudgetFile(file.name));
+
+    if (pdfFile) {
+        if (sidecarFile) {
+            pendingSidecar = await readSidecar(sidecarFile);
+        }
+        if (budgetFile) {
+            pendingBudgetText = await budgetFile.text();
+        }
+        await handleFileSelect(pdfFile);
+        return;
+    }
+
+    if (sidecarFile) {
+        await handleSidecarFile(sidecarFile);
+    }
+    if (budgetFile) {
+        await handleBudgetFile(budgetFile);
+    }
+    if (!sidecarFile && !budgetFile) {
+        await handleFileSelect(list[0]);
     }
 }
 
 /**
  * Handle file selection
  * @param {File} file
+ * @returns {Promise<boolean>} - Whether the PDF was loaded
  */
 async function handleFileSelect(file) {
     if (!file || !file.name.toLowerCase().endsWith('.pdf')) {
         showToast('Please select a PDF file', 'error');
-        return;
+        return false;
     }
 
     setLoading(true, 'Loading PDF...');
@@ -247,12 +1287,17 @@ async function handleFileSelect(file) {
     try {
         const arrayBuffer = await file.arrayBuffer();
         await loadPdfFromBuffer(arrayBuffer);
+        AppState.deckName = file.name;
+        AppState.previousPage = null;
 
         // Apply settings
-        AppState.location = elements.locationSelect.value;
-        AppState.split = parseFloat(elements.splitInput.value) || 0.5;
-        AppState.scale = parseFloat(elements.scaleInput.value) || 1.0;
-        AppState.showNextPreview = elements.nextPreviewCheckbox.checked;
+        applyStartSettings();
+        const layout = await applyAutoLayout();
+        restoreTransitionSettings((await getSavedDeckSettings())?.transitions);
+        applyPendingSidecar();
+        applyPendingBudget();
+        recordPageEntry(AppState.currentPage);
+        updateTimerDisplay(elements.timerDisplay);
 
         // Switch to presenter screen
         elements.startScreen.classList.add('hidden');
@@ -263,37 +1308,198 @@ async function handleFileSelect(file) {
 
         // Render first page
         await renderCurrentPage();
+        prefetchAround(AppState.currentPage);
+
+        // Phones and network viewers follow the new deck
+        sendRemoteStatus();
+        sendPdfToViewers();
+        startSessionSaving();
+        addToLibrary();
 
-        showToast(`Loaded: ${file.name} (${AppState.totalPages} pages)`, 'success');
+        showLoadedToast(file.name, layout);
+        return true;
     } catch (error) {
         console.error('PDF load error:', error);
         showToast('Failed to load PDF: ' + error.message, 'error');
+        return false;
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Get snapshot fields only the presenter screen knows
+ * @returns {{ sessionId: string, openOutputs: string[] }}
+ */
+function getSessionExtra() {
+    return {
+        sessionId: CONFIG.sessionId,
+        openOutputs: getOutputs()
+            .filter(output => getOutputHealth(output).status !== 'disconnected')
+            .map(output => output.id),
+    };
+}
+
+/**
+ * Save the loaded deck and keep its state saved for crash recovery
+ */
+function startSessionSaving() {
+    saveSessionPdf();
+    startSessionAutosave(getSessionExtra);
+}
+
+/**
+ * Show the resume option if an earlier session was saved
+ */
+function updateResumeSection() {
+    const snapshot = getSavedSession();
+
+    elements.resumeSection.classList.toggle('hidden', !snapshot);
+    if (!snapshot) {
+        return;
+    }
+
+    const label = snapshot.pageLabels?.[snapshot.currentPage - 1] || snapshot.currentPage;
+    const savedAt = new Date(snapshot.savedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    elements.resumeDetails.textContent = `${snapshot.deckName || 'Untitled'}, page ${label}, saved ${savedAt}`;
+    elements.resumeDetails.title = elements.resumeDetails.textContent;
+}
+
+/**
+ * Restore the saved session (PDF, page, timer, settings, drawings)
+ */
+async function resumeSession() {
+    const snapshot = getSavedSession();
+    if (!snapshot) {
+        return;
+    }
+
+    // Windows of a crashed session cannot hear this one: reopen them while the click still allows popups
+    if (snapshot.sessionId !== CONFIG.sessionId) {
+        (snapshot.openOutputs || []).forEach((id) => {
+            const output = AppState.outputs.get(id);
+            if (output) {
+                openAudienceWindow(output);
+            }
+        });
+    }
+
+    setLoading(true, 'Restoring presentation...');
+
+    try {
+        const saved = await loadSessionPdf();
+        if (!saved || saved.data.byteLength !== snapshot.pdfSize) {
+            throw new Error('the saved PDF is missing');
+        }
+
+        await loadPdfFromBuffer(saved.data);
+        AppState.deckName = saved.name;
+        AppState.pdfUrl = saved.url;
+
+        restoreTransitionSettings();
+        restoreSessionState(snapshot);
+        elements.locationSelect.value = AppState.location;
+        restoreTimer(elements.timerDisplay);
+        elements.timerStartBtn.textContent = getTimerState() === 'running' ? 'Pause' : 'Start';
+        updateDisplayModeIndicator();
+        resetOverview();
+
+        // Switch to presenter screen
+        elements.startScreen.classList.add('hidden');
+        elements.presenterScreen.classList.add('active');
+        startClock(elements.clockDisplay);
+
+        await renderCurrentPage();
+        prefetchAround(AppState.currentPage);
+        updateScheduleIndicator();
+
+        // Re-pair audiences, phones and viewers
+        sendStateToAudience();
+        sendRemoteStatus();
+        sendPdfToViewers();
+        startSessionAutosave(getSessionExtra);
+        addToLibrary();
+
+        showToast(`Resumed: ${AppState.deckName} at page ${getPageLabel(AppState.currentPage)}`, 'success');
+    } catch (error) {
+        console.error('Resume error:', error);
+        showToast('Failed to resume: ' + error.message, 'error');
     } finally {
         setLoading(false);
     }
 }
 
+/**
+ * Show recently opened decks on the start screen
+ */
+async function updateLibrarySection() {
+    const entries = await getLibraryEntries();
+
+    elements.librarySection.classList.toggle('hidden', entries.length === 0);
+    renderLibrary(elements.libraryList, entries, {
+        onOpen: openLibraryDeck,
+        onRemove: async (entry) => {
+            await removeFromLibrary(entry.id);
+            updateLibrarySection();
+        },
+    });
+}
+
+/**
+ * Reopen a deck from the library with its last settings
+ * @param {object} entry - Library entry
+ * @param {number} page - Page to start at
+ */
+async function openLibraryDeck(entry, page) {
+    elements.locationSelect.value = entry.settings.location;
+    elements.splitInput.value = entry.settings.split;
+    elements.scaleInput.value = entry.settings.scale;
+
+    let loaded;
+    if (entry.url) {
+        elements.urlInput.value = entry.url;
+        loaded = await handleUrlLoad();
+    } else {
+        const data = await loadLibraryPdf(entry.id);
+        if (!data) {
+            showToast(`${entry.name} is no longer stored, please open the file again`, 'error');
+            return;
+        }
+        loaded = await handleFileSelect(new File([data], entry.name, { type: 'application/pdf' }));
+    }
+
+    if (loaded && page > 1) {
+        await navigateToVisible(Math.min(page, AppState.totalPages), -1);
+    }
+}
+
 /**
  * Handle URL load
+ * @returns {Promise<boolean>} - Whether the PDF was loaded
  */
 async function handleUrlLoad() {
     const url = elements.urlInput.value.trim();
 
     if (!url) {
         showToast('Please enter a URL', 'error');
-        return;
+        return false;
     }
 
     setLoading(true, 'Loading PDF from URL...');
 
     try {
         await loadPdfFromUrl(url);
+        AppState.deckName = url;
+        AppState.previousPage = null;
 
         // Apply settings
-        AppState.location = elements.locationSelect.value;
-        AppState.split = parseFloat(elements.splitInput.value) || 0.5;
-        AppState.scale = parseFloat(elements.scaleInput.value) || 1.0;
-        AppState.showNextPreview = elements.nextPreviewCheckbox.checked;
+        applyStartSettings();
+        const layout = await applyAutoLayout();
+        restoreTransitionSettings((await getSavedDeckSettings())?.transitions);
+        applyPendingSidecar();
+        applyPendingBudget();
+        recordPageEntry(AppState.currentPage);
+        updateTimerDisplay(elements.timerDisplay);
 
         // Switch to presenter screen
         elements.startScreen.classList.add('hidden');
@@ -304,21 +1510,126 @@ async function handleUrlLoad() {
 
         // Render first page
         await renderCurrentPage();
+        prefetchAround(AppState.currentPage);
+
+        // Phones and network viewers follow the new deck
+        sendRemoteStatus();
+        sendPdfToViewers();
+        startSessionSaving();
+        addToLibrary();
 
-        showToast(`Loaded: ${url} (${AppState.totalPages} pages)`, 'success');
+        showLoadedToast(url, layout);
+        return true;
     } catch (error) {
         console.error('URL load error:', error);
         showToast('Failed to load PDF. Check URL and CORS settings.', 'error');
+        return false;
     } finally {
         setLoading(false);
     }
 }
 
+/**
+ * Show the shortcut list in the help overlay
+ */
+function renderShortcutHelp() {
+    renderShortcutList(elements.shortcutsList, {
+        capturing: capturingShortcut,
+        onAdd: (action) => {
+            // The focused button would take Enter / Space as a click
+            document.activeElement?.blur();
+            capturingShortcut = capturingShortcut === action ? null : action;
+            renderShortcutHelp();
+        },
+        onRemove: (action, combo) => {
+            unbindShortcut(action, combo);
+            renderShortcutHelp();
+        },
+        onReset: (action) => {
+            resetShortcuts(action);
+            renderShortcutHelp();
+        },
+    });
+}
+
+/**
+ * Open or close the keyboard shortcut help ("?")
+ */
+function toggleShortcutHelp() {
+    capturingShortcut = null;
+    elements.shortcutsModal.classList.toggle('hidden');
+    if (!elements.shortcutsModal.classList.contains('hidden')) {
+        renderShortcutHelp();
+    }
+}
+
+/**
+ * Bind the pressed key to the action being rebound
+ * A key already in use is moved after confirmation; Escape cancels.
+ * @param {KeyboardEvent} e
+ */
+function captureShortcut(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        capturingShortcut = null;
+        renderShortcutHelp();
+        return;
+    }
+
+    const combo = getComboFromEvent(e);
+    if (!combo) {
+        // Modifier alone: wait for the key
+        return;
+    }
+    e.preventDefault();
+
+    const action = capturingShortcut;
+    capturingShortcut = null;
+
+    const conflict = findConflict(combo, action);
+    if (!conflict || confirm(`${formatCombo(combo)} is used for "${getActionLabel(conflict)}". Use it for "${getActionLabel(action)}" instead?`)) {
+        bindShortcut(action, combo);
+    }
+    renderShortcutHelp();
+}
+
 /**
  * Setup keyboard shortcuts
+ * Every action goes through the shortcut registry (js/shortcuts.js).
  */
 function setupKeyboardShortcuts() {
+    registerShortcutHandlers({
+        next: nextPage,
+        prev: prevPage,
+        first: () => navigateToVisible(1, 1),
+        last: () => navigateToVisible(AppState.totalPages, -1),
+        nextFrame,
+        prevFrame,
+        overview: toggleOverview,
+        black: () => setDisplayMode(CONFIG.displayModes.BLACK),
+        white: () => setDisplayMode(CONFIG.displayModes.WHITE),
+        fullscreen: requestAudienceFullscreen,
+        timerToggle: toggleTimerControl,
+        timerReset: resetTimerControl,
+        laser: () => setPointerMode('laser'),
+        spotlight: () => setPointerMode('spotlight'),
+        zoom: () => setPointerMode('zoom'),
+        pen: () => setDrawingTool('pen'),
+        highlighter: () => setDrawingTool('highlighter'),
+        eraser: () => setDrawingTool('eraser'),
+        clearDrawing: clearCurrentDrawing,
+        notesZoomIn: () => zoomTextNotes(2),
+        notesZoomOut: () => zoomTextNotes(-2),
+        help: toggleShortcutHelp,
+    });
+
     document.addEventListener('keydown', async (e) => {
+        // Rebinding: the next key press becomes the shortcut
+        if (capturingShortcut) {
+            captureShortcut(e);
+            return;
+        }
+
         // Ignore if typing in input
         if (e.target.tagName === 'INPUT') {
             if (e.key === 'Enter' && e.target === elements.jumpInput) {
@@ -331,24 +1642,60 @@ function setupKeyboardShortcuts() {
             return;
         }
 
-        const shortcuts = CONFIG.shortcuts;
+        // Layout drawer controls keep their keys
+        if (elements.layoutDrawer.contains(e.target)) {
+            if (e.code === 'Escape') {
+                elements.layoutDrawer.classList.add('hidden');
+            }
+            return;
+        }
+
+        if (!elements.rehearsalModal.classList.contains('hidden')) {
+            if (e.code === 'Escape') {
+                elements.rehearsalModal.classList.add('hidden');
+            }
+            return;
+        }
+
+        if (!elements.outputsModal.classList.contains('hidden')) {
+            if (e.code === 'Escape') {
+                elements.outputsModal.classList.add('hidden');
+            }
+            return;
+        }
+
+        if (!elements.remoteModal.classList.contains('hidden')) {
+            if (e.code === 'Escape') {
+                elements.remoteModal.classList.add('hidden');
+            }
+            return;
+        }
+
+        if (!elements.shortcutsModal.classList.contains('hidden')) {
+            if (e.code === 'Escape' || getShortcutAction(e) === 'help') {
+                e.preventDefault();
+                toggleShortcutHelp();
+            }
+            return;
+        }
+
+        if (e.code === 'Escape' && !elements.layoutDrawer.classList.contains('hidden')) {
+            elements.layoutDrawer.classList.add('hidden');
+            return;
+        }
 
-        if (shortcuts.next.includes(e.code)) {
-            e.preventDefault();
-            await nextPage();
-        } else if (shortcuts.prev.includes(e.code)) {
-            e.preventDefault();
-            await prevPage();
-        } else if (shortcuts.first.includes(e.code)) {
-            e.preventDefault();
-            await navigateTo(1);
-        } else if (shortcuts.last.includes(e.code)) {
-            e.preventDefault();
-            await navigateTo(AppState.totalPages);
-        } else if (shortcuts.fullscreen.includes(e.code)) {
-            e.preventDefault();
-            requestAudienceFullscreen();
+        // Overview grid takes over navigation keys while open
+        if (isOverviewOpen()) {
+            if (getShortcutAction(e) === 'overview') {
+                e.preventDefault();
+                closeOverview();
+            } else if (handleOverviewKey(e)) {
+                e.preventDefault();
+            }
+            return;
         }
+
+        await runShortcut(e);
     });
 }
 
@@ -358,9 +1705,8 @@ function setupKeyboardShortcuts() {
 function setupEventListeners() {
     // File input
     elements.fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            handleFileSelect(file);
+        if (e.target.files.length > 0) {
+            handleFiles(e.target.files);
         }
     });
 
@@ -377,10 +1723,43 @@ function setupEventListeners() {
     elements.dropZone.addEventListener('drop', (e) => {
         e.preventDefault();
         elements.dropZone.classList.remove('dragover');
-        const file = e.dataTransfer.files[0];
+        if (e.dataTransfer.files.length > 0) {
+            handleFiles(e.dataTransfer.files);
+        }
+    });
+
+    // pdfpc sidecar after the PDF (button or drop onto presenter screen)
+    elements.loadPdfpcBtn.addEventListener('click', () => elements.pdfpcInput.click());
+    elements.pdfpcInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
         if (file) {
-            handleFileSelect(file);
+            handleSidecarFile(file);
+        }
+        elements.pdfpcInput.value = '';
+    });
+
+    elements.presenterScreen.addEventListener('dragover', (e) => {
+        e.preventDefault();
+    });
+
+    elements.presenterScreen.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const files = Array.from(e.dataTransfer.files);
+        const sidecarFile = files.find(f => isPdfpcFile(f.name));
+        const budgetFile = files.find(f => isBudgetFile(f.name));
+        if (sidecarFile) {
+            handleSidecarFile(sidecarFile);
         }
+        if (budgetFile) {
+            handleBudgetFile(budgetFile);
+        }
+    });
+
+    // Resume saved session
+    elements.resumeBtn.addEventListener('click', resumeSession);
+    elements.resumeDiscardBtn.addEventListener('click', async () => {
+        await clearSession();
+        updateResumeSection();
     });
 
     // URL load
@@ -400,13 +1779,47 @@ function setupEventListeners() {
     // Home button (go back to start screen)
     elements.homeBtn.addEventListener('click', () => {
         if (confirm('Go back to home? Current presentation will be closed.')) {
+            // Remember where the deck was left
+            updateLibraryEntry();
+            clearLibraryEntry();
+
             // Reset state
             AppState.pdfDoc = null;
             AppState.pdfData = null;
             AppState.pdfUrl = null;
             AppState.totalPages = 0;
             AppState.currentPage = 1;
-            AppState.pageCache.clear();
+            AppState.previousPage = null;
+            AppState.pageLabels = null;
+            AppState.frames = [];
+            AppState.pageToFrame = [];
+            AppState.hiddenPages = new Set();
+            AppState.textNotes = new Map();
+            clearNotes();
+            AppState.noteFontSize = CONFIG.defaults.noteFontSize;
+            AppState.timerMode = CONFIG.defaults.timerMode;
+            AppState.talkDuration = null;
+            AppState.talkEndTime = null;
+            AppState.talkWarningMinutes = CONFIG.defaults.talkWarningMinutes;
+            AppState.talkCriticalMinutes = CONFIG.defaults.talkCriticalMinutes;
+            clearRenderCache();
+            pendingSidecar = null;
+            AppState.deckName = null;
+            AppState.isRehearsing = false;
+            lastRehearsal = null;
+            AppState.drawings = new Map();
+            setDrawingTool(null);
+            setPointerMode('laser');
+            setZoomRegion(null);
+            resetPresenterMedia(elements.mediaLayer);
+            elements.rehearseBtn.classList.remove('active');
+            elements.rehearseBtn.textContent = 'Rehearse';
+            pendingBudgetText = null;
+            AppState.budgetMode = CONFIG.defaults.budgetMode;
+            AppState.slideBudgets = new Map();
+            setDisplayMode(CONFIG.displayModes.NORMAL);
+            resetOverview();
+            elements.layoutDrawer.classList.add('hidden');
 
             // Clear canvases
             const ctx1 = elements.currentPreview?.getContext('2d');
@@ -420,6 +1833,11 @@ function setupEventListeners() {
             elements.urlInput.value = '';
             elements.fileInput.value = '';
 
+            // Closed on purpose: nothing to resume
+            clearSession();
+            updateResumeSection();
+            updateLibrarySection();
+
             // Switch screens
             elements.presenterScreen.classList.remove('active');
             elements.startScreen.classList.remove('hidden');
@@ -430,23 +1848,154 @@ function setupEventListeners() {
     elements.prevBtn.addEventListener('click', prevPage);
     elements.nextBtn.addEventListener('click', nextPage);
 
+    // Text notes zoom
+    elements.notesZoomInBtn.addEventListener('click', () => zoomTextNotes(2));
+    elements.notesZoomOutBtn.addEventListener('click', () => zoomTextNotes(-2));
+
+    // Slide overview
+    initOverview(elements.overviewOverlay, elements.overviewGrid, navigateTo);
+    elements.overviewBtn.addEventListener('click', toggleOverview);
+
     // Timer controls
-    elements.timerStartBtn.addEventListener('click', () => {
-        toggleTimer(elements.timerDisplay);
-        elements.timerStartBtn.textContent = getTimerState() === 'running' ? 'Pause' : 'Start';
+    elements.timerStartBtn.addEventListener('click', toggleTimerControl);
+    elements.timerResetBtn.addEventListener('click', resetTimerControl);
+
+    // Rehearsal
+    elements.rehearseBtn.addEventListener('click', toggleRehearsal);
+    elements.rehearsalCloseBtn.addEventListener('click', () => {
+        elements.rehearsalModal.classList.add('hidden');
+    });
+    elements.rehearsalCsvBtn.addEventListener('click', () => {
+        downloadText(`${getExportBaseName()}-rehearsal.csv`, rehearsalToCsv(lastRehearsal), 'text/csv');
+    });
+    elements.rehearsalJsonBtn.addEventListener('click', () => {
+        downloadText(`${getExportBaseName()}-rehearsal.json`, rehearsalToJson(lastRehearsal), 'application/json');
+    });
+    elements.rehearsalBudgetBtn.addEventListener('click', () => {
+        useRehearsalAsBudget();
+        elements.rehearsalModal.classList.add('hidden');
     });
 
-    elements.timerResetBtn.addEventListener('click', () => {
-        resetTimer(elements.timerDisplay);
-        elements.timerStartBtn.textContent = 'Start';
+    // Ahead/behind schedule follows the timer
+    onTimerTick(updateScheduleIndicator);
+
+    // Phone remotes show the timer too
+    onTimerTick(() => sendRemoteTimer(elements.timerDisplay.textContent, getCurrentTimerLevel()));
+
+    // Countdown thresholds: optional discreet flash on the audience window
+    onTimerThreshold((level) => {
+        if (AppState.audienceTimerFlash) {
+            sendTimerWarningToAudience(level);
+        }
     });
 
-    // Open audience window
+    // Open audience window (main output)
     elements.openAudienceBtn.addEventListener('click', () => {
-        openAudienceWindow();
+        openAudienceWindow(getOutputs()[0]);
         setTimeout(updateConnectionStatus, 1000);
     });
 
+    // Audience outputs dialog
+    elements.outputsBtn.addEventListener('click', () => {
+        renderOutputsDialog();
+        elements.outputsModal.classList.remove('hidden');
+    });
+    elements.outputsCloseBtn.addEventListener('click', () => {
+        elements.outputsModal.classList.add('hidden');
+    });
+    elements.addOutputBtn.addEventListener('click', () => {
+        addOutput(elements.outputPresetSelect.value);
+        renderOutputsDialog();
+        updateConnectionStatus();
+    });
+
+    // Phone remote dialog
+    elements.remoteBtn.addEventListener('click', () => {
+        elements.relayUrlInput.value = getRelayUrl();
+        updateRemoteDialog();
+        elements.remoteModal.classList.remove('hidden');
+    });
+    elements.remoteCloseBtn.addEventListener('click', () => {
+        elements.remoteModal.classList.add('hidden');
+    });
+    elements.remoteConnectBtn.addEventListener('click', toggleRemoteControl);
+
+    // Keyboard shortcut help and rebinding
+    elements.shortcutsBtn.addEventListener('click', toggleShortcutHelp);
+    elements.shortcutsCloseBtn.addEventListener('click', toggleShortcutHelp);
+    elements.shortcutsResetBtn.addEventListener('click', () => {
+        if (confirm('Restore all default keyboard shortcuts?')) {
+            resetShortcuts();
+            renderShortcutHelp();
+        }
+    });
+
+    // Live layout drawer
+    elements.layoutBtn.addEventListener('click', () => {
+        updateLayoutDrawer();
+        elements.layoutDrawer.classList.toggle('hidden');
+    });
+    elements.layoutCloseBtn.addEventListener('click', () => {
+        elements.layoutDrawer.classList.add('hidden');
+    });
+    elements.layoutLocationSelect.addEventListener('change', async () => {
+        AppState.location = elements.layoutLocationSelect.value;
+        const layout = await applyAutoLayout();
+        if (layout) {
+            showToast(`Detected layout: ${layout.description}`, layout.hasNotes ? 'success' : 'warning');
+        }
+        await applyLayoutChange();
+    });
+    elements.layoutSplitInput.addEventListener('input', () => {
+        // Preview while dragging: regions are cut from the cached pages
+        AppState.split = parseFloat(elements.layoutSplitInput.value);
+        elements.layoutSplitValue.textContent = AppState.split.toFixed(2);
+        renderCurrentPage();
+    });
+    elements.layoutSplitInput.addEventListener('change', applyLayoutChange);
+    elements.layoutScaleInput.addEventListener('input', () => {
+        elements.layoutScaleValue.textContent = `×${elements.layoutScaleInput.value}`;
+    });
+    elements.layoutScaleInput.addEventListener('change', () => {
+        AppState.scale = parseFloat(elements.layoutScaleInput.value);
+        applyLayoutChange();
+    });
+    elements.layoutNextPreviewCheckbox.addEventListener('change', () => {
+        AppState.showNextPreview = elements.layoutNextPreviewCheckbox.checked;
+        applyLayoutChange();
+    });
+    elements.layoutTransitionSelect.addEventListener('change', () => {
+        setTransitionSetting('style', elements.layoutTransitionSelect.value);
+    });
+    elements.layoutTransitionDurationInput.addEventListener('input', () => {
+        elements.layoutTransitionDurationValue.textContent = `${elements.layoutTransitionDurationInput.value}s`;
+    });
+    elements.layoutTransitionDurationInput.addEventListener('change', () => {
+        setTransitionSetting('duration', parseFloat(elements.layoutTransitionDurationInput.value));
+    });
+    elements.layoutFadeOutInput.addEventListener('change', () => {
+        setTransitionSetting('fadeToBlack', Math.max(0, parseFloat(elements.layoutFadeOutInput.value) || 0));
+    });
+    elements.layoutFadeInInput.addEventListener('change', () => {
+        setTransitionSetting('fadeFromBlack', Math.max(0, parseFloat(elements.layoutFadeInInput.value) || 0));
+    });
+
+    // Resizable split between notes and previews
+    initPanelResizer({
+        handle: elements.panelResizer,
+        panel: elements.previewPanel,
+        container: elements.presenterMain,
+        onResize: () => {
+            if (AppState.pdfDoc) {
+                renderCurrentPage();
+            }
+        },
+    });
+
+    // Display mode buttons
+    elements.blackBtn.addEventListener('click', () => setDisplayMode(CONFIG.displayModes.BLACK));
+    elements.whiteBtn.addEventListener('click', () => setDisplayMode(CONFIG.displayModes.WHITE));
+
     // Fullscreen button
     elements.fullscreenBtn.addEventListener('click', requestAudienceFullscreen);
 
@@ -455,14 +2004,54 @@ function setupEventListeners() {
 
     // Setup message listener for audience connection
     setupPresenterMessageListener(() => {
+        sendAllDrawings();
+        sendCurrentMedia();
+        if (AppState.zoomRegion) {
+            sendZoomToAudience(AppState.zoomRegion);
+        }
         updateConnectionStatus();
+    }, (output, reason) => {
+        showToast(reason === 'pdf'
+            ? `${output.name} lost the presentation, resending`
+            : `${output.name} was out of sync, resent state`, 'info');
+    });
+
+    // Drawing tools
+    elements.drawingToolBtns.forEach((btn) => {
+        btn.addEventListener('click', () => setDrawingTool(btn.dataset.tool));
+    });
+    elements.pointerModeBtns.forEach((btn) => {
+        btn.addEventListener('click', () => setPointerMode(btn.dataset.pointer));
+    });
+    elements.drawingColorInput.value = AppState.drawingColor;
+    elements.drawingColorInput.addEventListener('input', () => {
+        AppState.drawingColor = elements.drawingColorInput.value;
+    });
+    elements.clearDrawingBtn.addEventListener('click', clearCurrentDrawing);
+
+    // Folder with the video and audio files the deck links to
+    elements.mediaFolderBtn.addEventListener('click', () => elements.mediaFolderInput.click());
+    elements.mediaFolderInput.addEventListener('change', (e) => {
+        handleMediaFolder(e.target.files);
+        elements.mediaFolderInput.value = '';
+    });
+
+    window.addEventListener('resize', () => {
+        if (AppState.pdfDoc) {
+            redrawDrawingOverlay();
+            updateZoomSelection(AppState.zoomRegion);
+            updateMediaLayer();
+        }
     });
 
-    // Periodic connection check
-    setInterval(updateConnectionStatus, 2000);
+    // Heartbeat (also refreshes the connection badge)
+    startHeartbeat(updateConnectionStatus);
 
     // Laser pointer functionality
     let isPointerActive = false;
+    let isDrawing = false;
+    let zoomStart = null;
+    let zoomRect = null;
     let lastPointerSendTime = 0;
     const POINTER_THROTTLE_MS = 33; // ~30fps
 
@@ -502,6 +2091,8 @@ function setupEventListeners() {
         const canvasRect = canvas.getBoundingClientRect();
         const wrapperRect = elements.currentPreviewWrapper.getBoundingClientRect();
 
+        applyPointerStyle(elements.presenterPointer, AppState.pointerMode, canvasRect.width);
+
         // Calculate offset of canvas within wrapper
         const offsetX = canvasRect.left - wrapperRect.left;
         const offsetY = canvasRect.top - wrapperRect.top;
@@ -514,6 +2105,39 @@ function setupEventListeners() {
         elements.presenterPointer.style.top = `${posY}px`;
     }
 
+    /**
+     * Apply the drawing tool at a point (start/extend a stroke, or erase)
+     * @param {{x: number, y: number}} coords - Normalized coordinates
+     * @param {boolean} isStart - Whether this starts a new stroke
+     */
+    function applyDrawingTool(coords, isStart) {
+        const page = AppState.currentPage;
+
+        if (AppState.drawingTool === 'eraser') {
+            if (eraseAt(page, coords.x, coords.y)) {
+                redrawDrawingOverlay();
+            }
+            return;
+        }
+
+        if (isStart) {
+            beginStroke(page, coords.x, coords.y);
+        } else {
+            extendStroke(coords.x, coords.y);
+        }
+        drawStrokes(elements.drawingCanvas, getPageStrokes(page));
+    }
+
+    /**
+     * Finish zoom selection: zoom into the region, or reset zoom on a plain click
+     */
+    function finishZoomSelection() {
+        const rect = zoomRect;
+        zoomStart = null;
+        zoomRect = null;
+        setZoomRegion(rect);
+    }
+
     /**
      * Send pointer position with throttling
      */
@@ -528,6 +2152,29 @@ function setupEventListeners() {
     // Mouse down - start showing pointer
     elements.currentPreviewWrapper.addEventListener('mousedown', (e) => {
         if (e.button !== 0) return; // Only left click
+
+        // Drawing tool replaces the laser pointer
+        if (AppState.drawingTool) {
+            const drawCoords = getPointerCoords(e);
+            if (drawCoords) {
+                e.preventDefault();
+                isDrawing = true;
+                applyDrawingTool(drawCoords, true);
+            }
+            return;
+        }
+
+        // Zoom mode: drag a region to magnify
+        if (AppState.pointerMode === 'zoom') {
+            const zoomCoords = getPointerCoords(e);
+            if (zoomCoords) {
+                e.preventDefault();
+                zoomStart = zoomCoords;
+                zoomRect = null;
+            }
+            return;
+        }
+
         isPointerActive = true;
 
         const coords = getPointerCoords(e);
@@ -539,6 +2186,24 @@ function setupEventListeners() {
 
     // Mouse move - update pointer position
     elements.currentPreviewWrapper.addEventListener('mousemove', (e) => {
+        if (isDrawing) {
+            const drawCoords = getPointerCoords(e);
+            if (drawCoords && (AppState.drawingTool === 'eraser' || isStrokeActive())) {
+                applyDrawingTool(drawCoords, false);
+            }
+            return;
+        }
+
+        if (zoomStart) {
+            const zoomCoords = getPointerCoords(e);
+            if (zoomCoords) {
+                zoomRect = getZoomRect(zoomStart, zoomCoords);
+                elements.zoomSelection.classList.remove('applied');
+                updateZoomSelection(zoomRect);
+            }
+            return;
+        }
+
         if (!isPointerActive) return;
 
         const coords = getPointerCoords(e);
@@ -555,6 +2220,15 @@ function setupEventListeners() {
     // Mouse up - hide pointer
     elements.currentPreviewWrapper.addEventListener('mouseup', (e) => {
         if (e.button !== 0) return;
+        if (isDrawing) {
+            isDrawing = false;
+            endStroke();
+            return;
+        }
+        if (zoomStart) {
+            finishZoomSelection();
+            return;
+        }
         isPointerActive = false;
         updatePresenterPointer(null, null, false);
         sendPointerToAudience(null, null, false);
@@ -562,6 +2236,13 @@ function setupEventListeners() {
 
     // Mouse leave - hide pointer
     elements.currentPreviewWrapper.addEventListener('mouseleave', () => {
+        if (isDrawing) {
+            isDrawing = false;
+            endStroke();
+        }
+        if (zoomStart) {
+            finishZoomSelection();
+        }
         if (isPointerActive) {
             isPointerActive = false;
             updatePresenterPointer(null, null, false);
@@ -577,6 +2258,9 @@ async function init() {
     console.log('Beamer Presenter initializing...');
 
     initElements();
+    loadOutputs();
+    initPresenterSync();
+    setAudienceMirror(sendToViewers);
 
     // Initialize PDF.js
     const pdfReady = await initPdfJs();
@@ -585,6 +2269,11 @@ async function init() {
     }
 
     setupEventListeners();
+    updateResumeSection();
+    updateLibrarySection();
+
+    // Slide change and render timings, for the console
+    window.beamerRenderMetrics = getRenderMetrics;
 
     console.log('Beamer Presenter ready');
 }
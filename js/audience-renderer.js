@@ -0,0 +1,268 @@
+/**
+ * Beamer Presenter - Audience Renderer Module
+ * Renders audience slides at the output's real resolution, in a worker (OffscreenCanvas) where possible
+ */
+
+import { openPdf, renderRegionToSize } from './pdf-renderer.js';
+
+// Slides kept per output (current, previous and the prefetched next one)
+const MAX_CACHED_SLIDES = 4;
+
+// Render worker, null when rendering on the main thread
+let worker = null;
+
+// Main thread copy of the deck (fallback rendering, zoom)
+let pdfDoc = null;
+
+// Renders in progress: request ID -> { pageNum, options, resolve, reject, cancel }
+const jobs = new Map();
+let nextJobId = 1;
+
+// Rendered slides, oldest first: cache key -> Promise<ImageBitmap|HTMLCanvasElement>
+const slides = new Map();
+
+/**
+ * Create the error of a render no longer needed
+ * @param {number} pageNum
+ * @returns {Error}
+ */
+function createCancelledError(pageNum) {
+    const error = new Error(`Render of page ${pageNum} cancelled`);
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Check if worker rendering is possible here
+ * Workers cannot be started from file:// pages, where PDF.js runs without its worker too.
+ * @returns {boolean}
+ */
+function canUseWorker() {
+    return window.location.protocol !== 'file:'
+        && typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && 'transferToImageBitmap' in OffscreenCanvas.prototype;
+}
+
+/**
+ * Start the render worker (falls back to the main thread where not possible)
+ * @returns {string} - 'worker' or 'main thread'
+ */
+export function initAudienceRenderer() {
+    if (!canUseWorker()) {
+        console.log('Audience renderer: rendering on the main thread');
+        return 'main thread';
+    }
+
+    try {
+        worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', handleWorkerMessage);
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            stopWorker(event.message || 'Render worker failed to start');
+        });
+    } catch (error) {
+        worker = null;
+        console.warn('Audience renderer: worker unavailable, rendering on the main thread:', error);
+        return 'main thread';
+    }
+
+    console.log('Audience renderer: rendering in a worker');
+    return 'worker';
+}
+
+/**
+ * Give up on the worker, moving its renders to the main thread
+ * @param {string} reason
+ */
+function stopWorker(reason) {
+    if (!worker) {
+        return;
+    }
+
+    console.warn('Audience renderer: switching to the main thread:', reason);
+    worker.terminate();
+    worker = null;
+
+    jobs.forEach((job, id) => {
+        jobs.delete(id);
+        renderOnMainThread(job.pageNum, job.options).then(job.resolve, job.reject);
+    });
+}
+
+/**
+ * Handle replies of the render worker
+ * @param {MessageEvent} event
+ */
+function handleWorkerMessage(event) {
+    const { type, id } = event.data;
+
+    if (type === 'failed') {
+        stopWorker(event.data.message);
+        return;
+    }
+
+    const job = jobs.get(id);
+    if (!job) {
+        // Cancelled meanwhile
+        event.data.image?.close();
+        return;
+    }
+    jobs.delete(id);
+
+    if (type === 'rendered') {
+        job.resolve(event.data.image);
+    } else if (event.data.cancelled) {
+        job.reject(createCancelledError(job.pageNum));
+    } else {
+        // Something PDF.js cannot draw without a DOM: render this one here
+        console.warn(`Audience renderer: page ${job.pageNum} failed in the worker (${event.data.message}), rendering on the main thread`);
+        renderOnMainThread(job.pageNum, job.options).then(job.resolve, job.reject);
+    }
+}
+
+/**
+ * Load a deck for rendering
+ * @param {ArrayBuffer} arrayBuffer - PDF data (not detached)
+ * @returns {Promise<PDFDocumentProxy>} - Main thread copy, used for zoom
+ */
+export async function loadAudiencePdf(arrayBuffer) {
+    clearSlideImages();
+
+    // PDF.js and the worker each take (detach) their own copy
+    if (worker) {
+        const data = arrayBuffer.slice(0);
+        worker.postMessage({ type: 'load', data }, [data]);
+    }
+
+    pdfDoc = await openPdf(arrayBuffer.slice(0));
+
+    return pdfDoc;
+}
+
+/**
+ * Render a slide on the main thread
+ * @param {number} pageNum
+ * @param {object} options - See renderRegionToSize()
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderOnMainThread(pageNum, options) {
+    const page = await pdfDoc.getPage(pageNum);
+
+    return renderRegionToSize(page, options, (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    });
+}
+
+/**
+ * Start a slide render, in the worker if there is one
+ * @param {number} pageNum
+ * @param {object} options - See renderRegionToSize()
+ * @returns {Promise<ImageBitmap|HTMLCanvasElement>}
+ */
+function startRender(pageNum, options) {
+    if (!worker) {
+        return renderOnMainThread(pageNum, options);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        jobs.set(id, {
+            pageNum,
+            options,
+            resolve,
+            reject,
+            cancel: () => {
+                jobs.delete(id);
+                worker?.postMessage({ type: 'cancel', id });
+                reject(createCancelledError(pageNum));
+            },
+        });
+        worker.postMessage({ type: 'render', id, page: pageNum, options });
+    });
+}
+
+/**
+ * Get the cache key of a slide render
+ * @param {number} pageNum
+ * @param {object} options
+ * @returns {string}
+ */
+function getSlideKey(pageNum, options) {
+    const { location, split, width, height, dpr } = options;
+    return `${pageNum}|${location}|${split}|${width}x${height}@${dpr}`;
+}
+
+/**
+ * Get a slide rendered for the output, from the cache or by rendering it
+ * Renders of other pages still running are cancelled (navigation moved on).
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {{ location: string, split: number, width: number, height: number, dpr: number }} options - Output size in CSS pixels
+ * @param {boolean} [prefetch=false] - Background render, cancels nothing
+ * @returns {Promise<ImageBitmap|HTMLCanvasElement>} - Rejects with a cancelled error if no longer needed
+ */
+export function getSlideImage(pageNum, options, prefetch = false) {
+    if (!pdfDoc) {
+        return Promise.reject(new Error('No PDF loaded'));
+    }
+
+    if (!prefetch) {
+        jobs.forEach((job) => {
+            if (job.pageNum !== pageNum) {
+                job.cancel();
+            }
+        });
+    }
+
+    const key = getSlideKey(pageNum, options);
+    if (slides.has(key)) {
+        // Most recently used goes last
+        const cached = slides.get(key);
+        slides.delete(key);
+        slides.set(key, cached);
+        return cached;
+    }
+
+    const promise = startRender(pageNum, options);
+    slides.set(key, promise);
+    promise.catch(() => {
+        if (slides.get(key) === promise) {
+            slides.delete(key);
+        }
+    });
+
+    // Drop the oldest slides (bitmaps are freed explicitly)
+    for (const [oldKey, oldPromise] of slides) {
+        if (slides.size <= MAX_CACHED_SLIDES) {
+            break;
+        }
+        slides.delete(oldKey);
+        oldPromise.then(image => image.close?.(), () => {});
+    }
+
+    return promise;
+}
+
+/**
+ * Render a slide in the background (e.g. the next one)
+ * @param {number} pageNum
+ * @param {object} options - See getSlideImage()
+ */
+export function prefetchSlideImage(pageNum, options) {
+    if (!pdfDoc || pageNum < 1 || pageNum > pdfDoc.numPages) {
+        return;
+    }
+    getSlideImage(pageNum, options, true).catch(() => {});
+}
+
+/**
+ * Drop rendered slides and cancel renders (new deck)
+ */
+export function clearSlideImages() {
+    jobs.forEach(job => job.cancel());
+    slides.forEach(promise => promise.then(image => image.close?.(), () => {}));
+    slides.clear();
+}
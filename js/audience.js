@@ -0,0 +1,580 @@
+/**
+ * Beamer Presenter - Audience Module
+ * Audience window: follows the presenter (or a relay as network viewer) and shows the slides
+ */
+
+import { CONFIG } from './config.js';
+import { initPdfJs } from './pdf-renderer.js';
+import { drawStrokes, alignOverlay, applyDrawingMessage } from './drawing.js';
+import { initAudienceSync, setupAudienceMessageListener } from './sync.js';
+import { applyPointerStyle, mapToZoom, renderZoomRegion, cancelZoomRender } from './pointer.js';
+import { getViewerParams, connectViewer } from './viewer.js';
+import { initAudienceRenderer, loadAudiencePdf, getSlideImage, prefetchSlideImage } from './audience-renderer.js';
+import { isRenderCancelled } from './render-scheduler.js';
+import { playTransition, finishTransition } from './transitions.js';
+import { createMediaPlayers, clearMediaLayer, placeMediaLayer, applyMediaControl } from './media.js';
+
+// Pages whose media is kept (current and lagging outputs' page, with room to spare)
+const MAX_MEDIA_PAGES = 4;
+
+// Elements
+const waitingScreen = document.getElementById('waiting-screen');
+const waitingText = document.getElementById('waiting-text');
+const audienceScreen = document.getElementById('audience-screen');
+const canvas = document.getElementById('audience-canvas');
+const transitionCanvas = document.getElementById('audience-transition');
+const canvasWrapper = document.getElementById('audience-canvas-wrapper');
+const audiencePointer = document.getElementById('audience-pointer');
+const drawingCanvas = document.getElementById('audience-drawing');
+const mediaLayer = document.getElementById('audience-media');
+const zoomCanvas = document.getElementById('audience-zoom');
+const pageIndicator = document.getElementById('page-indicator');
+const audiencePage = document.getElementById('audience-page');
+const audienceTotal = document.getElementById('audience-total');
+const fullscreenBanner = document.getElementById('fullscreen-banner');
+const fullscreenBtn = document.getElementById('fullscreen-btn');
+const closeBannerBtn = document.getElementById('close-banner-btn');
+const timerFlash = document.getElementById('timer-flash');
+
+let pdfDoc = null;
+let pdfStatus = 'none';  // none, loading, ready, error (reported in heartbeats)
+let currentPage = 1;
+let totalPages = 1;
+let location = 'right';
+let split = 0.5;
+let displayMode = 'normal';
+let drawnPage = null;  // Page on the canvas (transitions start from it)
+let transitionSettings = { ...CONFIG.defaults.transitions };
+let resizeTimer = null;
+let drawings = new Map();
+let zoomRegion = null;
+let mediaPages = new Map();  // Media of pages from the presenter (page -> items)
+let media = { page: null, items: null, players: new Map() };  // Players shown
+let presenterPage = 1;
+let presenterPreviousPage = null;
+let outputSettings = {
+    showPointer: true,
+    showDrawings: true,
+    showPageIndicator: true,
+    lagBehind: false,
+};
+
+/**
+ * Load PDF from ArrayBuffer
+ */
+async function loadPdf(arrayBuffer) {
+    pdfDoc = await loadAudiencePdf(arrayBuffer);
+    totalPages = pdfDoc.numPages;
+
+    console.log(`Audience: PDF loaded with ${totalPages} pages`);
+}
+
+/**
+ * Get the output the slides are rendered for
+ * @returns {{ location: string, split: number, width: number, height: number, dpr: number }}
+ */
+function getOutputOptions() {
+    return {
+        location,
+        split,
+        width: audienceScreen.clientWidth || window.innerWidth,
+        height: audienceScreen.clientHeight || window.innerHeight,
+        dpr: window.devicePixelRatio || 1,
+    };
+}
+
+/**
+ * Render audience slide
+ * @param {number} pageNum
+ * @param {object|null} [transition] - From NAVIGATE (see transitions.js), null to just draw
+ */
+async function renderSlide(pageNum, transition = null) {
+    if (!pdfDoc || pageNum < 1 || pageNum > totalPages) {
+        return;
+    }
+
+    currentPage = pageNum;
+
+    // Update page indicator
+    audiencePage.textContent = currentPage;
+    audienceTotal.textContent = totalPages;
+
+    // Show page indicator briefly
+    pageIndicator.classList.add('visible');
+    setTimeout(() => {
+        pageIndicator.classList.remove('visible');
+    }, 2000);
+
+    try {
+        // Rendered at the output's resolution (in a worker where possible)
+        const options = getOutputOptions();
+        const image = await getSlideImage(pageNum, options);
+        if (pageNum !== currentPage) {
+            return;
+        }
+
+        // Nothing to transition from while blanked or zoomed
+        const animate = transition && drawnPage !== null && drawnPage !== pageNum
+            && displayMode === 'normal' && !zoomRegion;
+        if (animate) {
+            copyToSnapshot();
+        }
+
+        drawToCanvas(image);
+        drawnPage = pageNum;
+        showMedia(pageNum);
+        if (animate) {
+            playTransition(canvas, transitionCanvas, transition);
+        }
+        prefetchSlideImage(pageNum + 1, options);
+    } catch (error) {
+        if (!isRenderCancelled(error)) {
+            console.error('Render error:', error);
+        }
+    }
+}
+
+/**
+ * Copy the slide on the canvas to the transition canvas laid over it
+ */
+function copyToSnapshot() {
+    finishTransition(transitionCanvas);
+    alignOverlay(transitionCanvas, canvas, canvasWrapper);
+    transitionCanvas.getContext('2d').drawImage(canvas, 0, 0, transitionCanvas.width, transitionCanvas.height);
+}
+
+/**
+ * Draw a rendered slide to the display canvas
+ * @param {ImageBitmap|HTMLCanvasElement} image - Slide at device pixels
+ */
+function drawToCanvas(image) {
+    const dpr = window.devicePixelRatio || 1;
+    canvas.style.width = `${image.width / dpr}px`;
+    canvas.style.height = `${image.height / dpr}px`;
+    canvas.width = image.width;
+    canvas.height = image.height;
+
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    redrawDrawing();
+}
+
+/**
+ * Redraw presenter strokes of the current page
+ */
+function redrawDrawing() {
+    alignOverlay(drawingCanvas, canvas, canvasWrapper);
+    drawStrokes(drawingCanvas, drawings.get(currentPage) || []);
+}
+
+/**
+ * Zoom into a region of the current slide (re-rendered at full resolution)
+ * @param {{x: number, y: number, w: number, h: number}|null} region - Normalized region, null to reset
+ */
+async function applyZoom(region) {
+    zoomRegion = region;
+
+    if (!region) {
+        cancelZoomRender();
+        canvasWrapper.classList.remove('zoomed');
+        redrawDrawing();
+        return;
+    }
+
+    if (!pdfDoc) {
+        return;
+    }
+
+    try {
+        const rendered = await renderZoomRegion(
+            pdfDoc, currentPage, region, location, split, zoomCanvas,
+            audienceScreen.clientWidth, audienceScreen.clientHeight
+        );
+        if (rendered) {
+            canvasWrapper.classList.add('zoomed');
+        }
+    } catch (error) {
+        console.error('Zoom render error:', error);
+    }
+}
+
+/**
+ * Get page this output shows (lagging outputs stay one slide behind)
+ * @returns {number}
+ */
+function getShownPage() {
+    if (outputSettings.lagBehind && presenterPreviousPage) {
+        return presenterPreviousPage;
+    }
+    return presenterPage;
+}
+
+/**
+ * Store presenter page from STATE/NAVIGATE
+ * @param {{ page?: number, previousPage?: number|null }} payload
+ */
+function updatePresenterPage(payload) {
+    if (payload.page) {
+        presenterPage = payload.page;
+        presenterPreviousPage = payload.previousPage ?? null;
+    }
+}
+
+/**
+ * Apply output name and settings from the presenter
+ * @param {{ name: string, settings: object }} config
+ */
+function applyOutputConfig(config) {
+    outputSettings = { ...outputSettings, ...config.settings };
+    document.title = `Beamer Presenter - ${config.name}`;
+
+    pageIndicator.classList.toggle('hidden', !outputSettings.showPageIndicator);
+    drawingCanvas.classList.toggle('hidden', !outputSettings.showDrawings);
+
+    if (!outputSettings.showPointer || outputSettings.lagBehind) {
+        updatePointer(null, null, false);
+    }
+    if (outputSettings.lagBehind && zoomRegion) {
+        applyZoom(null);
+    }
+    if (pdfDoc && getShownPage() !== currentPage) {
+        renderSlide(getShownPage());
+    }
+}
+
+/**
+ * Show the media players of a page over the slide
+ * Players are kept while the page and its media stay (resizing only moves them).
+ * @param {number} pageNum
+ */
+function showMedia(pageNum) {
+    const items = mediaPages.get(pageNum) || [];
+
+    if (media.page !== pageNum || media.items !== items) {
+        const players = createMediaPlayers(mediaLayer, items, { controls: false, muted: false });
+        media = { page: pageNum, items, players };
+
+        items.forEach((item) => {
+            if (item.state && players.has(item.id)) {
+                applyMediaControl(players.get(item.id), item.state);
+            }
+        });
+    }
+
+    placeMediaLayer(mediaLayer, canvas, canvasWrapper, location, split);
+}
+
+/**
+ * Store the media of a page from the presenter
+ * @param {{ page: number, items: object[] }} payload
+ */
+function storeMedia(payload) {
+    mediaPages.delete(payload.page);
+    mediaPages.set(payload.page, payload.items);
+
+    // Oldest first
+    for (const page of mediaPages.keys()) {
+        if (mediaPages.size <= MAX_MEDIA_PAGES) {
+            break;
+        }
+        mediaPages.delete(page);
+    }
+}
+
+/**
+ * Follow play, pause and seek of a presenter player
+ * @param {{ page: number, id: string, playing: boolean, time: number, rate: number }} payload
+ */
+function controlMedia(payload) {
+    // Kept for players created later (slide still rendering)
+    const item = mediaPages.get(payload.page)?.find(candidate => candidate.id === payload.id);
+    if (item) {
+        item.state = payload;
+    }
+
+    if (media.page === payload.page && media.players.has(payload.id)) {
+        applyMediaControl(media.players.get(payload.id), payload);
+    }
+}
+
+/**
+ * Apply display mode
+ * Blanking fades over the deck's fade to / from black times.
+ */
+function applyDisplayMode(mode) {
+    const fade = mode === 'normal' ? transitionSettings.fadeFromBlack : transitionSettings.fadeToBlack;
+    audienceScreen.style.setProperty('--mode-fade', `${fade || 0}s`);
+
+    displayMode = mode;
+    audienceScreen.classList.remove('blackout', 'whiteout');
+
+    if (mode === 'black') {
+        audienceScreen.classList.add('blackout');
+    } else if (mode === 'white') {
+        audienceScreen.classList.add('whiteout');
+    }
+}
+
+/**
+ * Request fullscreen
+ */
+async function requestFullscreen() {
+    const elem = document.documentElement;
+    try {
+        if (elem.requestFullscreen) {
+            await elem.requestFullscreen();
+        } else if (elem.webkitRequestFullscreen) {
+            await elem.webkitRequestFullscreen();
+        }
+        fullscreenBanner.classList.add('hidden');
+    } catch (err) {
+        // Fullscreen failed (likely due to missing user gesture)
+        // Show banner so user can click the button directly
+        console.log('Fullscreen request failed, showing banner:', err.message);
+        fullscreenBanner.classList.remove('hidden');
+    }
+}
+
+/**
+ * Update laser pointer position
+ * @param {number} x - Normalized X (0-1)
+ * @param {number} y - Normalized Y (0-1)
+ * @param {boolean} active - Whether pointer is visible
+ * @param {string} mode - Pointer style (laser, spotlight, zoom)
+ */
+function updatePointer(x, y, active, mode = 'laser') {
+    if (!active || x === null || y === null) {
+        audiencePointer.classList.add('hidden');
+        return;
+    }
+
+    // While zoomed, map slide coordinates into the zoomed region
+    let target = canvas;
+    if (zoomRegion) {
+        const mapped = mapToZoom(x, y, zoomRegion);
+        if (!mapped) {
+            audiencePointer.classList.add('hidden');
+            return;
+        }
+        ({ x, y } = mapped);
+        target = zoomCanvas;
+    }
+
+    audiencePointer.classList.remove('hidden');
+
+    // Position relative to canvas
+    const canvasRect = target.getBoundingClientRect();
+    const wrapperRect = canvasWrapper.getBoundingClientRect();
+
+    applyPointerStyle(audiencePointer, mode, canvasRect.width);
+
+    // Calculate offset of canvas within wrapper
+    const offsetX = canvasRect.left - wrapperRect.left;
+    const offsetY = canvasRect.top - wrapperRect.top;
+
+    // Calculate position in pixels
+    const posX = offsetX + (x * canvasRect.width);
+    const posY = offsetY + (y * canvasRect.height);
+
+    audiencePointer.style.left = `${posX}px`;
+    audiencePointer.style.top = `${posY}px`;
+}
+
+/**
+ * Flash screen edges briefly (countdown threshold reached)
+ * @param {string} level - 'warning', 'critical' or 'overtime'
+ */
+function flashTimerWarning(level) {
+    timerFlash.className = `timer-flash ${level}`;
+    // Force reflow so the animation restarts
+    void timerFlash.offsetWidth;
+    timerFlash.classList.add('active');
+}
+
+/**
+ * Take over the notes layout sent with STATE and PDF_DATA
+ * @param {{ location?: string, split?: number }} settings - Missing values are kept
+ */
+function applyLayout(settings) {
+    location = settings.location ?? location;
+    split = settings.split ?? split;
+}
+
+/**
+ * Load a PDF from the presenter and show the current slide
+ * @param {ArrayBuffer} data
+ * @param {{ location?: string, split?: number }} settings
+ */
+function showPdf(data, settings) {
+    applyLayout(settings);
+    mediaPages = new Map();
+    clearMediaLayer(mediaLayer);
+    media = { page: null, items: null, players: new Map() };
+
+    pdfStatus = 'loading';
+    loadPdf(data).then(() => {
+        pdfStatus = 'ready';
+        waitingScreen.classList.add('hidden');
+        audienceScreen.classList.remove('hidden');
+        fullscreenBanner.classList.remove('hidden');
+        renderSlide(currentPage);
+        if (zoomRegion) {
+            applyZoom(zoomRegion);
+        }
+    }).catch(err => {
+        pdfStatus = 'error';
+        console.error('Failed to load PDF:', err);
+    });
+}
+
+/**
+ * Handle messages from presenter (validated by sync.js)
+ * @param {{ type: string, payload: object }} message
+ */
+function handleMessage(message) {
+    const { type, payload } = message;
+
+    console.log('Audience received message:', type);
+
+    switch (type) {
+        case CONFIG.messageTypes.STATE:
+            console.log('Received state:', payload);
+            applyLayout(payload);
+            if (payload.transitions) transitionSettings = payload.transitions;
+            if (payload.totalPages) totalPages = payload.totalPages;
+            if (payload.mode) applyDisplayMode(payload.mode);
+            updatePresenterPage(payload);
+            if (payload.page) currentPage = getShownPage();
+            if (pdfDoc && payload.page) {
+                renderSlide(currentPage);
+            }
+            break;
+
+        case CONFIG.messageTypes.PDF_DATA:
+            console.log('Received PDF data, size:', payload.data?.byteLength);
+            showPdf(payload.data, payload);
+            break;
+
+        case CONFIG.messageTypes.NAVIGATE:
+            console.log('Received navigate:', payload);
+            updatePresenterPage(payload);
+            if (payload.page) {
+                renderSlide(getShownPage(), payload.transition);
+            }
+            break;
+
+        case CONFIG.messageTypes.MODE:
+            console.log('Received mode:', payload);
+            if (payload.mode) {
+                applyDisplayMode(payload.mode);
+            }
+            break;
+
+        case CONFIG.messageTypes.REQUEST_FULLSCREEN:
+            requestFullscreen();
+            break;
+
+        case CONFIG.messageTypes.POINTER:
+            // Pointer positions refer to the presenter's current slide
+            if (!outputSettings.showPointer || outputSettings.lagBehind) {
+                break;
+            }
+            updatePointer(payload.x, payload.y, payload.active, payload.mode);
+            break;
+
+        case CONFIG.messageTypes.ZOOM:
+            if (payload.region && (payload.page !== currentPage || outputSettings.lagBehind)) {
+                break;
+            }
+            applyZoom(payload.region);
+            break;
+
+        case CONFIG.messageTypes.OUTPUT_CONFIG:
+            applyOutputConfig(payload);
+            break;
+
+        case CONFIG.messageTypes.CLOSE:
+            window.close();
+            break;
+
+        case CONFIG.messageTypes.TIMER_WARNING:
+            flashTimerWarning(payload.level);
+            break;
+
+        case CONFIG.messageTypes.DRAWING:
+            applyDrawingMessage(drawings, payload);
+            if (payload.page === currentPage) {
+                drawStrokes(drawingCanvas, drawings.get(currentPage) || []);
+            }
+            break;
+
+        case CONFIG.messageTypes.MEDIA:
+            storeMedia(payload);
+            if (pdfDoc && payload.page === drawnPage) {
+                showMedia(drawnPage);
+            }
+            break;
+
+        case CONFIG.messageTypes.MEDIA_CONTROL:
+            controlMedia(payload);
+            break;
+    }
+}
+
+/**
+ * Initialize
+ */
+async function init() {
+    console.log('Audience view initializing...');
+
+    await initPdfJs();
+    initAudienceRenderer();
+
+    // Network viewer (audience.html?viewer=CODE) follows over the relay instead
+    const viewerParams = getViewerParams();
+
+    if (viewerParams) {
+        document.title = 'Beamer Presenter - Viewer';
+        connectViewer(viewerParams, {
+            onMessage: handleMessage,
+            onPdf: showPdf,
+            onStatus: (text) => {
+                waitingText.textContent = text;
+            },
+        });
+    } else if (initAudienceSync()) {
+        // Setup message listener (says hello to the presenter)
+        setupAudienceMessageListener(handleMessage, () => ({
+            page: currentPage,
+            mode: displayMode,
+            pdf: pdfStatus,
+        }));
+    } else {
+        waitingText.textContent = 'Open this window from the presenter screen';
+        return;
+    }
+
+    // Fullscreen button
+    fullscreenBtn.addEventListener('click', requestFullscreen);
+    closeBannerBtn.addEventListener('click', () => {
+        fullscreenBanner.classList.add('hidden');
+    });
+
+    // Handle resize (re-rendered for the new size once resizing settles)
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (pdfDoc) {
+                renderSlide(currentPage);
+            }
+            if (zoomRegion) {
+                applyZoom(zoomRegion);
+            }
+        }, 150);
+    });
+
+    console.log('Audience view ready');
+}
+
+// Start the audience view
+document.addEventListener('DOMContentLoaded', init);
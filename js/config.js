@@ -6,27 +6,93 @@
 export const CONFIG = {
   // Default settings
   defaults: {
-    location: 'right',  // right, left, top, bottom
+    location: 'auto',   // auto (detected from the PDF), right, left, top, bottom, none (no notes region)
     split: 0.5,         // Split ratio
     scale: 2.0,         // Render scale multiplier (higher = sharper but more memory)
     showNextPreview: true,
+    nextPreviewMode: 'overlay',  // overlay (next page), frame (next Beamer frame)
+    noteFontSize: 18,   // Text notes font size (px)
+    showOutlineNotes: false,  // Show PDF outline section in text notes
     timerAutoStart: false,
+    timerMode: 'elapsed',     // elapsed, countdown
+    talkWarningMinutes: 5,    // Countdown turns amber
+    talkCriticalMinutes: 1,   // Countdown turns red
+    audienceTimerFlash: false,  // Flash audience window at thresholds
+    drawingColor: '#ff3b30',
+    budgetMode: 'none',       // none, even (spread over talk), file (timings file)
+    transitions: {
+      style: 'none',      // none, crossfade, push, pdf (the deck's own /Trans entries)
+      duration: 0.5,      // Crossfade / push duration (s)
+      fadeToBlack: 0,     // Blackout / whiteout fade (s, 0 = instant)
+      fadeFromBlack: 0,   // Back to the slide (s)
+    },
   },
 
-  // Session ID for window communication
-  sessionId: crypto.randomUUID(),
+  // Presenter page cache budget in megapixels (4 bytes each; see js/render-scheduler.js)
+  renderCacheMegapixels: 48,
+
+  // Session ID for window communication (set by sync.js)
+  sessionId: null,
 
   // Message types for postMessage
   messageTypes: {
     HELLO: 'HELLO',
+    ANNOUNCE: 'ANNOUNCE',  // Presenter (re)started, audiences reply with HELLO
+    BYE: 'BYE',            // Audience window closing
+    PING: 'PING',          // Presenter heartbeat
+    PONG: 'PONG',          // Audience reply with its page, mode and PDF status
+    OUTPUT_CONFIG: 'OUTPUT_CONFIG',  // Per-output settings
+    CLOSE: 'CLOSE',        // Ask an output window to close
     STATE: 'STATE',
     NAVIGATE: 'NAVIGATE',
     MODE: 'MODE',
     PDF_DATA: 'PDF_DATA',
     ERROR: 'ERROR',
+    REQUEST_FULLSCREEN: 'REQUEST_FULLSCREEN',
     POINTER: 'POINTER',  // Laser pointer position
+    TIMER_WARNING: 'TIMER_WARNING',  // Countdown threshold reached
+    DRAWING: 'DRAWING',  // Pen/highlighter strokes
+    ZOOM: 'ZOOM',        // Magnified slide region
+    MEDIA: 'MEDIA',      // Media players of a page, with their files
+    MEDIA_CONTROL: 'MEDIA_CONTROL',  // Play, pause and seek of a media player
+  },
+
+  // Phone remote messages (sent through the relay, see js/remote.js)
+  remoteMessageTypes: {
+    HELLO: 'REMOTE_HELLO',      // Remote asks for the current status
+    STATUS: 'REMOTE_STATUS',    // Page, thumbnails and notes
+    TIMER: 'REMOTE_TIMER',      // Timer display
+    COMMAND: 'REMOTE_COMMAND',  // next, prev, black, white, jump
+  },
+
+  // Network viewer messages (audience.html?viewer=CODE, see js/mirror.js)
+  viewerMessageTypes: {
+    HELLO: 'VIEWER_HELLO',      // Viewer asks for state (and the PDF unless it has it)
+    PDF_BEGIN: 'PDF_BEGIN',     // Size, chunk count and checksum of the PDF
+    PDF_CHUNK: 'PDF_CHUNK',
+    PDF_END: 'PDF_END',
+    PDF_RESEND: 'PDF_RESEND',   // Viewer asks for missing or corrupted chunks
   },
 
+  // Audience output presets
+  outputPresets: {
+    projector: {
+      name: 'Projector',
+      settings: { showPointer: true, showDrawings: true, showPageIndicator: true, lagBehind: false },
+    },
+    confidence: {
+      name: 'Confidence monitor',
+      settings: { showPointer: true, showDrawings: true, showPageIndicator: true, lagBehind: false },
+    },
+    capture: {
+      name: 'Recording',
+      settings: { showPointer: true, showDrawings: true, showPageIndicator: false, lagBehind: false },
+    },
+  },
+
+  // Slide aspect ratios (width / height) recognized by notes layout detection
+  slideRatios: [4 / 3, 16 / 10, 16 / 9, 3 / 2, 5 / 4, 14 / 9],
+
   // Display modes
   displayModes: {
     NORMAL: 'normal',
@@ -34,13 +100,30 @@ export const CONFIG = {
     WHITE: 'white',
   },
 
-  // Keyboard shortcuts
+  // Default keyboard shortcuts: action -> key combos ('KeyB', 'Shift+F5'; user bindings in js/shortcuts.js)
   shortcuts: {
     next: ['Space', 'ArrowRight', 'PageDown'],
     prev: ['ArrowLeft', 'PageUp'],
     first: ['Home'],
     last: ['End'],
-    fullscreen: ['KeyF'],
+    nextFrame: ['ArrowDown'],
+    prevFrame: ['ArrowUp'],
+    overview: ['Tab', 'KeyG'],
+    black: ['KeyB', 'Period'],
+    white: ['KeyW'],
+    fullscreen: ['KeyF', 'F5', 'Shift+F5'],  // Clickers send F5 / Shift+F5 to start the show
+    timerToggle: ['KeyT'],
+    timerReset: ['KeyR'],
+    laser: ['KeyL'],
+    spotlight: ['KeyS'],
+    zoom: ['KeyZ'],
+    pen: ['KeyD'],
+    highlighter: ['KeyH'],
+    eraser: ['KeyE'],
+    clearDrawing: ['KeyC'],
+    notesZoomIn: ['Equal', 'Shift+Equal', 'NumpadAdd'],
+    notesZoomOut: ['Minus', 'NumpadSubtract'],
+    help: ['Shift+Slash', 'F1'],
   },
 };
 
@@ -52,40 +135,135 @@ export const AppState = {
   pdfDoc: null,
   pdfData: null,  // ArrayBuffer for sharing
   pdfUrl: null,   // URL for sharing (if loaded via URL)
+  deckName: null, // File name or URL of the loaded deck
   totalPages: 0,
   currentPage: 1,
 
+  // Beamer frames (pages grouped by page label)
+  pageLabels: null,
+  frames: [],        // [{ start, end, label }]
+  pageToFrame: [],   // page index -> frame index
+  hiddenPages: new Set(),  // Pages skipped during navigation
+
+  // Text notes (page -> text)
+  textNotes: new Map(),        // From pdfpc sidecar
+  annotationNotes: new Map(),  // From PDF annotations (page -> string[])
+  pageMedia: new Map(),  // Video and audio of pages (page -> items, see js/media.js)
+  noteFontSize: CONFIG.defaults.noteFontSize,
+  showOutlineNotes: CONFIG.defaults.showOutlineNotes,
+
+  // Talk timing (countdown)
+  timerMode: CONFIG.defaults.timerMode,
+  talkDuration: null,       // ms
+  talkEndTime: null,        // 'HH:MM'
+  talkWarningMinutes: CONFIG.defaults.talkWarningMinutes,
+  talkCriticalMinutes: CONFIG.defaults.talkCriticalMinutes,
+  audienceTimerFlash: CONFIG.defaults.audienceTimerFlash,
+
+  // Per-slide schedule
+  budgetMode: CONFIG.defaults.budgetMode,
+  slideBudgets: new Map(),  // Page -> budget in ms (timings file)
+  pageVisits: [],           // [{ page, elapsed }] in navigation order
+  pageEnteredAt: 0,         // Elapsed time when the current page was entered
+  isRehearsing: false,
+
   // Settings
   location: CONFIG.defaults.location,
   split: CONFIG.defaults.split,
   scale: CONFIG.defaults.scale,
   showNextPreview: CONFIG.defaults.showNextPreview,
+  nextPreviewMode: CONFIG.defaults.nextPreviewMode,
+
+  // Slide transitions (settings are kept per deck)
+  transitions: { ...CONFIG.defaults.transitions },
+  pageTransitions: new Map(),  // Page -> transition from the PDF's /Trans entry
 
   // Display
   displayMode: CONFIG.displayModes.NORMAL,
 
-  // Audience window
-  audienceWindow: null,
-  isAudienceConnected: false,
+  // Pointer
+  pointerMode: 'laser',  // laser, spotlight, zoom (drag a region to magnify)
+  zoomRegion: null,      // { x, y, w, h } normalized, null if not zoomed
+
+  // Drawing
+  drawingTool: null,  // null (pointer), pen, highlighter, eraser
+  drawingColor: CONFIG.defaults.drawingColor,
+  drawings: new Map(),  // Page -> strokes
+
+  // Audience outputs (id -> { id, name, settings, window, isConnected, lastSeen, latency })
+  outputs: new Map(),
+  previousPage: null,  // Page shown before the current one (lagging outputs)
 
   // Timer
   timerState: 'stopped',  // stopped, running, paused
   timerStartTime: null,
   timerElapsed: 0,
-
-  // Cache for rendered pages
-  pageCache: new Map(),
 };
 
+/**
+ * Find the standard slide ratio closest to a ratio
+ * @param {number} ratio - Width / height
+ * @returns {{ ratio: number, error: number }} - error is relative
+ */
+function closestSlideRatio(ratio) {
+  return CONFIG.slideRatios
+    .map(slideRatio => ({ ratio: slideRatio, error: Math.abs(ratio / slideRatio - 1) }))
+    .reduce((best, candidate) => (candidate.error < best.error ? candidate : best));
+}
+
+/**
+ * Guess notes layout from the page geometry alone
+ * A page twice as wide (or high) as a slide is Beamer's "show notes on second screen",
+ * which puts the notes on the right (or bottom) by default. Other pages are split so
+ * that the audience part keeps a standard slide ratio.
+ * @param {number} width - Page width
+ * @param {number} height - Page height
+ * @returns {{ location: string, split: number }} - location is right, bottom or none
+ */
+export function getLayoutFromAspect(width, height) {
+  const ratio = width / height;
+  const horizontal = ratio > 1;
+
+  // A single slide
+  if (closestSlideRatio(ratio).error < 0.03) {
+    return { location: 'none', split: 0.5 };
+  }
+
+  // Two slide-sized halves
+  if (closestSlideRatio(horizontal ? ratio / 2 : ratio * 2).error < 0.03) {
+    return { location: horizontal ? 'right' : 'bottom', split: 0.5 };
+  }
+
+  // Audience part with a slide ratio, the rest is notes
+  const candidates = CONFIG.slideRatios
+    .map(slideRatio => (horizontal ? slideRatio / ratio : ratio / slideRatio))
+    .filter(split => split >= 0.3 && split <= 0.75);
+
+  if (candidates.length === 0) {
+    return { location: 'none', split: 0.5 };
+  }
+
+  const split = candidates.reduce((best, candidate) => (
+    Math.abs(candidate - 0.5) < Math.abs(best - 0.5) ? candidate : best
+  ));
+  return { location: horizontal ? 'right' : 'bottom', split: Math.round(split * 1000) / 1000 };
+}
+
 /**
  * Get region coordinates based on location setting
  * @param {number} width - Full page width
  * @param {number} height - Full page height
- * @param {string} location - Notes location (right, left, top, bottom)
- * @param {number} split - Split ratio (0-1)
+ * @param {string} location - Notes location (auto, right, left, top, bottom, none)
+ * @param {number} split - Split ratio (0-1), ignored for auto
  * @returns {{ audience: {x, y, w, h}, notes: {x, y, w, h} }}
  */
 export function getRegions(width, height, location = 'right', split = 0.5) {
+  if (location === 'auto') {
+    // Geometry only; the presenter resolves auto with content analysis (js/layout.js)
+    const layout = getLayoutFromAspect(width, height);
+    return getRegions(width, height, layout.location, layout.split);
+  }
+
   const regions = {
     audience: { x: 0, y: 0, w: 0, h: 0 },
     notes: { x: 0, y: 0, w: 0, h: 0 },
@@ -112,6 +290,10 @@ export function getRegions(width, height, location = 'right', split = 0.5) {
       regions.audience = { x: 0, y: 0, w: width, h: height * split };
       regions.notes = { x: 0, y: height * split, w: width, h: height * (1 - split) };
       break;
+    case 'none':
+      // Whole page is audience content, no notes region
+      regions.audience = { x: 0, y: 0, w: width, h: height };
+      break;
   }
 
   return regions;
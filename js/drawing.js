@@ -0,0 +1,249 @@
+/**
+ * Beamer Presenter - Drawing Module
+ * Freehand pen/highlighter strokes on slides, mirrored to the audience
+ */
+
+import { AppState } from './config.js';
+import { sendDrawingToAudience } from './sync.js';
+
+// Stroke styles (width relative to slide width)
+const TOOL_STYLES = {
+    pen: { width: 0.004, alpha: 1.0 },
+    highlighter: { width: 0.025, alpha: 0.35 },
+};
+
+// Eraser hit radius (relative to slide width)
+const ERASER_RADIUS = 0.015;
+
+// Stream stroke points to the audience at ~30fps
+const SEND_THROTTLE_MS = 33;
+
+let activeStroke = null;
+let activePage = null;
+let unsentPoints = [];
+let lastSendTime = 0;
+
+/**
+ * Draw a single stroke
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ tool: string, color: string, points: number[][] }} stroke
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawStroke(ctx, stroke, width, height) {
+    const style = TOOL_STYLES[stroke.tool] || TOOL_STYLES.pen;
+    const points = stroke.points;
+
+    if (points.length === 0) {
+        return;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = style.alpha;
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    ctx.lineWidth = style.width * width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (points.length === 1) {
+        // Single click: draw a dot
+        ctx.beginPath();
+        ctx.arc(points[0][0] * width, points[0][1] * height, ctx.lineWidth / 2, 0, Math.PI * 2);
+        ctx.fill();
+    } else {
+        ctx.beginPath();
+        ctx.moveTo(points[0][0] * width, points[0][1] * height);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i][0] * width, points[i][1] * height);
+        }
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Draw strokes to an overlay canvas (clears it first)
+ * @param {HTMLCanvasElement} canvas - Overlay canvas
+ * @param {object[]} strokes - Strokes with normalized coordinates
+ */
+export function drawStrokes(canvas, strokes) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    strokes.forEach((stroke) => {
+        drawStroke(ctx, stroke, canvas.width, canvas.height);
+    });
+}
+
+/**
+ * Size and position an overlay canvas exactly over a slide canvas
+ * @param {HTMLCanvasElement} overlay - Overlay canvas (absolutely positioned)
+ * @param {HTMLCanvasElement} canvas - Slide canvas
+ * @param {HTMLElement} wrapper - Positioned ancestor of both canvases
+ */
+export function alignOverlay(overlay, canvas, wrapper) {
+    const canvasRect = canvas.getBoundingClientRect();
+    const wrapperRect = wrapper.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    overlay.style.left = `${canvasRect.left - wrapperRect.left}px`;
+    overlay.style.top = `${canvasRect.top - wrapperRect.top}px`;
+    overlay.style.width = `${canvasRect.width}px`;
+    overlay.style.height = `${canvasRect.height}px`;
+    overlay.width = Math.round(canvasRect.width * dpr);
+    overlay.height = Math.round(canvasRect.height * dpr);
+}
+
+/**
+ * Get strokes of a page
+ * @param {number} page - Page number (1-indexed)
+ * @returns {object[]}
+ */
+export function getPageStrokes(page) {
+    return AppState.drawings.get(page) || [];
+}
+
+/**
+ * Check if a stroke is being drawn
+ * @returns {boolean}
+ */
+export function isStrokeActive() {
+    return activeStroke !== null;
+}
+
+/**
+ * Send points not yet streamed to the audience
+ */
+function flushPoints() {
+    if (unsentPoints.length === 0) {
+        return;
+    }
+
+    sendDrawingToAudience({ action: 'points', page: activePage, points: unsentPoints });
+    unsentPoints = [];
+    lastSendTime = Date.now();
+}
+
+/**
+ * Start a stroke with the current tool
+ * @param {number} page - Page number (1-indexed)
+ * @param {number} x - Normalized X (0-1)
+ * @param {number} y - Normalized Y (0-1)
+ */
+export function beginStroke(page, x, y) {
+    activePage = page;
+    activeStroke = {
+        tool: AppState.drawingTool,
+        color: AppState.drawingColor,
+        points: [[x, y]],
+    };
+
+    if (!AppState.drawings.has(page)) {
+        AppState.drawings.set(page, []);
+    }
+    AppState.drawings.get(page).push(activeStroke);
+
+    sendDrawingToAudience({ action: 'begin', page: page, stroke: activeStroke });
+    unsentPoints = [];
+    lastSendTime = Date.now();
+}
+
+/**
+ * Add a point to the active stroke
+ * @param {number} x - Normalized X (0-1)
+ * @param {number} y - Normalized Y (0-1)
+ */
+export function extendStroke(x, y) {
+    if (!activeStroke) {
+        return;
+    }
+
+    activeStroke.points.push([x, y]);
+    unsentPoints.push([x, y]);
+
+    if (Date.now() - lastSendTime >= SEND_THROTTLE_MS) {
+        flushPoints();
+    }
+}
+
+/**
+ * Finish the active stroke
+ */
+export function endStroke() {
+    if (!activeStroke) {
+        return;
+    }
+
+    flushPoints();
+    activeStroke = null;
+    activePage = null;
+}
+
+/**
+ * Erase strokes passing near a point
+ * @param {number} page - Page number (1-indexed)
+ * @param {number} x - Normalized X (0-1)
+ * @param {number} y - Normalized Y (0-1)
+ * @returns {boolean} - Whether any stroke was erased
+ */
+export function eraseAt(page, x, y) {
+    const strokes = getPageStrokes(page);
+    const remaining = strokes.filter(stroke => !stroke.points.some(
+        ([px, py]) => Math.hypot(px - x, py - y) <= ERASER_RADIUS
+    ));
+
+    if (remaining.length === strokes.length) {
+        return false;
+    }
+
+    AppState.drawings.set(page, remaining);
+    sendDrawingToAudience({ action: 'set', page: page, strokes: remaining });
+    return true;
+}
+
+/**
+ * Remove all strokes of a page
+ * @param {number} page - Page number (1-indexed)
+ */
+export function clearPageDrawing(page) {
+    endStroke();
+    AppState.drawings.delete(page);
+    sendDrawingToAudience({ action: 'set', page: page, strokes: [] });
+}
+
+/**
+ * Send all strokes to the audience (after it connects)
+ */
+export function sendAllDrawings() {
+    AppState.drawings.forEach((strokes, page) => {
+        sendDrawingToAudience({ action: 'set', page: page, strokes: strokes });
+    });
+}
+
+/**
+ * Apply a drawing message to a page -> strokes map (audience side)
+ * @param {Map<number, object[]>} drawings
+ * @param {{ action: string, page: number, stroke?: object, points?: number[][], strokes?: object[] }} payload
+ */
+export function applyDrawingMessage(drawings, payload) {
+    const strokes = drawings.get(payload.page) || [];
+
+    switch (payload.action) {
+        case 'begin':
+            strokes.push(payload.stroke);
+            drawings.set(payload.page, strokes);
+            break;
+
+        case 'points':
+            if (strokes.length > 0) {
+                strokes[strokes.length - 1].points.push(...payload.points);
+            }
+            break;
+
+        case 'set':
+            drawings.set(payload.page, payload.strokes);
+            break;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Beamer Presenter - Frame Module
+ * Groups Beamer overlay pages into logical frames using PDF page labels
+ */
+
+import { AppState } from './config.js';
+
+/**
+ * Build frame list from page labels
+ * Consecutive pages sharing a label belong to the same frame.
+ * @param {string[]|null} labels - Page labels (index 0 = page 1), or null
+ * @param {number} totalPages - Number of pages
+ * @returns {{ start: number, end: number, label: string }[]}
+ */
+export function buildFrames(labels, totalPages) {
+    const frames = [];
+
+    for (let page = 1; page <= totalPages; page++) {
+        const label = labels?.[page - 1] || `${page}`;
+        const last = frames[frames.length - 1];
+
+        if (labels && last && last.label === label) {
+            last.end = page;
+        } else {
+            frames.push({ start: page, end: page, label: label });
+        }
+    }
+
+    return frames;
+}
+
+/**
+ * Set frame structure for the loaded document
+ * @param {{ start: number, end: number, label: string }[]} frames
+ */
+export function setFrames(frames) {
+    AppState.frames = frames;
+    AppState.pageToFrame = new Array(AppState.totalPages);
+
+    frames.forEach((frame, index) => {
+        for (let page = frame.start; page <= frame.end; page++) {
+            AppState.pageToFrame[page - 1] = index;
+        }
+    });
+}
+
+/**
+ * Read page labels from the PDF and group pages into frames
+ * @param {PDFDocumentProxy} pdfDoc
+ */
+export async function loadFrames(pdfDoc) {
+    let labels = null;
+
+    try {
+        labels = await pdfDoc.getPageLabels();
+    } catch (error) {
+        console.warn('Failed to read page labels:', error);
+    }
+
+    AppState.pageLabels = labels;
+    setFrames(buildFrames(labels, pdfDoc.numPages));
+
+    console.log(`Frames: ${AppState.frames.length} frames in ${pdfDoc.numPages} pages`);
+}
+
+/**
+ * Check if the document has overlays (more pages than frames)
+ * @returns {boolean}
+ */
+export function hasOverlays() {
+    return AppState.frames.length > 0 && AppState.frames.length < AppState.totalPages;
+}
+
+/**
+ * Get frame containing a page
+ * @param {number} page - Page number (1-indexed)
+ * @returns {{ start: number, end: number, label: string }|null}
+ */
+export function getFrame(page) {
+    const index = AppState.pageToFrame[page - 1];
+    return index === undefined ? null : AppState.frames[index];
+}
+
+/**
+ * Get display label of a page
+ * @param {number} page - Page number (1-indexed)
+ * @returns {string}
+ */
+export function getPageLabel(page) {
+    return AppState.pageLabels?.[page - 1] || `${page}`;
+}
+
+/**
+ * Get first page of the next frame
+ * @param {number} page - Current page
+ * @returns {number} - Target page (unchanged if already in the last frame)
+ */
+export function getNextFramePage(page) {
+    const frame = getFrame(page);
+    if (!frame || frame.end >= AppState.totalPages) {
+        return page;
+    }
+    return frame.end + 1;
+}
+
+/**
+ * Get last overlay of the previous frame
+ * @param {number} page - Current page
+ * @returns {number} - Target page (unchanged if already in the first frame)
+ */
+export function getPrevFramePage(page) {
+    const frame = getFrame(page);
+    if (!frame || frame.start <= 1) {
+        return page;
+    }
+    return frame.start - 1;
+}
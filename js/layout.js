@@ -0,0 +1,235 @@
+/**
+ * Beamer Presenter - Layout Detection Module
+ * Finds the notes region of a deck (auto location) from page geometry and content
+ */
+
+import { AppState, getLayoutFromAspect } from './config.js';
+
+// Width of the low resolution renders used for content analysis (px)
+const ANALYSIS_WIDTH = 240;
+
+// Overlay pairs and single pages sampled
+const MAX_OVERLAY_PAIRS = 3;
+const MAX_SAMPLE_PAGES = 4;
+
+// How much more one half must differ before it decides the layout
+const DECISIVE_FACTOR = 1.5;
+
+const LOCATION_NAMES = {
+    right: 'on the right',
+    left: 'on the left',
+    top: 'on top',
+    bottom: 'at the bottom',
+};
+
+/**
+ * Render a page small and read its pixels
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Promise<ImageData>}
+ */
+async function renderPagePixels(pdfDoc, pageNum) {
+    const page = await pdfDoc.getPage(pageNum);
+    const baseViewport = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: ANALYSIS_WIDTH / baseViewport.width });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Get pixel bounds of the two halves of a page
+ * @param {ImageData} image
+ * @param {boolean} horizontal - Halves side by side (else stacked)
+ * @param {number} split - Fraction taken by the first half
+ * @returns {Array<{ x: number, y: number, w: number, h: number }>}
+ */
+function getHalves(image, horizontal, split) {
+    const { width, height } = image;
+
+    if (horizontal) {
+        const cut = Math.round(width * split);
+        return [
+            { x: 0, y: 0, w: cut, h: height },
+            { x: cut, y: 0, w: width - cut, h: height },
+        ];
+    }
+
+    const cut = Math.round(height * split);
+    return [
+        { x: 0, y: 0, w: width, h: cut },
+        { x: 0, y: cut, w: width, h: height - cut },
+    ];
+}
+
+/**
+ * Measure how "slide-like" a region is: colour plus non-white content
+ * Beamer notes are mostly black text on white.
+ * @param {ImageData} image
+ * @param {{ x: number, y: number, w: number, h: number }} rect
+ * @returns {number} - 0 (blank) to 2
+ */
+function measureContent(image, rect) {
+    const { data, width } = image;
+    let saturation = 0;
+    let ink = 0;
+
+    for (let y = rect.y; y < rect.y + rect.h; y++) {
+        for (let x = rect.x; x < rect.x + rect.w; x++) {
+            const i = (y * width + x) * 4;
+            const max = Math.max(data[i], data[i + 1], data[i + 2]);
+            const min = Math.min(data[i], data[i + 1], data[i + 2]);
+            saturation += (max - min) / 255;
+            if (min < 230) {
+                ink++;
+            }
+        }
+    }
+
+    const count = Math.max(1, rect.w * rect.h);
+    return saturation / count + ink / count;
+}
+
+/**
+ * Measure how much a region changes between two pages
+ * @param {ImageData} a
+ * @param {ImageData} b
+ * @param {{ x: number, y: number, w: number, h: number }} rect
+ * @returns {number} - Mean absolute difference (0-255)
+ */
+function measureChange(a, b, rect) {
+    if (a.width !== b.width || a.height !== b.height) {
+        return 0;
+    }
+
+    let total = 0;
+    for (let y = rect.y; y < rect.y + rect.h; y++) {
+        for (let x = rect.x; x < rect.x + rect.w; x++) {
+            const i = (y * a.width + x) * 4;
+            total += Math.abs(a.data[i] - b.data[i])
+                + Math.abs(a.data[i + 1] - b.data[i + 1])
+                + Math.abs(a.data[i + 2] - b.data[i + 2]);
+        }
+    }
+
+    return total / (3 * Math.max(1, rect.w * rect.h));
+}
+
+/**
+ * Decide which half holds the slide from two per-half scores
+ * @param {number[]} scores - [first half, second half], higher means slide
+ * @returns {0|1|null} - Index of the audience half, null if undecided
+ */
+function pickAudienceHalf(scores) {
+    const [first, second] = scores;
+
+    if (first > second * DECISIVE_FACTOR && first > 0.01) {
+        return 0;
+    }
+    if (second > first * DECISIVE_FACTOR && second > 0.01) {
+        return 1;
+    }
+    return null;
+}
+
+/**
+ * Find the audience half from overlays: slides build up, their notes usually stay the same
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {boolean} horizontal
+ * @param {number} split
+ * @returns {Promise<0|1|null>}
+ */
+async function detectFromOverlays(pdfDoc, horizontal, split) {
+    const pairs = AppState.frames
+        .filter(frame => frame.end > frame.start)
+        .slice(0, MAX_OVERLAY_PAIRS);
+    const scores = [0, 0];
+
+    for (const frame of pairs) {
+        const before = await renderPagePixels(pdfDoc, frame.start);
+        const after = await renderPagePixels(pdfDoc, frame.start + 1);
+        getHalves(before, horizontal, split).forEach((rect, index) => {
+            scores[index] += measureChange(before, after, rect);
+        });
+    }
+
+    return pairs.length > 0 ? pickAudienceHalf(scores) : null;
+}
+
+/**
+ * Find the audience half from content: slides have more colour and ink than notes
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {boolean} horizontal
+ * @param {number} split
+ * @returns {Promise<0|1|null>}
+ */
+async function detectFromContent(pdfDoc, horizontal, split) {
+    const total = pdfDoc.numPages;
+    const count = Math.min(MAX_SAMPLE_PAGES, total);
+    const pages = new Set();
+    for (let i = 0; i < count; i++) {
+        pages.add(1 + Math.floor(i * (total - 1) / Math.max(1, count - 1)));
+    }
+
+    const scores = [0, 0];
+    for (const pageNum of pages) {
+        const image = await renderPagePixels(pdfDoc, pageNum);
+        getHalves(image, horizontal, split).forEach((rect, index) => {
+            scores[index] += measureContent(image, rect);
+        });
+    }
+
+    return pickAudienceHalf(scores);
+}
+
+/**
+ * Detect where the notes are on the pages of a deck
+ * Geometry gives the split; overlays, then content, tell the slide half from the notes half.
+ * Without a clear answer Beamer's default (notes on the right/bottom) is assumed.
+ * @param {PDFDocumentProxy} pdfDoc - Loaded deck (frames already read)
+ * @returns {Promise<{ location: string, split: number, hasNotes: boolean, description: string }>}
+ */
+export async function detectNotesLayout(pdfDoc) {
+    const page = await pdfDoc.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const geometry = getLayoutFromAspect(width, height);
+
+    if (geometry.location === 'none') {
+        return {
+            location: 'none',
+            split: geometry.split,
+            hasNotes: false,
+            description: 'no notes region found, showing whole pages',
+        };
+    }
+
+    const horizontal = geometry.location === 'right';
+    let audienceHalf = null;
+
+    try {
+        audienceHalf = await detectFromOverlays(pdfDoc, horizontal, geometry.split);
+        if (audienceHalf === null) {
+            audienceHalf = await detectFromContent(pdfDoc, horizontal, geometry.split);
+        }
+    } catch (error) {
+        console.warn('Notes layout analysis failed, assuming Beamer default:', error);
+    }
+
+    // geometry.split is the slide fraction; for left/top the split is the notes fraction
+    const notesFirst = audienceHalf === 1;
+    const location = notesFirst
+        ? (horizontal ? 'left' : 'top')
+        : geometry.location;
+
+    return {
+        location,
+        split: notesFirst ? Math.round((1 - geometry.split) * 1000) / 1000 : geometry.split,
+        hasNotes: true,
+        description: `notes ${LOCATION_NAMES[location]}`,
+    };
+}
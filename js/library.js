@@ -0,0 +1,318 @@
+/**
+ * Beamer Presenter - Library Module
+ * Recently opened decks: thumbnail, last page and settings, reopened in one click
+ */
+
+import { AppState, getRegions } from './config.js';
+import { renderFullPage, extractRegion } from './pdf-renderer.js';
+import { getPageLabel } from './frames.js';
+import { getRehearsalsForDeck } from './rehearsal.js';
+import { formatTime } from './timer.js';
+import { withStore, STORES } from './storage.js';
+
+// Decks kept (oldest opened are dropped with their bytes)
+const MAX_ENTRIES = 30;
+
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_QUALITY = 0.7;
+
+const LOCATION_LABELS = {
+    right: 'Notes right',
+    left: 'Notes left',
+    top: 'Notes top',
+    bottom: 'Notes bottom',
+    none: 'No notes',
+};
+
+// Library entry of the loaded deck
+let currentEntry = null;
+
+// Last entry update, awaited before the list is read
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Get library ID of the loaded deck
+ * URL decks are fetched again, file decks are told apart by name and size.
+ * @returns {string}
+ */
+function getDeckId() {
+    return AppState.pdfUrl
+        ? `url:${AppState.pdfUrl}`
+        : `file:${AppState.deckName}:${AppState.pdfData.byteLength}`;
+}
+
+/**
+ * Get the settings reapplied when a deck is reopened
+ * @returns {{ location: string, split: number, scale: number, transitions: object }}
+ */
+function getDeckSettings() {
+    return {
+        location: AppState.location,
+        split: AppState.split,
+        scale: AppState.scale,
+        transitions: AppState.transitions,
+    };
+}
+
+/**
+ * Get the settings last used with the loaded deck
+ * @returns {Promise<object|null>} - null for a deck not in the library
+ */
+export async function getSavedDeckSettings() {
+    try {
+        const entry = await withStore(STORES.LIBRARY, 'readonly', store => store.get(getDeckId()));
+        return entry?.settings || null;
+    } catch (error) {
+        console.warn('Failed to read deck settings:', error);
+        return null;
+    }
+}
+
+/**
+ * Render the audience part of the first slide as a small JPEG
+ * @returns {Promise<string|null>} - Data URL
+ */
+async function createThumbnail() {
+    try {
+        const source = await renderFullPage(1, 0.5, false);
+        const region = getRegions(source.width, source.height, AppState.location, AppState.split).audience;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMBNAIL_WIDTH;
+        canvas.height = Math.round(THUMBNAIL_WIDTH * region.h / region.w);
+        extractRegion(source, canvas, region);
+
+        return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+    } catch (error) {
+        console.warn('Failed to create deck thumbnail:', error);
+        return null;
+    }
+}
+
+/**
+ * Get library entries, most recently opened first
+ * @returns {Promise<object[]>}
+ */
+export async function getLibraryEntries() {
+    await pendingUpdate;
+
+    try {
+        const entries = await withStore(STORES.LIBRARY, 'readonly', store => store.getAll());
+        return entries.sort((a, b) => b.openedAt - a.openedAt);
+    } catch (error) {
+        console.warn('Failed to read recent decks:', error);
+        return [];
+    }
+}
+
+/**
+ * Remove a deck and its stored PDF from the library
+ * @param {string} id - Entry ID
+ */
+export async function removeFromLibrary(id) {
+    if (currentEntry && currentEntry.id === id) {
+        currentEntry = null;
+    }
+
+    try {
+        await withStore(STORES.LIBRARY, 'readwrite', store => store.delete(id));
+        await withStore(STORES.LIBRARY_PDF, 'readwrite', store => store.delete(id));
+    } catch (error) {
+        console.warn('Failed to remove recent deck:', error);
+    }
+}
+
+/**
+ * Drop the oldest decks beyond MAX_ENTRIES
+ */
+async function pruneLibrary() {
+    const entries = await getLibraryEntries();
+
+    for (const entry of entries.slice(MAX_ENTRIES)) {
+        await removeFromLibrary(entry.id);
+    }
+}
+
+/**
+ * Add the loaded deck to the library (or move it to the top)
+ * Decks opened from files keep their bytes so they can be reopened without the file.
+ * The entry becomes current right away, so page changes while the thumbnail
+ * renders are recorded on this deck.
+ */
+export async function addToLibrary() {
+    if (!AppState.pdfDoc || !AppState.pdfData) {
+        return;
+    }
+
+    const pdfData = AppState.pdfData;
+    const added = {
+        id: getDeckId(),
+        name: AppState.deckName,
+        url: AppState.pdfUrl,
+        size: AppState.pdfData.byteLength,
+        totalPages: AppState.totalPages,
+        lastPage: AppState.currentPage,
+        lastPageLabel: getPageLabel(AppState.currentPage),
+        settings: getDeckSettings(),
+        thumbnail: null,
+        openedAt: Date.now(),
+    };
+    currentEntry = added;
+
+    const thumbnail = await createThumbnail();
+
+    // Keep the page and settings recorded meanwhile
+    const isCurrent = currentEntry?.id === added.id;
+    const entry = { ...(isCurrent ? currentEntry : added), thumbnail };
+    if (isCurrent) {
+        currentEntry = entry;
+    }
+
+    try {
+        await withStore(STORES.LIBRARY, 'readwrite', store => store.put(entry, entry.id));
+        if (!entry.url) {
+            await withStore(STORES.LIBRARY_PDF, 'readwrite', store => store.put(pdfData, entry.id));
+        }
+        await pruneLibrary();
+    } catch (error) {
+        console.warn('Failed to add deck to recent decks:', error);
+    }
+}
+
+/**
+ * Stop recording pages on the library entry (the deck was closed)
+ */
+export function clearLibraryEntry() {
+    currentEntry = null;
+}
+
+/**
+ * Record the current page and settings of the loaded deck
+ */
+export function updateLibraryEntry() {
+    if (!currentEntry || !AppState.pdfDoc) {
+        return;
+    }
+
+    const settings = getDeckSettings();
+    if (currentEntry.lastPage === AppState.currentPage
+        && JSON.stringify(currentEntry.settings) === JSON.stringify(settings)) {
+        return;
+    }
+
+    const entry = {
+        ...currentEntry,
+        lastPage: AppState.currentPage,
+        lastPageLabel: getPageLabel(AppState.currentPage),
+        settings,
+    };
+    currentEntry = entry;
+
+    pendingUpdate = withStore(STORES.LIBRARY, 'readwrite', store => store.put(entry, entry.id))
+        .catch(error => console.warn('Failed to update recent deck:', error));
+}
+
+/**
+ * Load the stored PDF of a deck opened from a file
+ * @param {string} id - Entry ID
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function loadLibraryPdf(id) {
+    try {
+        return (await withStore(STORES.LIBRARY_PDF, 'readonly', store => store.get(id))) || null;
+    } catch (error) {
+        console.warn('Failed to read stored deck:', error);
+        return null;
+    }
+}
+
+/**
+ * Describe a library entry for the list
+ * @param {object} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    const { location, split, scale } = entry.settings;
+    const parts = [
+        `${entry.totalPages} pages`,
+        location === 'none' ? LOCATION_LABELS.none : `${LOCATION_LABELS[location] || location} (${split})`,
+        `scale ${scale}`,
+    ];
+
+    const rehearsals = getRehearsalsForDeck(entry.name, entry.totalPages);
+    if (rehearsals.length > 0) {
+        parts.push(`rehearsed ${formatTime(rehearsals[rehearsals.length - 1].totalSeconds * 1000)}`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * Render the library list
+ * @param {HTMLElement} container - List element
+ * @param {object[]} entries - From getLibraryEntries()
+ * @param {{
+ *   onOpen: (entry: object, page: number) => void,
+ *   onRemove: (entry: object) => void,
+ * }} handlers - onOpen receives the page to start at
+ */
+export function renderLibrary(container, entries, handlers) {
+    container.innerHTML = '';
+
+    entries.forEach((entry) => {
+        const row = document.createElement('div');
+        row.className = 'library-row';
+        row.title = `Open ${entry.name} with its settings`;
+        row.addEventListener('click', () => handlers.onOpen(entry, 1));
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'library-thumbnail';
+        thumbnail.alt = '';
+        if (entry.thumbnail) {
+            thumbnail.src = entry.thumbnail;
+        }
+
+        const info = document.createElement('div');
+        info.className = 'library-info';
+
+        const name = document.createElement('strong');
+        name.textContent = entry.url ? entry.url : entry.name;
+
+        const details = document.createElement('span');
+        details.className = 'text-xs text-muted';
+        details.textContent = describeEntry(entry);
+
+        const opened = document.createElement('span');
+        opened.className = 'text-xs text-muted';
+        opened.textContent = `Opened ${new Date(entry.openedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+
+        info.append(name, details, opened);
+
+        const actions = document.createElement('div');
+        actions.className = 'library-actions';
+
+        if (entry.lastPage > 1 && entry.lastPage <= entry.totalPages) {
+            const continueBtn = document.createElement('button');
+            continueBtn.className = 'btn btn-sm';
+            continueBtn.textContent = `Continue at ${entry.lastPageLabel}`;
+            continueBtn.title = 'Open at the last page visited';
+            continueBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handlers.onOpen(entry, entry.lastPage);
+            });
+            actions.appendChild(continueBtn);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-sm';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onRemove(entry);
+        });
+        actions.appendChild(removeBtn);
+
+        row.append(thumbnail, info, actions);
+        container.appendChild(row);
+    });
+}
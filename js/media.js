@@ -0,0 +1,554 @@
+/**
+ * Beamer Presenter - Media Module
+ * Video and audio of slides (multimedia / media9 movies, links to media files): detection,
+ * files, and players laid over the slide, controlled from the presenter
+ */
+
+import { AppState, getRegions } from './config.js';
+import { getPdfObjects, parseObject, resolveObject, readStreamData } from './pdf-objects.js';
+import { sendMediaToAudience, sendMediaControlToAudience } from './sync.js';
+
+// File extension -> MIME type of media browsers play
+const MEDIA_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    ogv: 'video/ogg',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    oga: 'audio/ogg',
+    ogg: 'audio/ogg',
+    opus: 'audio/ogg',
+    flac: 'audio/flac',
+};
+
+// Media file names inside strings (e.g. media9 flashvars 'source=clip.mp4&autoPlay=true')
+const MEDIA_NAME_PATTERN = new RegExp(`[^\\s=&"'<>|]+\\.(${Object.keys(MEDIA_TYPES).join('|')})\\b`, 'i');
+
+// Annotations playing media; PDF.js only draws their poster frame
+const MEDIA_SUBTYPES = ['Screen', 'Movie', 'RichMedia'];
+
+// Keys leading away from an annotation (page tree, appearance streams)
+const SKIPPED_KEYS = ['P', 'Parent', 'AP', 'IRT', 'Popup'];
+
+// Screen -> action -> rendition -> clip -> file spec -> embedded file, with room to spare
+const MAX_SEARCH_DEPTH = 8;
+
+// Audience players further off than this are seeked (seconds)
+const SYNC_TOLERANCE_S = 0.3;
+
+// Playing presenter media resends its position this often (drift correction)
+const RESEND_INTERVAL_MS = 2000;
+
+// Media files of the picked folder: lower-case path inside the folder -> File
+let folderFiles = new Map();
+
+// Files found per media item: item -> Promise<Blob|File|string|null>
+let sources = new WeakMap();
+
+// Presenter players: { pdfDoc, page, items, players: Map<id, element> }
+let presenterMedia = { pdfDoc: null, page: null, items: [], players: new Map() };
+
+/**
+ * Get the MIME type of a media file
+ * @param {string} name - File name, path or URL
+ * @returns {string|null} - null if not a media file browsers play
+ */
+function getMediaType(name) {
+    const extension = name.split(/[?#]/)[0].match(/\.(\w+)$/)?.[1].toLowerCase();
+    return MEDIA_TYPES[extension] || null;
+}
+
+/**
+ * Get the lower-case file name of a path
+ * @param {string} path
+ * @returns {string}
+ */
+function getBaseName(path) {
+    return path.split('/').pop().toLowerCase();
+}
+
+/**
+ * Normalize a file name from a PDF (run: links, file URLs, DOS paths)
+ * @param {string} name
+ * @returns {string}
+ */
+function cleanFileName(name) {
+    const path = name.replace(/^(run|file):(\/\/)?/i, '').replace(/\\/g, '/').replace(/^\.\//, '');
+    try {
+        return decodeURI(path);
+    } catch (error) {
+        return path;
+    }
+}
+
+/**
+ * Collect the media files an annotation refers to
+ * Follows references below the annotation; file specifications give a
+ * name and possibly an embedded file, other strings only a name.
+ * @param {*} value - Parsed PDF value
+ * @param {object} pdf - See getPdfObjects()
+ * @param {{ name: string, embedded: number|null }[]} found - Receives the files
+ * @param {number} [depth=0]
+ * @param {Set<number>} [seen] - Objects already visited
+ */
+function collectMediaFiles(value, pdf, found, depth = 0, seen = new Set()) {
+    if (typeof value === 'string') {
+        const match = value.match(MEDIA_NAME_PATTERN);
+        if (match) {
+            found.push({ name: cleanFileName(match[0]), embedded: null });
+        }
+        return;
+    }
+
+    if (!value || typeof value !== 'object' || depth > MAX_SEARCH_DEPTH) {
+        return;
+    }
+
+    if (value.ref !== undefined) {
+        if (!seen.has(value.ref)) {
+            seen.add(value.ref);
+            collectMediaFiles(resolveObject(value, pdf), pdf, found, depth + 1, seen);
+        }
+        return;
+    }
+
+    // File specification: << /F (clip.mp4) /EF << /F 12 0 R >> >>
+    const fileName = [value.UF, value.F].find(name => typeof name === 'string' && getMediaType(name));
+    if (fileName) {
+        const embeddedFiles = resolveObject(value.EF, pdf);
+        const embedded = (embeddedFiles?.F ?? embeddedFiles?.UF)?.ref ?? null;
+        found.push({ name: cleanFileName(fileName), embedded });
+        return;
+    }
+
+    const entries = Array.isArray(value) ? value : Object.keys(value)
+        .filter(key => !SKIPPED_KEYS.includes(key))
+        .map(key => value[key]);
+    entries.forEach(entry => collectMediaFiles(entry, pdf, found, depth + 1, seen));
+}
+
+/**
+ * Find the media file of a media annotation (Screen, Movie, RichMedia)
+ * @param {string} id - PDF.js annotation ID ('12R' for object 12)
+ * @returns {Promise<{ name: string, embedded: number|null }|null>}
+ */
+async function findAnnotationFile(id) {
+    const pdf = await getPdfObjects();
+    const source = pdf?.objects.get(parseInt(id, 10));
+    if (!source) {
+        return null;
+    }
+
+    const found = [];
+    collectMediaFiles(parseObject(source), pdf, found);
+
+    // An embedded copy beats a name (media9 also lists its player next to the clip)
+    return found.find(file => file.embedded !== null) || found[0] || null;
+}
+
+/**
+ * Get the part of a page an annotation covers
+ * @param {number[]} rect - PDF rectangle [x1, y1, x2, y2]
+ * @param {PageViewport} viewport - Viewport at scale 1
+ * @returns {{ x: number, y: number, w: number, h: number }} - Fractions of the page, from the top left
+ */
+function getPageRect(rect, viewport) {
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+
+    return {
+        x: Math.min(x1, x2) / viewport.width,
+        y: Math.min(y1, y2) / viewport.height,
+        w: Math.abs(x2 - x1) / viewport.width,
+        h: Math.abs(y2 - y1) / viewport.height,
+    };
+}
+
+/**
+ * Read the media of a page from its annotations
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Promise<object[]>} - { id, name, type, kind, embedded, rect }
+ */
+async function readPageMedia(pageNum) {
+    const page = await AppState.pdfDoc.getPage(pageNum);
+    const annotations = await page.getAnnotations({ intent: 'display' });
+    const viewport = page.getViewport({ scale: 1 });
+    const items = [];
+
+    for (const annotation of annotations) {
+        let file = null;
+
+        if (annotation.subtype === 'Link') {
+            // \href{run:clip.mp4} and friends (Launch, GoToR and URI actions)
+            const url = annotation.unsafeUrl || annotation.url;
+            const name = typeof url === 'string' ? cleanFileName(url) : '';
+            file = getMediaType(name) ? { name, embedded: null } : null;
+        } else if (MEDIA_SUBTYPES.includes(annotation.subtype)) {
+            file = await findAnnotationFile(annotation.id);
+        }
+
+        if (!file) {
+            continue;
+        }
+
+        const type = getMediaType(file.name);
+        items.push({
+            id: annotation.id,
+            name: file.name,
+            type,
+            kind: type.startsWith('audio/') ? 'audio' : 'video',
+            embedded: file.embedded,
+            rect: getPageRect(annotation.rect, viewport),
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Get the media of a page (cached)
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Promise<object[]>} - See readPageMedia()
+ */
+export async function getPageMedia(pageNum) {
+    if (AppState.pageMedia.has(pageNum)) {
+        return AppState.pageMedia.get(pageNum);
+    }
+
+    let items = [];
+
+    try {
+        items = await readPageMedia(pageNum);
+    } catch (error) {
+        console.warn(`Failed to read media of page ${pageNum}:`, error);
+    }
+
+    AppState.pageMedia.set(pageNum, items);
+    return items;
+}
+
+/**
+ * Find a file of the picked folder
+ * @param {string} name - Path from the PDF
+ * @returns {File|null}
+ */
+function findFolderFile(name) {
+    const path = name.toLowerCase().replace(/^\/+/, '');
+    if (folderFiles.has(path)) {
+        return folderFiles.get(path);
+    }
+
+    const baseName = getBaseName(path);
+    for (const [filePath, file] of folderFiles) {
+        if (getBaseName(filePath) === baseName) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the file of a media item
+ * Embedded in the annotation, online, attached to the PDF, or in the picked folder.
+ * @param {object} item - See readPageMedia()
+ * @returns {Promise<Blob|File|string|null>} - Blob or URL, null if not found
+ */
+async function findMediaSource(item) {
+    if (item.embedded !== null) {
+        try {
+            const pdf = await getPdfObjects();
+            const stream = pdf?.streams.get(item.embedded);
+            const data = stream && await readStreamData(pdf.bytes, stream);
+            if (data) {
+                return new Blob([data], { type: item.type });
+            }
+        } catch (error) {
+            console.warn(`Failed to read embedded ${item.name}:`, error);
+        }
+    }
+
+    if (/^https?:\/\//i.test(item.name)) {
+        return item.name;
+    }
+
+    try {
+        const attachments = await AppState.pdfDoc.getAttachments();
+        const attachment = Object.values(attachments || {})
+            .find(file => getBaseName(file.filename) === getBaseName(item.name));
+        if (attachment) {
+            return new Blob([attachment.content], { type: item.type });
+        }
+    } catch (error) {
+        console.warn('Failed to read PDF attachments:', error);
+    }
+
+    return findFolderFile(item.name);
+}
+
+/**
+ * Get the file of a media item (cached)
+ * @param {object} item - See readPageMedia()
+ * @returns {Promise<Blob|File|string|null>}
+ */
+function getMediaSource(item) {
+    if (!sources.has(item)) {
+        sources.set(item, findMediaSource(item));
+    }
+    return sources.get(item);
+}
+
+/**
+ * Use a picked folder for media files the PDF links to
+ * @param {FileList|File[]} files - From a directory input
+ * @returns {number} - Number of media files in the folder
+ */
+export function setMediaFolder(files) {
+    folderFiles = new Map();
+
+    Array.from(files).forEach((file) => {
+        if (!getMediaType(file.name)) {
+            return;
+        }
+        // Paths are relative to the picked folder, like links next to the PDF
+        const path = file.webkitRelativePath.split('/').slice(1).join('/') || file.name;
+        folderFiles.set(path.toLowerCase(), file);
+    });
+
+    // Files missing so far may be there now
+    sources = new WeakMap();
+
+    return folderFiles.size;
+}
+
+/**
+ * Get the playback state of a player
+ * @param {HTMLMediaElement} player
+ * @returns {{ playing: boolean, time: number, rate: number }}
+ */
+function getPlayerState(player) {
+    return {
+        playing: !player.paused && !player.ended,
+        time: player.currentTime,
+        rate: player.playbackRate,
+    };
+}
+
+/**
+ * Follow the presenter's playback state (audience)
+ * Browsers may block playback with sound in a window nobody clicked; it then plays muted.
+ * @param {HTMLMediaElement} player
+ * @param {{ playing: boolean, time: number, rate: number }} state
+ */
+export function applyMediaControl(player, state) {
+    if (Math.abs(player.currentTime - state.time) > SYNC_TOLERANCE_S) {
+        player.currentTime = state.time;
+    }
+    player.playbackRate = state.rate || 1;
+
+    if (state.playing && player.paused) {
+        player.play().catch((error) => {
+            console.warn('Playback with sound blocked, playing muted:', error);
+            player.muted = true;
+            player.play().catch(() => {});
+        });
+    } else if (!state.playing && !player.paused) {
+        player.pause();
+    }
+}
+
+/**
+ * Create players for media items in a layer
+ * @param {HTMLElement} layer - Media layer (emptied first)
+ * @param {object[]} items - Items with their file (src)
+ * @param {{ controls: boolean, muted: boolean }} options
+ * @returns {Map<string, HTMLMediaElement>} - Item ID -> player
+ */
+export function createMediaPlayers(layer, items, options) {
+    const players = new Map();
+    clearMediaLayer(layer);
+
+    items.forEach((item) => {
+        if (!item.src) {
+            return;
+        }
+
+        const player = document.createElement(item.kind);
+        player.className = 'media-player';
+        player.src = typeof item.src === 'string' ? item.src : URL.createObjectURL(item.src);
+        player.controls = options.controls;
+        player.muted = options.muted;
+        player.preload = 'auto';
+        player.playsInline = true;
+        player.dataset.rect = JSON.stringify(item.rect);
+
+        layer.appendChild(player);
+        players.set(item.id, player);
+    });
+
+    return players;
+}
+
+/**
+ * Stop and remove the players of a layer
+ * @param {HTMLElement} layer
+ */
+export function clearMediaLayer(layer) {
+    layer.querySelectorAll('video, audio').forEach((player) => {
+        player.pause();
+        if (player.src.startsWith('blob:')) {
+            URL.revokeObjectURL(player.src);
+        }
+        player.removeAttribute('src');
+        player.load();
+    });
+    layer.innerHTML = '';
+}
+
+/**
+ * Lay a media layer over a slide canvas, and its players over their part of the slide
+ * Media outside the audience part of the page (e.g. on the notes) is hidden.
+ * @param {HTMLElement} layer - Absolutely positioned in the wrapper
+ * @param {HTMLCanvasElement} canvas - Slide canvas
+ * @param {HTMLElement} wrapper - Positioned ancestor of both
+ * @param {string} location - Notes location
+ * @param {number} split - Notes split
+ */
+export function placeMediaLayer(layer, canvas, wrapper, location, split) {
+    const canvasRect = canvas.getBoundingClientRect();
+    const wrapperRect = wrapper.getBoundingClientRect();
+    const region = getRegions(1, 1, location, split).audience;
+
+    layer.style.left = `${canvasRect.left - wrapperRect.left}px`;
+    layer.style.top = `${canvasRect.top - wrapperRect.top}px`;
+    layer.style.width = `${canvasRect.width}px`;
+    layer.style.height = `${canvasRect.height}px`;
+
+    Array.from(layer.children).forEach((element) => {
+        const rect = JSON.parse(element.dataset.rect);
+        const left = (rect.x - region.x) / region.w;
+        const top = (rect.y - region.y) / region.h;
+        const width = rect.w / region.w;
+        const height = rect.h / region.h;
+
+        element.style.left = `${left * 100}%`;
+        element.style.top = `${top * 100}%`;
+        element.style.width = `${width * 100}%`;
+        element.style.height = `${height * 100}%`;
+        element.classList.toggle('hidden', left >= 1 || top >= 1 || left + width <= 0 || top + height <= 0);
+    });
+}
+
+/**
+ * Mirror a presenter player's playback to the audience
+ * @param {HTMLMediaElement} player
+ * @param {number} page
+ * @param {string} id - Item ID
+ */
+function watchPresenterPlayer(player, page, id) {
+    let lastSent = 0;
+
+    const sendState = () => {
+        lastSent = Date.now();
+        sendMediaControlToAudience({ page, id, ...getPlayerState(player) });
+    };
+
+    ['play', 'pause', 'seeked', 'ratechange', 'ended'].forEach((type) => {
+        player.addEventListener(type, sendState);
+    });
+    player.addEventListener('timeupdate', () => {
+        if (!player.paused && Date.now() - lastSent > RESEND_INTERVAL_MS) {
+            sendState();
+        }
+    });
+
+    // Controls are not slide clicks (pointer, drawing)
+    player.addEventListener('mousedown', event => event.stopPropagation());
+}
+
+/**
+ * Get media items as sent to audiences
+ * @param {object[]} items - Items with their file (src)
+ * @param {Map<string, HTMLMediaElement>} players
+ * @returns {object[]}
+ */
+function getAudienceItems(items, players) {
+    return items
+        .filter(item => item.src)
+        .map(item => ({
+            id: item.id,
+            kind: item.kind,
+            rect: item.rect,
+            src: item.src,
+            state: players.has(item.id) ? getPlayerState(players.get(item.id)) : null,
+        }));
+}
+
+/**
+ * Show the media of a page over the presenter's slide preview, and send it to audiences
+ * Players are kept while the page stays (layout changes only move them).
+ * Presenter players are muted: the sound comes from the audience outputs.
+ * @param {HTMLElement} layer - Media layer of the preview
+ * @param {HTMLCanvasElement} canvas - Slide preview
+ * @param {HTMLElement} wrapper - Preview wrapper
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {() => void} onMissing - Called from the placeholder of a file not found
+ */
+export async function showPresenterMedia(layer, canvas, wrapper, pageNum, onMissing) {
+    if (presenterMedia.pdfDoc !== AppState.pdfDoc || presenterMedia.page !== pageNum) {
+        const media = { pdfDoc: AppState.pdfDoc, page: pageNum, items: [], players: new Map() };
+        presenterMedia = media;
+        clearMediaLayer(layer);
+
+        const pageItems = await getPageMedia(pageNum);
+        const items = await Promise.all(pageItems.map(async item => ({
+            ...item,
+            src: await getMediaSource(item),
+        })));
+        if (presenterMedia !== media) {
+            return;
+        }
+
+        media.items = items;
+        media.players = createMediaPlayers(layer, items, { controls: true, muted: true });
+        media.players.forEach((player, id) => watchPresenterPlayer(player, pageNum, id));
+
+        items.filter(item => !item.src).forEach((item) => {
+            const placeholder = document.createElement('button');
+            placeholder.className = 'media-missing';
+            placeholder.textContent = `${getBaseName(item.name)} not found: choose the media folder`;
+            placeholder.title = item.name;
+            placeholder.dataset.rect = JSON.stringify(item.rect);
+            placeholder.addEventListener('mousedown', event => event.stopPropagation());
+            placeholder.addEventListener('click', onMissing);
+            layer.appendChild(placeholder);
+        });
+
+        if (items.length > 0) {
+            sendMediaToAudience(pageNum, getAudienceItems(items, media.players));
+        }
+    }
+
+    placeMediaLayer(layer, canvas, wrapper, AppState.location, AppState.split);
+}
+
+/**
+ * Drop the presenter's players (deck closed, media folder changed)
+ * @param {HTMLElement} layer
+ */
+export function resetPresenterMedia(layer) {
+    clearMediaLayer(layer);
+    presenterMedia = { pdfDoc: null, page: null, items: [], players: new Map() };
+}
+
+/**
+ * Send the current page's media and playback to audiences (after one connects)
+ */
+export function sendCurrentMedia() {
+    const { page, items, players } = presenterMedia;
+    if (page !== null && items.length > 0) {
+        sendMediaToAudience(page, getAudienceItems(items, players));
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Beamer Presenter - Audience Mirror Module
+ * Presenter side of network viewers (audience.html?viewer=CODE over the relay)
+ */
+
+import { CONFIG, AppState } from './config.js';
+import { sendToRelay, getRelayBufferedAmount, RELAY_TYPES } from './relay.js';
+import { describePdf, sendPdfChunks } from './pdf-transfer.js';
+import { getAudienceState } from './sync.js';
+
+// Audience messages viewers follow (sent to all outputs)
+const MIRRORED_TYPES = [
+    CONFIG.messageTypes.STATE,
+    CONFIG.messageTypes.NAVIGATE,
+    CONFIG.messageTypes.MODE,
+    CONFIG.messageTypes.POINTER,
+];
+
+// Resend requests answered per transfer before a viewer is given up on
+const MAX_RESENDS = 3;
+
+// A viewer's HELLO starts at most one full transfer in this time
+const HELLO_TRANSFER_INTERVAL_MS = 10000;
+
+// Relay client IDs of connected viewers
+const viewers = new Set();
+
+// Latest transfer per target ('all' or a client ID): { transferId, data, chunkCount, resends }
+const transfers = new Map();
+
+// When a HELLO last started a transfer, per client ID
+const helloTransfers = new Map();
+
+// Description of AppState.pdfData (checksumming a large deck takes a moment)
+let pdfDescription = null;
+
+/**
+ * Get number of connected viewers
+ * @returns {number}
+ */
+export function getViewerCount() {
+    return viewers.size;
+}
+
+/**
+ * Forget viewers (relay connection lost; they are announced again on reconnect)
+ */
+export function resetViewers() {
+    viewers.clear();
+    transfers.clear();
+    helloTransfers.clear();
+}
+
+/**
+ * Describe the loaded PDF, reusing the last description
+ * @returns {{ data: ArrayBuffer, size: number, chunkCount: number, crc: number }|null}
+ */
+function getPdfDescription() {
+    if (!AppState.pdfData) {
+        return null;
+    }
+    if (!pdfDescription || pdfDescription.data !== AppState.pdfData) {
+        pdfDescription = { data: AppState.pdfData, ...describePdf(AppState.pdfData) };
+    }
+    return pdfDescription;
+}
+
+/**
+ * Send (part of) a transfer and close it with PDF_END
+ * Stops as soon as another transfer replaces it, so a stale deck does not
+ * queue up on the relay socket ahead of the new one.
+ * @param {{ transferId: string, data: ArrayBuffer }} transfer
+ * @param {number|string} key - Key of the transfer in transfers
+ * @param {{ to?: number, toRole?: string }} target
+ * @param {number[]} [indices] - Chunks to send (default: all)
+ */
+async function sendTransfer(transfer, key, target, indices = null) {
+    const { PDF_CHUNK, PDF_END } = CONFIG.viewerMessageTypes;
+
+    const sent = await sendPdfChunks(
+        transfer.data,
+        transfer.transferId,
+        chunk => transfers.get(key) === transfer && sendToRelay(PDF_CHUNK, chunk, target),
+        getRelayBufferedAmount,
+        indices
+    );
+
+    if (sent && transfers.get(key) === transfer) {
+        sendToRelay(PDF_END, { transferId: transfer.transferId }, target);
+    }
+}
+
+/**
+ * Start a PDF transfer to one viewer or all of them
+ * @param {number|null} to - Relay client ID, or null for all viewers
+ */
+function sendPdf(to) {
+    const pdf = getPdfDescription();
+    if (!pdf) {
+        return;
+    }
+
+    const target = to !== null ? { to } : { toRole: 'viewer' };
+    const transfer = {
+        transferId: crypto.getRandomValues(new Uint32Array(1))[0].toString(36),
+        data: pdf.data,
+        chunkCount: pdf.chunkCount,
+        resends: 0,
+    };
+    const key = to !== null ? to : 'all';
+
+    // A broadcast replaces every per-viewer transfer
+    if (to === null) {
+        transfers.clear();
+    }
+    transfers.set(key, transfer);
+
+    sendToRelay(CONFIG.viewerMessageTypes.PDF_BEGIN, {
+        transferId: transfer.transferId,
+        size: pdf.size,
+        chunkCount: pdf.chunkCount,
+        crc: pdf.crc,
+        location: AppState.location,
+        split: AppState.split,
+    }, target);
+
+    sendTransfer(transfer, key, target);
+}
+
+/**
+ * Send the loaded PDF to all viewers (a new deck was opened)
+ */
+export function sendPdfToViewers() {
+    if (viewers.size > 0) {
+        sendToRelay(CONFIG.messageTypes.STATE, getAudienceState(), { toRole: 'viewer' });
+        sendPdf(null);
+    }
+}
+
+/**
+ * Resend missing or corrupted chunks to a viewer
+ * @param {number} from - Relay client ID
+ * @param {{ transferId: string, missing: number[] }} payload
+ */
+function resendChunks(from, payload) {
+    const transfer = [transfers.get(from), transfers.get('all')]
+        .find(candidate => candidate && candidate.transferId === payload.transferId);
+
+    // Stale transfer (the deck changed since) or too many attempts
+    if (!transfer || transfer.data !== AppState.pdfData || transfer.resends >= MAX_RESENDS) {
+        return;
+    }
+
+    // Each chunk at most once, whatever the viewer asked for
+    const missing = new Set(payload.missing.filter(index => (
+        Number.isInteger(index) && index >= 0 && index < transfer.chunkCount
+    )));
+    if (missing.size === 0) {
+        return;
+    }
+
+    const own = { ...transfer, resends: transfer.resends + 1 };
+    transfers.set(from, own);
+    sendTransfer(own, from, { to: from }, Array.from(missing).sort((a, b) => a - b));
+}
+
+/**
+ * Handle a relay message from (or about) a viewer
+ * @param {{ type: string, payload: object, from: number }} message
+ */
+export function handleViewerMessage(message) {
+    const { type, payload, from } = message;
+
+    switch (type) {
+        case RELAY_TYPES.JOIN:
+            viewers.add(from);
+            break;
+
+        case RELAY_TYPES.LEAVE:
+            viewers.delete(from);
+            transfers.delete(from);
+            helloTransfers.delete(from);
+            break;
+
+        case CONFIG.viewerMessageTypes.HELLO: {
+            viewers.add(from);
+            if (!AppState.pdfDoc) {
+                break;
+            }
+            sendToRelay(CONFIG.messageTypes.STATE, getAudienceState(), { to: from });
+
+            // Reconnecting viewers keep their copy if it is still the same deck
+            const pdf = getPdfDescription();
+            if (!pdf || (payload && payload.crc === pdf.crc)) {
+                break;
+            }
+
+            // Repeated HELLOs leave the running transfer alone
+            const now = Date.now();
+            if (now - (helloTransfers.get(from) ?? -Infinity) < HELLO_TRANSFER_INTERVAL_MS) {
+                break;
+            }
+            helloTransfers.set(from, now);
+            sendPdf(from);
+            break;
+        }
+
+        case CONFIG.viewerMessageTypes.PDF_RESEND:
+            if (payload && Array.isArray(payload.missing)) {
+                resendChunks(from, payload);
+            }
+            break;
+    }
+}
+
+/**
+ * Forward a broadcast audience message to viewers (see setAudienceMirror)
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ */
+export function sendToViewers(type, payload) {
+    if (viewers.size > 0 && MIRRORED_TYPES.includes(type)) {
+        sendToRelay(type, payload, { toRole: 'viewer' });
+    }
+}
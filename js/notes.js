@@ -0,0 +1,184 @@
+/**
+ * Beamer Presenter - Text Notes Module
+ * Collects text notes from PDF annotations, pdfpc sidecars and the outline
+ */
+
+import { AppState } from './config.js';
+
+// Annotation types that carry speaker notes
+// (`\pdfpcnote` and most PDF editors produce Text annotations)
+const NOTE_SUBTYPES = ['Text', 'Popup', 'FreeText'];
+
+// Outline entries sorted by page: [{ page, path }]
+let outlineIndex = [];
+
+/**
+ * Get text content of an annotation
+ * @param {object} annotation - PDF.js annotation data
+ * @returns {string}
+ */
+function getAnnotationText(annotation) {
+    const text = annotation.contentsObj?.str ?? annotation.contents ?? '';
+    return text.trim();
+}
+
+/**
+ * Read notes embedded as annotations on a page
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Promise<string[]>}
+ */
+async function readAnnotationNotes(pageNum) {
+    const page = await AppState.pdfDoc.getPage(pageNum);
+    const annotations = await page.getAnnotations({ intent: 'display' });
+
+    const seen = new Set();
+    const notes = [];
+
+    annotations.forEach((annotation) => {
+        if (!NOTE_SUBTYPES.includes(annotation.subtype)) {
+            return;
+        }
+
+        // Popups repeat the contents of their parent annotation
+        if (annotation.subtype === 'Popup' && seen.has(annotation.parentId)) {
+            return;
+        }
+
+        const text = getAnnotationText(annotation);
+        if (text && !notes.includes(text)) {
+            notes.push(text);
+        }
+        seen.add(annotation.id);
+    });
+
+    return notes;
+}
+
+/**
+ * Get annotation notes of a page (cached)
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Promise<string[]>}
+ */
+export async function getAnnotationNotes(pageNum) {
+    if (AppState.annotationNotes.has(pageNum)) {
+        return AppState.annotationNotes.get(pageNum);
+    }
+
+    let notes = [];
+
+    try {
+        notes = await readAnnotationNotes(pageNum);
+    } catch (error) {
+        console.warn(`Failed to read annotations of page ${pageNum}:`, error);
+    }
+
+    AppState.annotationNotes.set(pageNum, notes);
+    return notes;
+}
+
+/**
+ * Resolve an outline destination to a page number
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {string|Array|null} dest - Named or explicit destination
+ * @returns {Promise<number|null>}
+ */
+async function resolveDestPage(pdfDoc, dest) {
+    const explicit = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+
+    if (!Array.isArray(explicit) || !explicit[0]) {
+        return null;
+    }
+
+    const target = explicit[0];
+    const index = Number.isInteger(target) ? target : await pdfDoc.getPageIndex(target);
+    return index + 1;
+}
+
+/**
+ * Build outline index (section path per starting page)
+ * @param {PDFDocumentProxy} pdfDoc
+ */
+export async function loadOutline(pdfDoc) {
+    outlineIndex = [];
+
+    let outline = null;
+    try {
+        outline = await pdfDoc.getOutline();
+    } catch (error) {
+        console.warn('Failed to read outline:', error);
+    }
+
+    const walk = async (items, parents) => {
+        for (const item of items || []) {
+            const path = [...parents, item.title];
+
+            try {
+                const page = await resolveDestPage(pdfDoc, item.dest);
+                if (page !== null) {
+                    outlineIndex.push({ page: page, path: path });
+                }
+            } catch (error) {
+                console.warn('Failed to resolve outline entry:', item.title, error);
+            }
+
+            await walk(item.items, path);
+        }
+    };
+
+    await walk(outline, []);
+
+    // Stable sort keeps parents before children on the same page
+    outlineIndex.sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Get outline path (e.g. section > subsection) of a page
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {string[]}
+ */
+export function getOutlinePath(pageNum) {
+    let path = [];
+
+    for (const entry of outlineIndex) {
+        if (entry.page > pageNum) {
+            break;
+        }
+        path = entry.path;
+    }
+
+    return path;
+}
+
+/**
+ * Clear cached notes and outline
+ */
+export function clearNotes() {
+    AppState.annotationNotes.clear();
+    outlineIndex = [];
+}
+
+/**
+ * Collect all text notes of a page
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Promise<{ outline: string[], notes: string[] }>}
+ */
+export async function getTextNotes(pageNum) {
+    const notes = [];
+
+    const sidecarNote = AppState.textNotes.get(pageNum);
+    if (sidecarNote) {
+        notes.push(sidecarNote);
+    }
+
+    const annotationNotes = await getAnnotationNotes(pageNum);
+    annotationNotes.forEach((note) => {
+        if (!notes.includes(note)) {
+            notes.push(note);
+        }
+    });
+
+    return {
+        outline: AppState.showOutlineNotes ? getOutlinePath(pageNum) : [],
+        notes: notes,
+    };
+}
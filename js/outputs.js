@@ -0,0 +1,216 @@
+/**
+ * Beamer Presenter - Audience Outputs Module
+ * Registry of audience windows (projector, confidence monitor, capture) and their settings
+ */
+
+import { CONFIG, AppState } from './config.js';
+
+const STORAGE_KEY = 'beamer-presenter-outputs';
+
+// Settings shown as checkboxes in the outputs dialog
+const SETTING_LABELS = {
+    showPointer: 'Pointer',
+    showDrawings: 'Drawings',
+    showPageIndicator: 'Page number',
+    lagBehind: 'One slide behind',
+};
+
+/**
+ * Create an output record
+ * @param {string} id - Output ID
+ * @param {string} name - Display name
+ * @param {object} settings - Output settings
+ * @returns {object}
+ */
+function createOutputRecord(id, name, settings) {
+    return {
+        id: id,
+        name: name,
+        settings: { ...CONFIG.outputPresets.projector.settings, ...settings },
+        window: null,
+        isConnected: false,
+        lastSeen: null,     // Time of the last message from the output
+        latency: null,      // Round trip of the last ping (ms)
+        lastResync: 0,      // Time of the last automatic resync
+    };
+}
+
+/**
+ * Save output names and settings
+ */
+function saveOutputs() {
+    const stored = getOutputs().map(({ id, name, settings }) => ({ id, name, settings }));
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.warn('Failed to save outputs:', error);
+    }
+}
+
+/**
+ * Load outputs saved by an earlier session (at least the main projector)
+ */
+export function loadOutputs() {
+    let stored = [];
+
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Failed to read outputs:', error);
+    }
+
+    AppState.outputs = new Map();
+    stored.forEach(({ id, name, settings }) => {
+        AppState.outputs.set(id, createOutputRecord(id, name, settings));
+    });
+
+    if (AppState.outputs.size === 0) {
+        const { name, settings } = CONFIG.outputPresets.projector;
+        AppState.outputs.set('main', createOutputRecord('main', name, settings));
+    }
+}
+
+/**
+ * Get all outputs in creation order
+ * @returns {object[]}
+ */
+export function getOutputs() {
+    return Array.from(AppState.outputs.values());
+}
+
+/**
+ * Get output by ID, registering unknown outputs (e.g. a window left open by another session)
+ * @param {string} id - Output ID
+ * @returns {object}
+ */
+export function ensureOutput(id) {
+    if (!AppState.outputs.has(id)) {
+        AppState.outputs.set(id, createOutputRecord(id, `Output ${AppState.outputs.size + 1}`, {}));
+        saveOutputs();
+    }
+    return AppState.outputs.get(id);
+}
+
+/**
+ * Add an output from a preset
+ * @param {string} presetKey - Key of CONFIG.outputPresets
+ * @returns {object}
+ */
+export function addOutput(presetKey) {
+    const preset = CONFIG.outputPresets[presetKey] || CONFIG.outputPresets.projector;
+    const id = crypto.randomUUID().slice(0, 8);
+    const output = createOutputRecord(id, preset.name, preset.settings);
+
+    AppState.outputs.set(id, output);
+    saveOutputs();
+    return output;
+}
+
+/**
+ * Remove an output (the last one is kept)
+ * @param {string} id - Output ID
+ * @returns {boolean} - Whether the output was removed
+ */
+export function removeOutput(id) {
+    if (AppState.outputs.size <= 1) {
+        return false;
+    }
+
+    const removed = AppState.outputs.delete(id);
+    saveOutputs();
+    return removed;
+}
+
+/**
+ * Update name and/or settings of an output
+ * @param {string} id - Output ID
+ * @param {{ name?: string, settings?: object }} changes
+ */
+export function updateOutput(id, changes) {
+    const output = AppState.outputs.get(id);
+    if (!output) {
+        return;
+    }
+
+    if (changes.name !== undefined) {
+        output.name = changes.name;
+    }
+    if (changes.settings) {
+        output.settings = { ...output.settings, ...changes.settings };
+    }
+    saveOutputs();
+}
+
+/**
+ * Get page an output should show
+ * @param {object} output
+ * @returns {number}
+ */
+export function getOutputPage(output) {
+    if (output.settings.lagBehind && AppState.previousPage !== null) {
+        return AppState.previousPage;
+    }
+    return AppState.currentPage;
+}
+
+/**
+ * Render outputs list for the outputs dialog
+ * @param {HTMLElement} container - List container
+ * @param {(output: object) => string} getStatusText - Connection status text of an output
+ * @param {{ onOpen: Function, onChange: Function, onRemove: Function }} handlers - Called with the output
+ */
+export function renderOutputList(container, getStatusText, handlers) {
+    container.innerHTML = '';
+
+    getOutputs().forEach((output) => {
+        const row = document.createElement('div');
+        row.className = 'output-row';
+
+        const nameInput = document.createElement('input');
+        nameInput.className = 'input output-name';
+        nameInput.value = output.name;
+        nameInput.addEventListener('change', () => {
+            updateOutput(output.id, { name: nameInput.value.trim() || output.name });
+            handlers.onChange(output);
+        });
+
+        const status = document.createElement('span');
+        status.className = 'output-status text-xs text-muted';
+        status.textContent = getStatusText(output);
+
+        const options = document.createElement('div');
+        options.className = 'output-options';
+
+        Object.entries(SETTING_LABELS).forEach(([key, label]) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !!output.settings[key];
+            checkbox.addEventListener('change', () => {
+                updateOutput(output.id, { settings: { [key]: checkbox.checked } });
+                handlers.onChange(output);
+            });
+            option.append(checkbox, ` ${label}`);
+            options.appendChild(option);
+        });
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-sm';
+        openBtn.textContent = output.isConnected ? 'Reopen' : 'Open';
+        openBtn.addEventListener('click', () => handlers.onOpen(output));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-sm';
+        removeBtn.textContent = 'Remove';
+        removeBtn.disabled = AppState.outputs.size <= 1;
+        removeBtn.addEventListener('click', () => handlers.onRemove(output));
+
+        const header = document.createElement('div');
+        header.className = 'output-row-header';
+        header.append(nameInput, status, openBtn, removeBtn);
+
+        row.append(header, options);
+        container.appendChild(row);
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * Beamer Presenter - Slide Overview Module
+ * Thumbnail grid of all pages with keyboard and click navigation
+ */
+
+import { AppState, getRegions } from './config.js';
+import { renderFullPage, extractRegion } from './pdf-renderer.js';
+import { getPageLabel } from './frames.js';
+
+// Thumbnail width in CSS pixels
+const THUMBNAIL_WIDTH = 220;
+
+const state = {
+    overlay: null,
+    grid: null,
+    onSelect: null,
+    observer: null,
+    builtFor: null,       // PDF document the grid was built for
+    thumbnailScale: 1.0,
+    renderQueue: [],
+    isRendering: false,
+};
+
+/**
+ * Initialize overview
+ * @param {HTMLElement} overlay - Overlay container
+ * @param {HTMLElement} grid - Grid container for thumbnails
+ * @param {Function} onSelect - Callback with selected page number
+ */
+export function initOverview(overlay, grid, onSelect) {
+    state.overlay = overlay;
+    state.grid = grid;
+    state.onSelect = onSelect;
+
+    state.grid.addEventListener('click', (e) => {
+        const item = e.target.closest('.overview-item');
+        if (item) {
+            selectPage(parseInt(item.dataset.page, 10));
+        }
+    });
+}
+
+/**
+ * Check if overview is open
+ * @returns {boolean}
+ */
+export function isOverviewOpen() {
+    return state.overlay !== null && !state.overlay.classList.contains('hidden');
+}
+
+/**
+ * Open overview and focus the current page
+ */
+export async function openOverview() {
+    if (!AppState.pdfDoc) {
+        return;
+    }
+
+    if (state.builtFor !== AppState.pdfDoc) {
+        await buildGrid();
+    }
+
+    state.overlay.classList.remove('hidden');
+
+    state.grid.querySelectorAll('.overview-item').forEach((item) => {
+        const pageNum = parseInt(item.dataset.page, 10);
+        item.classList.toggle('current', pageNum === AppState.currentPage);
+        item.classList.toggle('skipped', AppState.hiddenPages.has(pageNum));
+    });
+
+    focusItem(getItem(AppState.currentPage));
+}
+
+/**
+ * Close overview
+ */
+export function closeOverview() {
+    if (state.overlay) {
+        state.overlay.classList.add('hidden');
+    }
+}
+
+/**
+ * Toggle overview
+ */
+export async function toggleOverview() {
+    if (isOverviewOpen()) {
+        closeOverview();
+    } else {
+        await openOverview();
+    }
+}
+
+/**
+ * Forget thumbnails (call when the document or layout changes)
+ */
+export function resetOverview() {
+    if (state.observer) {
+        state.observer.disconnect();
+        state.observer = null;
+    }
+
+    state.builtFor = null;
+    state.renderQueue = [];
+
+    if (state.grid) {
+        state.grid.innerHTML = '';
+    }
+
+    closeOverview();
+}
+
+/**
+ * Handle keyboard input while overview is open
+ * @param {KeyboardEvent} e
+ * @returns {boolean} - Whether the key was handled
+ */
+export function handleOverviewKey(e) {
+    const items = Array.from(state.grid.querySelectorAll('.overview-item'));
+    const focused = document.activeElement?.closest?.('.overview-item');
+    const index = focused ? items.indexOf(focused) : AppState.currentPage - 1;
+    const columns = getColumnCount(items);
+
+    let target = null;
+
+    switch (e.code) {
+        case 'ArrowRight':
+            target = index + 1;
+            break;
+        case 'ArrowLeft':
+            target = index - 1;
+            break;
+        case 'ArrowDown':
+            target = index + columns;
+            break;
+        case 'ArrowUp':
+            target = index - columns;
+            break;
+        case 'Home':
+            target = 0;
+            break;
+        case 'End':
+            target = items.length - 1;
+            break;
+        case 'Enter':
+        case 'Space':
+            selectPage(index + 1);
+            return true;
+        case 'Escape':
+            closeOverview();
+            return true;
+        default:
+            return false;
+    }
+
+    target = Math.max(0, Math.min(items.length - 1, target));
+    focusItem(items[target]);
+    return true;
+}
+
+/**
+ * Build thumbnail grid for the loaded document
+ */
+async function buildGrid() {
+    resetOverview();
+
+    // Derive thumbnail scale from the audience region of the first page
+    const page = await AppState.pdfDoc.getPage(1);
+    const viewport = page.getViewport({ scale: 1.0 });
+    const regions = getRegions(viewport.width, viewport.height, AppState.location, AppState.split);
+    state.thumbnailScale = THUMBNAIL_WIDTH / regions.audience.w;
+
+    const fragment = document.createDocumentFragment();
+
+    for (let pageNum = 1; pageNum <= AppState.totalPages; pageNum++) {
+        const item = document.createElement('button');
+        item.className = 'overview-item';
+        item.dataset.page = pageNum;
+        item.title = `Page ${pageNum}`;
+
+        const canvas = document.createElement('canvas');
+        canvas.style.aspectRatio = `${regions.audience.w} / ${regions.audience.h}`;
+
+        const label = document.createElement('span');
+        label.className = 'overview-label';
+        label.textContent = getPageLabel(pageNum);
+
+        item.append(canvas, label);
+        fragment.appendChild(item);
+    }
+
+    state.grid.appendChild(fragment);
+
+    // Render thumbnails lazily as they scroll into view
+    state.observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                state.observer.unobserve(entry.target);
+                queueThumbnail(entry.target);
+            }
+        });
+    }, { root: state.overlay, rootMargin: '200px' });
+
+    state.grid.querySelectorAll('.overview-item').forEach((item) => {
+        state.observer.observe(item);
+    });
+
+    state.builtFor = AppState.pdfDoc;
+}
+
+/**
+ * Queue a thumbnail for rendering
+ * @param {HTMLElement} item - Overview item
+ */
+function queueThumbnail(item) {
+    state.renderQueue.push(item);
+    processQueue();
+}
+
+/**
+ * Render queued thumbnails one at a time
+ */
+async function processQueue() {
+    if (state.isRendering) {
+        return;
+    }
+
+    state.isRendering = true;
+
+    while (state.renderQueue.length > 0) {
+        const item = state.renderQueue.shift();
+        const doc = state.builtFor;
+
+        try {
+            const pageNum = parseInt(item.dataset.page, 10);
+            // Thumbnails bypass the page cache so they don't evict presenter pages
+            const fullPage = await renderFullPage(pageNum, state.thumbnailScale, false);
+
+            // Document changed while rendering
+            if (doc !== state.builtFor) {
+                continue;
+            }
+
+            const region = getRegions(
+                fullPage.width,
+                fullPage.height,
+                AppState.location,
+                AppState.split
+            ).audience;
+
+            const canvas = item.querySelector('canvas');
+            canvas.width = region.w;
+            canvas.height = region.h;
+            extractRegion(fullPage, canvas, region);
+            item.classList.add('rendered');
+        } catch (error) {
+            console.error('Thumbnail render error:', error);
+        }
+    }
+
+    state.isRendering = false;
+}
+
+/**
+ * Select a page and close overview
+ * @param {number} pageNum
+ */
+function selectPage(pageNum) {
+    closeOverview();
+
+    if (state.onSelect) {
+        state.onSelect(pageNum);
+    }
+}
+
+/**
+ * Get grid item for a page
+ * @param {number} pageNum
+ * @returns {HTMLElement|null}
+ */
+function getItem(pageNum) {
+    return state.grid.querySelector(`.overview-item[data-page="${pageNum}"]`);
+}
+
+/**
+ * Focus an item and scroll it into view
+ * @param {HTMLElement|null} item
+ */
+function focusItem(item) {
+    if (!item) {
+        return;
+    }
+
+    item.focus({ preventScroll: true });
+    item.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Count grid columns from rendered layout
+ * @param {HTMLElement[]} items
+ * @returns {number}
+ */
+function getColumnCount(items) {
+    if (items.length === 0) {
+        return 1;
+    }
+
+    const firstTop = items[0].offsetTop;
+    let columns = 0;
+
+    while (columns < items.length && items[columns].offsetTop === firstTop) {
+        columns++;
+    }
+
+    return Math.max(1, columns);
+}
@@ -0,0 +1,369 @@
+/**
+ * Beamer Presenter - PDF Objects Module
+ * Reads what PDF.js does not expose (page transitions, media files) straight from the PDF data
+ */
+
+import { AppState } from './config.js';
+
+// Characters ending a name, number or keyword
+const DELIMITERS = '()<>[]{}/%';
+
+// Escapes of literal strings
+const STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Objects of the loaded deck, read once: { data: ArrayBuffer, promise }
+let cachedObjects = { data: null, promise: null };
+
+/**
+ * Decompress a FlateDecode stream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Find the data of a stream object
+ * @param {string} body - Object body (dictionary and stream)
+ * @param {number} offset - Position of the body in the PDF
+ * @returns {{ dict: string, start: number, end: number }} - Dictionary source and data position in the PDF
+ */
+function locateStream(body, offset) {
+    const streamAt = body.indexOf('stream');
+    const dict = body.slice(0, streamAt);
+
+    let dataStart = streamAt + 'stream'.length;
+    if (body[dataStart] === '\r') dataStart++;
+    if (body[dataStart] === '\n') dataStart++;
+
+    // An indirect /Length is not followed: the data ends before 'endstream'
+    const length = dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+    let dataEnd = length ? dataStart + Number(length[1]) : body.lastIndexOf('endstream');
+    if (!length && body[dataEnd - 1] === '\n') dataEnd--;
+    if (!length && body[dataEnd - 1] === '\r') dataEnd--;
+
+    return { dict, start: offset + dataStart, end: offset + dataEnd };
+}
+
+/**
+ * Read the data of a stream object
+ * @param {Uint8Array} bytes - Whole PDF
+ * @param {{ dict: string, start: number, end: number }} stream - See readPdfObjects()
+ * @returns {Promise<Uint8Array|null>} - null for filters other than FlateDecode
+ */
+export async function readStreamData(bytes, stream) {
+    const data = bytes.subarray(stream.start, stream.end);
+    const filter = stream.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1];
+
+    if (!filter) {
+        return data;
+    }
+    if (filter.replace(/[[\]\s]/g, '') !== '/FlateDecode' || /\/DecodeParms/.test(stream.dict)) {
+        return null;
+    }
+    return inflate(data);
+}
+
+/**
+ * Unpack the objects of an object stream
+ * @param {Uint8Array} bytes - Whole PDF
+ * @param {{ dict: string, start: number, end: number }} stream
+ * @param {Map<number, string>} objects - Receives object number -> source
+ */
+async function readObjectStream(bytes, stream, objects) {
+    const data = await readStreamData(bytes, stream);
+    if (!data) {
+        return;
+    }
+
+    const text = new TextDecoder('latin1').decode(data);
+    const count = parseInt(stream.dict.match(/\/N\s+(\d+)/)?.[1], 10) || 0;
+    const first = parseInt(stream.dict.match(/\/First\s+(\d+)/)?.[1], 10) || 0;
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+
+    for (let i = 0; i < count; i++) {
+        const start = first + header[2 * i + 1];
+        const end = i + 1 < count ? first + header[2 * i + 3] : text.length;
+        objects.set(header[2 * i], text.slice(start, end));
+    }
+}
+
+/**
+ * Collect the objects of a PDF (later revisions win)
+ * Object streams, where pdfTeX puts page dictionaries, are unpacked.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{ bytes: Uint8Array, objects: Map<number, string>, streams: Map<number, object> }>}
+ *   objects: number -> source, streams: number -> { dict, start, end } (data left in the PDF)
+ */
+async function readPdfObjects(bytes) {
+    const text = new TextDecoder('latin1').decode(bytes);
+    const objects = new Map();
+    const streams = new Map();
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(text))) {
+        const start = match.index + match[0].length;
+        const end = text.indexOf('endobj', start);
+        if (end < 0) {
+            break;
+        }
+
+        const body = text.slice(start, end);
+        if (body.indexOf('stream') < 0) {
+            objects.set(Number(match[1]), body);
+        } else {
+            const stream = locateStream(body, start);
+            streams.set(Number(match[1]), stream);
+
+            if (/\/Type\s*\/ObjStm/.test(stream.dict)) {
+                try {
+                    await readObjectStream(bytes, stream, objects);
+                } catch (error) {
+                    console.warn('Skipping unreadable object stream:', error);
+                }
+            }
+        }
+
+        // Skip stream data
+        objectPattern.lastIndex = end;
+    }
+
+    return { bytes, objects, streams };
+}
+
+/**
+ * Get the objects of the loaded deck (read on first use)
+ * @returns {Promise<{ bytes: Uint8Array, objects: Map<number, string>, streams: Map<number, object> }|null>}
+ */
+export function getPdfObjects() {
+    if (!AppState.pdfData) {
+        return Promise.resolve(null);
+    }
+
+    if (cachedObjects.data !== AppState.pdfData) {
+        cachedObjects = {
+            data: AppState.pdfData,
+            promise: readPdfObjects(new Uint8Array(AppState.pdfData)),
+        };
+    }
+    return cachedObjects.promise;
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {{ text: string, pos: number }} parser
+ */
+function skipSpace(parser) {
+    const { text } = parser;
+
+    while (parser.pos < text.length) {
+        if (text[parser.pos] === '%') {
+            while (parser.pos < text.length && text[parser.pos] !== '\n' && text[parser.pos] !== '\r') {
+                parser.pos++;
+            }
+        } else if (/\s/.test(text[parser.pos])) {
+            parser.pos++;
+        } else {
+            return;
+        }
+    }
+}
+
+/**
+ * Read a run of regular characters (name, number or keyword)
+ * @param {{ text: string, pos: number }} parser
+ * @returns {string}
+ */
+function readToken(parser) {
+    const start = parser.pos;
+    while (parser.pos < parser.text.length
+        && !/\s/.test(parser.text[parser.pos])
+        && !DELIMITERS.includes(parser.text[parser.pos])) {
+        parser.pos++;
+    }
+    return parser.text.slice(start, parser.pos);
+}
+
+/**
+ * Decode string bytes (UTF-16BE with byte order mark, else PDFDocEncoding read as latin1)
+ * @param {string} raw - One character per byte
+ * @returns {string}
+ */
+function decodeString(raw) {
+    if (!raw.startsWith('\xfe\xff')) {
+        return raw;
+    }
+
+    let decoded = '';
+    for (let i = 2; i + 1 < raw.length; i += 2) {
+        decoded += String.fromCharCode((raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1));
+    }
+    return decoded;
+}
+
+/**
+ * Read a literal string, after its opening parenthesis
+ * @param {{ text: string, pos: number }} parser
+ * @returns {string}
+ */
+function readLiteralString(parser) {
+    const { text } = parser;
+    let depth = 1;
+    let raw = '';
+
+    while (parser.pos < text.length) {
+        const char = text[parser.pos++];
+
+        if (char === '\\') {
+            const next = text[parser.pos++];
+            if (/[0-7]/.test(next)) {
+                const octal = text.slice(parser.pos - 1, parser.pos + 2).match(/^[0-7]{1,3}/)[0];
+                parser.pos += octal.length - 1;
+                raw += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            } else if (next === '\r' || next === '\n') {
+                // Line continuation
+                if (next === '\r' && text[parser.pos] === '\n') parser.pos++;
+            } else {
+                raw += STRING_ESCAPES[next] ?? next;
+            }
+        } else if (char === '(') {
+            depth++;
+            raw += char;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) {
+                break;
+            }
+            raw += char;
+        } else {
+            raw += char;
+        }
+    }
+
+    return decodeString(raw);
+}
+
+/**
+ * Read a value at the parser position
+ * Names are { name }, references { ref }, dictionaries plain objects keyed by name.
+ * @param {{ text: string, pos: number }} parser
+ * @returns {*} - undefined at the end of the source or of a dictionary/array
+ */
+function readValue(parser) {
+    skipSpace(parser);
+    const { text } = parser;
+    const char = text[parser.pos];
+
+    if (char === undefined) {
+        return undefined;
+    }
+
+    if (text.startsWith('<<', parser.pos)) {
+        parser.pos += 2;
+        const dict = {};
+        for (;;) {
+            skipSpace(parser);
+            if (text.startsWith('>>', parser.pos) || parser.pos >= text.length) {
+                parser.pos += 2;
+                return dict;
+            }
+            const key = readValue(parser);
+            if (!key?.name) {
+                // Not a key: skip the token
+                parser.pos++;
+                continue;
+            }
+            dict[key.name] = readValue(parser);
+        }
+    }
+
+    if (char === '>' || char === ']') {
+        parser.pos++;
+        return undefined;
+    }
+
+    if (char === '[') {
+        parser.pos++;
+        const array = [];
+        for (;;) {
+            skipSpace(parser);
+            if (text[parser.pos] === ']' || parser.pos >= text.length) {
+                parser.pos++;
+                return array;
+            }
+            const value = readValue(parser);
+            if (value !== undefined) {
+                array.push(value);
+            }
+        }
+    }
+
+    if (char === '(') {
+        parser.pos++;
+        return readLiteralString(parser);
+    }
+
+    if (char === '<') {
+        const end = text.indexOf('>', parser.pos);
+        const hex = text.slice(parser.pos + 1, end < 0 ? text.length : end).replace(/\s/g, '');
+        parser.pos = end < 0 ? text.length : end + 1;
+        const padded = hex.length % 2 ? `${hex}0` : hex;
+        return decodeString(padded.replace(/../g, pair => String.fromCharCode(parseInt(pair, 16))));
+    }
+
+    if (char === '/') {
+        parser.pos++;
+        const name = readToken(parser).replace(/#([0-9a-fA-F]{2})/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
+        return { name };
+    }
+
+    const token = readToken(parser);
+    if (token === '') {
+        // Stray delimiter
+        parser.pos++;
+        return null;
+    }
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        // "12 0 R" is a reference
+        const reference = /^\s+(\d+)\s+R\b/.exec(text.slice(parser.pos, parser.pos + 24));
+        if (/^\d+$/.test(token) && reference) {
+            parser.pos += reference[0].length;
+            return { ref: Number(token) };
+        }
+        return Number(token);
+    }
+
+    if (token === 'true' || token === 'false') {
+        return token === 'true';
+    }
+    return null;
+}
+
+/**
+ * Parse the source of an object
+ * @param {string} source - e.g. '<< /S /Rendition /R 12 0 R >>'
+ * @returns {*} - See readValue()
+ */
+export function parseObject(source) {
+    return readValue({ text: source, pos: 0 }) ?? null;
+}
+
+/**
+ * Follow a reference to the object it points to (parsed)
+ * Stream objects resolve to their dictionary.
+ * @param {*} value
+ * @param {{ objects: Map<number, string>, streams: Map<number, object> }} pdf - See getPdfObjects()
+ * @returns {*}
+ */
+export function resolveObject(value, pdf) {
+    if (!value || value.ref === undefined) {
+        return value;
+    }
+
+    const source = pdf.objects.get(value.ref) ?? pdf.streams.get(value.ref)?.dict;
+    return source === undefined ? null : parseObject(source);
+}
@@ -4,12 +4,47 @@
  */
 
 import { AppState, getRegions } from './config.js';
+import { loadFrames } from './frames.js';
+import { loadOutline } from './notes.js';
+import { loadPageTransitions } from './transitions.js';
+import { getPageCanvas, clearRenderCache } from './render-scheduler.js';
+
+// Notes are read at a higher resolution than the slide previews
+const NOTES_SCALE_FACTOR = 1.5;
+
+// How long to wait for the PDF.js import in the page head
+const PDFJS_WAIT_MS = 10000;
+
+// How each target draws its part of a page
+const TARGETS = {
+    audience: { region: 'audience', resolution: 1, fitHeight: false },
+    notes: { region: 'notes', resolution: NOTES_SCALE_FACTOR, fitHeight: true },
+};
 
 // PDF.js will be loaded globally from vendor
 let pdfjsLib = null;
 
 /**
- * Initialize PDF.js library
+ * Wait for the page head to import PDF.js (window.pdfjsLib)
+ * @returns {Promise<object|null>} - null if it never arrived
+ */
+function waitForPdfJs() {
+    const start = Date.now();
+
+    return new Promise((resolve) => {
+        const check = () => {
+            if (window.pdfjsLib || Date.now() - start > PDFJS_WAIT_MS) {
+                resolve(window.pdfjsLib || null);
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * Initialize PDF.js library (presenter and audience windows)
  * Handles file:// protocol fallback
  */
 export async function initPdfJs() {
@@ -19,7 +54,7 @@ export async function initPdfJs() {
         const isFileProtocol = window.location.protocol === 'file:';
 
         // Load PDF.js from vendor
-        pdfjsLib = window.pdfjsLib;
+        pdfjsLib = await waitForPdfJs();
 
         if (!pdfjsLib) {
             throw new Error('PDF.js not loaded');
@@ -52,30 +87,45 @@ export async function initPdfJs() {
 }
 
 /**
- * Load PDF from ArrayBuffer
- * @param {ArrayBuffer} arrayBuffer - PDF data
+ * Open a PDF document from data, as both windows do
+ * @param {ArrayBuffer} arrayBuffer - PDF data (detached by PDF.js)
  * @returns {Promise<PDFDocumentProxy>}
  */
-export async function loadPdfFromBuffer(arrayBuffer) {
+export async function openPdf(arrayBuffer) {
     if (!pdfjsLib) {
         throw new Error('PDF.js not initialized');
     }
 
-    // Store for sharing with audience
-    AppState.pdfData = arrayBuffer.slice(0);
-
     const loadingTask = pdfjsLib.getDocument({
         data: arrayBuffer,
         disableAutoFetch: true,
         disableStream: true,
     });
 
-    const pdfDoc = await loadingTask.promise;
+    return loadingTask.promise;
+}
+
+/**
+ * Load PDF from ArrayBuffer
+ * @param {ArrayBuffer} arrayBuffer - PDF data
+ * @returns {Promise<PDFDocumentProxy>}
+ */
+export async function loadPdfFromBuffer(arrayBuffer) {
+    // Store for sharing with audience
+    AppState.pdfData = arrayBuffer.slice(0);
+
+    const pdfDoc = await openPdf(arrayBuffer);
 
     AppState.pdfDoc = pdfDoc;
     AppState.totalPages = pdfDoc.numPages;
     AppState.currentPage = 1;
-    AppState.pageCache.clear();
+    clearRenderCache();
+    AppState.annotationNotes.clear();
+    AppState.pageMedia.clear();
+
+    await loadFrames(pdfDoc);
+    await loadOutline(pdfDoc);
+    await loadPageTransitions(pdfDoc);
 
     console.log(`PDF loaded: ${pdfDoc.numPages} pages`);
 
@@ -115,27 +165,42 @@ export async function loadPdfFromUrl(url) {
     AppState.pdfDoc = pdfDoc;
     AppState.totalPages = pdfDoc.numPages;
     AppState.currentPage = 1;
-    AppState.pageCache.clear();
+    clearRenderCache();
+    AppState.annotationNotes.clear();
+    AppState.pageMedia.clear();
+
+    await loadFrames(pdfDoc);
+    await loadOutline(pdfDoc);
+    await loadPageTransitions(pdfDoc);
 
     console.log(`PDF loaded from URL: ${pdfDoc.numPages} pages`);
 
     return pdfDoc;
 }
 
+/**
+ * Get the scale presenter pages are rendered at
+ * Previews and notes share one render per page, made at the higher (notes) resolution.
+ * @returns {number}
+ */
+export function getPresenterScale() {
+    return AppState.location === 'none' ? AppState.scale : AppState.scale * NOTES_SCALE_FACTOR;
+}
+
 /**
  * Render a full page to an offscreen canvas
  * @param {number} pageNum - Page number (1-indexed)
  * @param {number} scale - Render scale
+ * @param {boolean} [useCache=true] - Go through the render scheduler (cached, cancellable)
  * @returns {Promise<HTMLCanvasElement>}
  */
-export async function renderFullPage(pageNum, scale = 1.0) {
+export async function renderFullPage(pageNum, scale = 1.0, useCache = true) {
     if (!AppState.pdfDoc) {
         throw new Error('No PDF loaded');
     }
 
-    const cacheKey = `${pageNum}-${scale}`;
-    if (AppState.pageCache.has(cacheKey)) {
-        return AppState.pageCache.get(cacheKey);
+    if (useCache) {
+        return getPageCanvas(pageNum, scale);
     }
 
     const page = await AppState.pdfDoc.getPage(pageNum);
@@ -152,13 +217,6 @@ export async function renderFullPage(pageNum, scale = 1.0) {
         viewport: viewport,
     }).promise;
 
-    // Cache the result (limit cache size)
-    if (AppState.pageCache.size > 5) {
-        const firstKey = AppState.pageCache.keys().next().value;
-        AppState.pageCache.delete(firstKey);
-    }
-    AppState.pageCache.set(cacheKey, canvas);
-
     return canvas;
 }
 
@@ -188,17 +246,45 @@ export function extractRegion(source, target, region) {
 }
 
 /**
- * Render audience slide to a canvas
- * @param {HTMLCanvasElement} canvas - Target canvas
+ * Fit a region into an area, keeping its aspect ratio
+ * @param {{ w: number, h: number }} region
+ * @param {number} maxWidth
+ * @param {number} maxHeight - Infinity to fit the width only
+ * @returns {{ width: number, height: number }}
+ */
+export function fitRegion(region, maxWidth, maxHeight) {
+    const aspectRatio = region.w / region.h;
+    let width = maxWidth;
+    let height = maxWidth / aspectRatio;
+
+    if (height > maxHeight) {
+        height = maxHeight;
+        width = maxHeight * aspectRatio;
+    }
+
+    return { width, height };
+}
+
+/**
+ * Render the part of a page a target shows (audience slide or notes) into a canvas
+ * @param {HTMLCanvasElement} canvas - Target canvas, sized to its container
  * @param {number} pageNum - Page number (1-indexed)
+ * @param {'audience'|'notes'} role - Target role (see TARGETS)
  */
-export async function renderAudienceSlide(canvas, pageNum) {
+export async function renderPageRegion(canvas, pageNum, role) {
     if (!AppState.pdfDoc || pageNum < 1 || pageNum > AppState.totalPages) {
         return;
     }
 
-    const scale = AppState.scale;
-    const fullPage = await renderFullPage(pageNum, scale);
+    const target = TARGETS[role];
+
+    // No notes region (text notes only)
+    if (role === 'notes' && AppState.location === 'none') {
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        return;
+    }
+
+    const fullPage = await renderFullPage(pageNum, getPresenterScale());
 
     const regions = getRegions(
         fullPage.width,
@@ -206,66 +292,76 @@ export async function renderAudienceSlide(canvas, pageNum) {
         AppState.location,
         AppState.split
     );
+    const region = regions[target.region];
 
-    // Resize canvas to match aspect ratio
-    const region = regions.audience;
-    const aspectRatio = region.w / region.h;
+    // Previews follow the width of their container, notes fit into it
+    const container = canvas.parentElement;
+    const maxWidth = container?.clientWidth || (target.fitHeight ? 800 : 400);
+    const maxHeight = target.fitHeight ? (container?.clientHeight || 600) : Infinity;
+    const { width, height } = fitRegion(region, maxWidth, maxHeight);
 
     // Use devicePixelRatio for sharp rendering
     const dpr = window.devicePixelRatio || 1;
-    const displayWidth = canvas.parentElement?.clientWidth || 400;
-    const displayHeight = displayWidth / aspectRatio;
-
-    canvas.style.width = `${displayWidth}px`;
-    canvas.style.height = `${displayHeight}px`;
-    canvas.width = displayWidth * dpr;
-    canvas.height = displayHeight * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    canvas.width = width * dpr * target.resolution;
+    canvas.height = height * dpr * target.resolution;
 
     extractRegion(fullPage, canvas, region);
 }
 
+/**
+ * Render audience slide to a canvas
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} pageNum - Page number (1-indexed)
+ */
+export function renderAudienceSlide(canvas, pageNum) {
+    return renderPageRegion(canvas, pageNum, 'audience');
+}
+
 /**
  * Render notes area to a canvas
  * @param {HTMLCanvasElement} canvas - Target canvas
  * @param {number} pageNum - Page number (1-indexed)
  */
-export async function renderNotesArea(canvas, pageNum) {
-    if (!AppState.pdfDoc || pageNum < 1 || pageNum > AppState.totalPages) {
-        return;
-    }
+export function renderNotesArea(canvas, pageNum) {
+    return renderPageRegion(canvas, pageNum, 'notes');
+}
 
-    const scale = AppState.scale * 1.5; // Higher scale for notes
-    const fullPage = await renderFullPage(pageNum, scale);
+/**
+ * Render the part of a page a target shows straight at the target's size
+ * Used for audience outputs: only the region is rendered, at the output's device pixels.
+ * Runs in the render worker (OffscreenCanvas) as well as on the main thread.
+ * @param {PDFPageProxy} page
+ * @param {{ role?: string, location: string, split: number, width: number, height: number, dpr: number }} options - Target size in CSS pixels
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ * @param {(task: RenderTask) => void} [onTask] - Receives the PDF.js render task (to cancel it)
+ * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+ */
+export async function renderRegionToSize(page, options, createCanvas, onTask = () => {}) {
+    const baseViewport = page.getViewport({ scale: 1 });
+    const regions = getRegions(baseViewport.width, baseViewport.height, options.location, options.split);
+    const region = regions[TARGETS[options.role || 'audience'].region];
+
+    const { width, height } = fitRegion(region, options.width, options.height);
+    const scale = (width * options.dpr) / region.w;
+    const viewport = page.getViewport({
+        scale: scale,
+        offsetX: -region.x * scale,
+        offsetY: -region.y * scale,
+    });
 
-    const regions = getRegions(
-        fullPage.width,
-        fullPage.height,
-        AppState.location,
-        AppState.split
+    const canvas = createCanvas(
+        Math.max(1, Math.round(width * options.dpr)),
+        Math.max(1, Math.round(height * options.dpr))
     );
 
-    // Resize canvas to match aspect ratio
-    const region = regions.notes;
-    const aspectRatio = region.w / region.h;
-
-    // Use devicePixelRatio for sharp rendering
-    const dpr = window.devicePixelRatio || 1;
-    const container = canvas.parentElement;
-    const maxWidth = container?.clientWidth || 800;
-    const maxHeight = container?.clientHeight || 600;
-
-    let displayWidth = maxWidth;
-    let displayHeight = displayWidth / aspectRatio;
-
-    if (displayHeight > maxHeight) {
-        displayHeight = maxHeight;
-        displayWidth = displayHeight * aspectRatio;
-    }
-
-    canvas.style.width = `${displayWidth}px`;
-    canvas.style.height = `${displayHeight}px`;
-    canvas.width = displayWidth * dpr * 1.5; // Higher resolution
-    canvas.height = displayHeight * dpr * 1.5; // Higher resolution
+    const task = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: viewport,
+    });
+    onTask(task);
+    await task.promise;
 
-    extractRegion(fullPage, canvas, region);
+    return canvas;
 }
@@ -0,0 +1,210 @@
+/**
+ * Beamer Presenter - PDF Transfer Module
+ * Chunked PDF transfer over the relay with CRC-32 integrity checks
+ */
+
+// Raw bytes per chunk (base64 in JSON adds a third)
+export const PDF_CHUNK_SIZE = 192 * 1024;
+
+// Pause sending while this much is queued on the socket
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a byte array
+ * Detects corrupted or mixed-up chunks; crypto.subtle is unavailable on plain-http LAN pages.
+ * @param {Uint8Array} bytes
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    let binary = '';
+    // Chunked to stay below the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Describe a PDF for transfer (sent first, lets the receiver check the result)
+ * @param {ArrayBuffer} data
+ * @returns {{ size: number, chunkCount: number, crc: number }}
+ */
+export function describePdf(data) {
+    return {
+        size: data.byteLength,
+        chunkCount: Math.ceil(data.byteLength / PDF_CHUNK_SIZE),
+        crc: crc32(new Uint8Array(data)),
+    };
+}
+
+/**
+ * Send chunks of a PDF, pausing while the socket is backed up
+ * @param {ArrayBuffer} data
+ * @param {string} transferId
+ * @param {(payload: object) => boolean} sendChunk - Returns false once the connection is gone
+ * @param {() => number} getBufferedAmount - Bytes queued on the socket
+ * @param {number[]} [indices] - Chunks to send (default: all)
+ * @returns {Promise<boolean>} - Whether all chunks were sent
+ */
+export async function sendPdfChunks(data, transferId, sendChunk, getBufferedAmount, indices = null) {
+    const bytes = new Uint8Array(data);
+    const chunkCount = Math.ceil(bytes.length / PDF_CHUNK_SIZE);
+    const list = indices || Array.from({ length: chunkCount }, (_, i) => i);
+
+    for (const index of list) {
+        if (index < 0 || index >= chunkCount) {
+            continue;
+        }
+
+        while (getBufferedAmount() > MAX_BUFFERED_BYTES) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        const chunk = bytes.subarray(index * PDF_CHUNK_SIZE, (index + 1) * PDF_CHUNK_SIZE);
+        const sent = sendChunk({
+            transferId: transferId,
+            index: index,
+            crc: crc32(chunk),
+            data: toBase64(chunk),
+        });
+        if (!sent) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Create a receiver that reassembles a chunked PDF
+ * @returns {{
+ *   begin: (info: object) => void,
+ *   addChunk: (chunk: object) => void,
+ *   finish: (transferId: string) => { data: ArrayBuffer }|{ missing: number[] }|null,
+ *   getProgress: () => number,
+ * }}
+ */
+export function createPdfReceiver() {
+    let info = null;
+    let buffer = null;
+    let received = null;
+    let receivedCount = 0;
+
+    return {
+        /**
+         * Start a transfer (drops any unfinished one)
+         * @param {{ transferId: string, size: number, chunkCount: number, crc: number }} transferInfo
+         */
+        begin(transferInfo) {
+            info = transferInfo;
+            buffer = new Uint8Array(transferInfo.size);
+            received = new Array(transferInfo.chunkCount).fill(false);
+            receivedCount = 0;
+        },
+
+        /**
+         * Store a chunk; chunks failing their checksum are left missing
+         * @param {{ transferId: string, index: number, crc: number, data: string }} chunk
+         */
+        addChunk(chunk) {
+            if (!info || chunk.transferId !== info.transferId || !(chunk.index >= 0 && chunk.index < info.chunkCount)) {
+                return;
+            }
+
+            const bytes = fromBase64(chunk.data);
+            const offset = chunk.index * PDF_CHUNK_SIZE;
+            if (crc32(bytes) !== chunk.crc || offset + bytes.length > info.size) {
+                console.warn(`PDF chunk ${chunk.index} failed its checksum`);
+                return;
+            }
+
+            buffer.set(bytes, offset);
+            if (!received[chunk.index]) {
+                received[chunk.index] = true;
+                receivedCount++;
+            }
+        },
+
+        /**
+         * Check a finished transfer
+         * A whole-file mismatch asks for everything again.
+         * @param {string} transferId
+         * @returns {{ data: ArrayBuffer }|{ missing: number[] }|null} - null for an unknown transfer
+         */
+        finish(transferId) {
+            if (!info || transferId !== info.transferId) {
+                return null;
+            }
+
+            const missing = [];
+            received.forEach((ok, index) => {
+                if (!ok) {
+                    missing.push(index);
+                }
+            });
+            if (missing.length > 0) {
+                return { missing };
+            }
+
+            if (crc32(buffer) !== info.crc) {
+                received.fill(false);
+                receivedCount = 0;
+                return { missing: received.map((_, index) => index) };
+            }
+
+            const data = buffer.buffer;
+            info = null;
+            buffer = null;
+            received = null;
+            return { data };
+        },
+
+        /**
+         * Get progress of the current transfer
+         * @returns {number} - 0 to 1
+         */
+        getProgress() {
+            return info && info.chunkCount > 0 ? receivedCount / info.chunkCount : 0;
+        },
+    };
+}
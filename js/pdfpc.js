@@ -0,0 +1,173 @@
+/**
+ * Beamer Presenter - pdfpc Sidecar Module
+ * Parses pdfpc `.pdfpc` JSON files (notes, timing, overlays, hidden pages)
+ */
+
+import { AppState } from './config.js';
+import { setFrames } from './frames.js';
+
+const NOTE_POSITIONS = ['right', 'left', 'top', 'bottom'];
+
+/**
+ * Read a top-level setting
+ * pdfpc writes camelCase keys; older tools wrote snake_case ones.
+ * @param {object} data - Parsed sidecar
+ * @param {string} key - camelCase key
+ * @returns {*}
+ */
+function readSetting(data, key) {
+    const snakeKey = key.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+    return data[key] ?? data[snakeKey];
+}
+
+/**
+ * Check if a file name is a pdfpc sidecar
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+export function isPdfpcFile(name) {
+    return name.toLowerCase().endsWith('.pdfpc');
+}
+
+/**
+ * Parse pdfpc sidecar content
+ * @param {string} text - File content (pdfpc JSON format)
+ * @returns {{
+ *   location: string|null,
+ *   split: number|null,
+ *   duration: number|null,
+ *   endTime: string|null,
+ *   lastMinutes: number|null,
+ *   noteFontSize: number|null,
+ *   notes: Map<number, string>,
+ *   hiddenPages: Set<number>,
+ *   pages: { page: number, label: string|null, overlay: number }[],
+ * }}
+ */
+export function parsePdfpc(text) {
+    let data;
+
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a pdfpc JSON file (legacy text format is not supported)');
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Invalid pdfpc file');
+    }
+
+    const location = readSetting(data, 'notePosition');
+    const split = Number(readSetting(data, 'split'));
+    const duration = Number(readSetting(data, 'duration'));
+    const endTime = readSetting(data, 'endTime');
+    const lastMinutes = Number(readSetting(data, 'lastMinutes'));
+    const noteFontSize = Number(readSetting(data, 'noteFontSize'));
+
+    const sidecar = {
+        location: NOTE_POSITIONS.includes(location) ? location : null,
+        split: split > 0 && split < 1 ? split : null,
+        duration: duration > 0 ? duration * 60 * 1000 : null,
+        endTime: /^\d{1,2}:\d{2}$/.test(endTime) ? endTime : null,
+        lastMinutes: lastMinutes > 0 ? lastMinutes : null,
+        noteFontSize: noteFontSize > 0 ? noteFontSize : null,
+        notes: new Map(),
+        hiddenPages: new Set(),
+        pages: [],
+    };
+
+    const pages = Array.isArray(data.pages) ? data.pages : [];
+
+    pages.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            return;
+        }
+
+        // pdfpc page indices are 0-based
+        const page = (Number.isInteger(entry.idx) ? entry.idx : index) + 1;
+
+        if (typeof entry.note === 'string' && entry.note.trim()) {
+            sidecar.notes.set(page, entry.note);
+        }
+
+        if (entry.hidden) {
+            sidecar.hiddenPages.add(page);
+        }
+
+        sidecar.pages.push({
+            page: page,
+            label: entry.label !== undefined ? `${entry.label}` : null,
+            overlay: Number(entry.overlay) || 0,
+        });
+    });
+
+    sidecar.pages.sort((a, b) => a.page - b.page);
+
+    return sidecar;
+}
+
+/**
+ * Build frame list from pdfpc overlay numbers
+ * @param {{ page: number, label: string|null, overlay: number }[]} pages
+ * @returns {{ start: number, end: number, label: string }[]}
+ */
+function buildFramesFromPages(pages) {
+    const frames = [];
+
+    pages.forEach(({ page, label, overlay }) => {
+        const last = frames[frames.length - 1];
+
+        if (overlay > 0 && last && last.end === page - 1) {
+            last.end = page;
+        } else {
+            frames.push({ start: page, end: page, label: label || `${page}` });
+        }
+    });
+
+    return frames;
+}
+
+/**
+ * Apply parsed sidecar to application state
+ * Must be called after the PDF is loaded.
+ * @param {ReturnType<typeof parsePdfpc>} sidecar
+ */
+export function applyPdfpc(sidecar) {
+    if (sidecar.location) {
+        AppState.location = sidecar.location;
+    }
+
+    if (sidecar.split !== null) {
+        AppState.split = sidecar.split;
+    }
+
+    // Sidecar timing switches the timer to countdown
+    if (sidecar.duration !== null || sidecar.endTime !== null) {
+        AppState.timerMode = 'countdown';
+        AppState.talkDuration = sidecar.duration;
+        AppState.talkEndTime = sidecar.endTime;
+    }
+
+    if (sidecar.lastMinutes !== null) {
+        AppState.talkWarningMinutes = sidecar.lastMinutes;
+    }
+
+    AppState.textNotes = new Map(sidecar.notes);
+    AppState.hiddenPages = new Set(
+        Array.from(sidecar.hiddenPages).filter(page => page <= AppState.totalPages)
+    );
+
+    if (sidecar.noteFontSize) {
+        AppState.noteFontSize = sidecar.noteFontSize;
+    }
+
+    // Overlay grouping only makes sense if the sidecar matches the PDF
+    if (sidecar.pages.length === AppState.totalPages) {
+        AppState.pageLabels = sidecar.pages.map(({ page, label }) => label || `${page}`);
+        setFrames(buildFramesFromPages(sidecar.pages));
+    } else if (sidecar.pages.length > 0) {
+        console.warn(`pdfpc: ${sidecar.pages.length} pages in sidecar, ${AppState.totalPages} in PDF; ignoring overlays`);
+    }
+
+    console.log(`pdfpc: ${sidecar.notes.size} notes, ${AppState.hiddenPages.size} hidden pages`);
+}
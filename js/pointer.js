@@ -0,0 +1,143 @@
+/**
+ * Beamer Presenter - Pointer Module
+ * Pointer styles (laser, spotlight) and zoom-to-region magnifier
+ */
+
+import { getRegions } from './config.js';
+import { fitRegion } from './pdf-renderer.js';
+
+// Spotlight radius (relative to slide width)
+const SPOTLIGHT_RADIUS = 0.12;
+
+// Smaller selections are treated as a click (resets zoom)
+const MIN_ZOOM_SIZE = 0.03;
+
+let zoomRenderId = 0;
+
+/**
+ * Apply pointer style to a pointer element
+ * @param {HTMLElement} pointer - Pointer element
+ * @param {string} mode - laser, spotlight or zoom (zoom shows the laser dot)
+ * @param {number} slideWidth - Displayed slide width in CSS pixels
+ */
+export function applyPointerStyle(pointer, mode, slideWidth) {
+    const isSpotlight = mode === 'spotlight';
+
+    pointer.classList.toggle('spotlight', isSpotlight);
+
+    if (isSpotlight) {
+        const size = `${Math.round(SPOTLIGHT_RADIUS * 2 * slideWidth)}px`;
+        pointer.style.width = size;
+        pointer.style.height = size;
+    } else {
+        pointer.style.width = '';
+        pointer.style.height = '';
+    }
+}
+
+/**
+ * Build zoom rectangle from two corner points
+ * @param {{x: number, y: number}} start - Normalized start point
+ * @param {{x: number, y: number}} end - Normalized end point
+ * @returns {{x: number, y: number, w: number, h: number}|null} - Null if too small
+ */
+export function getZoomRect(start, end) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    const w = Math.abs(end.x - start.x);
+    const h = Math.abs(end.y - start.y);
+
+    if (w < MIN_ZOOM_SIZE || h < MIN_ZOOM_SIZE) {
+        return null;
+    }
+
+    return { x, y, w, h };
+}
+
+/**
+ * Map slide coordinates into a zoomed region
+ * @param {number} x - Normalized X on the slide (0-1)
+ * @param {number} y - Normalized Y on the slide (0-1)
+ * @param {{x: number, y: number, w: number, h: number}} zoom - Zoom rectangle
+ * @returns {{x: number, y: number}|null} - Normalized coordinates in the region, or null if outside
+ */
+export function mapToZoom(x, y, zoom) {
+    const zx = (x - zoom.x) / zoom.w;
+    const zy = (y - zoom.y) / zoom.h;
+
+    if (zx < 0 || zx > 1 || zy < 0 || zy > 1) {
+        return null;
+    }
+
+    return { x: zx, y: zy };
+}
+
+/**
+ * Render a region of the audience slide at full resolution
+ * The page is rendered through PDF.js with an offset viewport, so only the
+ * region is rasterized (no upscaling of a cached canvas).
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {{x: number, y: number, w: number, h: number}} zoom - Zoom rectangle (normalized to the audience region)
+ * @param {string} location - Notes location
+ * @param {number} split - Split ratio
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} maxWidth - Available width in CSS pixels
+ * @param {number} maxHeight - Available height in CSS pixels
+ * @returns {Promise<boolean>} - False if superseded by a newer zoom render
+ */
+export async function renderZoomRegion(pdfDoc, pageNum, zoom, location, split, canvas, maxWidth, maxHeight) {
+    const renderId = ++zoomRenderId;
+
+    const page = await pdfDoc.getPage(pageNum);
+    const baseViewport = page.getViewport({ scale: 1 });
+    const audience = getRegions(baseViewport.width, baseViewport.height, location, split).audience;
+
+    // Source rectangle in PDF units (scale 1)
+    const src = {
+        x: audience.x + zoom.x * audience.w,
+        y: audience.y + zoom.y * audience.h,
+        w: zoom.w * audience.w,
+        h: zoom.h * audience.h,
+    };
+
+    // Fit region into available space
+    const { width: displayWidth, height: displayHeight } = fitRegion(src, maxWidth, maxHeight);
+
+    const dpr = window.devicePixelRatio || 1;
+    const scale = (displayWidth * dpr) / src.w;
+    const viewport = page.getViewport({
+        scale: scale,
+        offsetX: -src.x * scale,
+        offsetY: -src.y * scale,
+    });
+
+    // Render offscreen so an older zoom stays visible until this one is ready
+    const offscreen = document.createElement('canvas');
+    offscreen.width = Math.round(displayWidth * dpr);
+    offscreen.height = Math.round(displayHeight * dpr);
+
+    await page.render({
+        canvasContext: offscreen.getContext('2d'),
+        viewport: viewport,
+    }).promise;
+
+    if (renderId !== zoomRenderId) {
+        return false;
+    }
+
+    canvas.style.width = `${displayWidth}px`;
+    canvas.style.height = `${displayHeight}px`;
+    canvas.width = offscreen.width;
+    canvas.height = offscreen.height;
+    canvas.getContext('2d').drawImage(offscreen, 0, 0);
+
+    return true;
+}
+
+/**
+ * Invalidate pending zoom renders (after zoom is reset)
+ */
+export function cancelZoomRender() {
+    zoomRenderId++;
+}
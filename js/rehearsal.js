@@ -0,0 +1,233 @@
+/**
+ * Beamer Presenter - Rehearsal Module
+ * Records per-slide timings of rehearsals, compares and exports them
+ */
+
+import { AppState } from './config.js';
+import { getFrame, getPageLabel } from './frames.js';
+import { formatTime } from './timer.js';
+
+const STORAGE_KEY = 'beamer-presenter-rehearsals';
+const MAX_STORED_PER_DECK = 10;
+
+/**
+ * Get storage key of the loaded deck
+ * @returns {string}
+ */
+function getDeckKey() {
+    return `${AppState.deckName}#${AppState.totalPages}`;
+}
+
+/**
+ * Read all stored rehearsals
+ * @returns {Object<string, object[]>} - Deck key -> rehearsals (oldest first)
+ */
+function readStore() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Failed to read rehearsals:', error);
+        return {};
+    }
+}
+
+/**
+ * Write all stored rehearsals
+ * @param {Object<string, object[]>} store
+ */
+function writeStore(store) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    } catch (error) {
+        console.warn('Failed to save rehearsal:', error);
+    }
+}
+
+/**
+ * Check if a rehearsal is being recorded
+ * @returns {boolean}
+ */
+export function isRehearsing() {
+    return AppState.isRehearsing;
+}
+
+/**
+ * Start recording a rehearsal
+ * The caller resets and starts the timer; page visits are logged by navigation.
+ */
+export function startRehearsal() {
+    AppState.isRehearsing = true;
+}
+
+/**
+ * Build rehearsal result from page visits
+ * Time is attributed to frames, so overlays add up to their frame.
+ * @param {{ page: number, elapsed: number }[]} visits - Page visits in order
+ * @param {number} endElapsed - Elapsed time at the end of the rehearsal
+ * @returns {{ deck: string, date: string, totalSeconds: number, pages: { page: number, label: string, seconds: number }[] }}
+ */
+export function buildRehearsalResult(visits, endElapsed) {
+    const durations = new Map();
+
+    visits.forEach((visit, index) => {
+        const end = index + 1 < visits.length ? visits[index + 1].elapsed : endElapsed;
+        const frame = getFrame(visit.page);
+        const key = frame ? frame.start : visit.page;
+
+        durations.set(key, (durations.get(key) || 0) + Math.max(0, end - visit.elapsed));
+    });
+
+    const pages = Array.from(durations.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([page, ms]) => ({
+            page: page,
+            label: getPageLabel(page),
+            seconds: Math.round(ms / 100) / 10,
+        }));
+
+    return {
+        deck: AppState.deckName,
+        date: new Date().toISOString(),
+        totalSeconds: Math.round(endElapsed / 100) / 10,
+        pages: pages,
+    };
+}
+
+/**
+ * Stop recording and store the result
+ * @param {number} endElapsed - Elapsed time at the end of the rehearsal
+ * @returns {ReturnType<typeof buildRehearsalResult>}
+ */
+export function finishRehearsal(endElapsed) {
+    AppState.isRehearsing = false;
+
+    const result = buildRehearsalResult(AppState.pageVisits, endElapsed);
+
+    const store = readStore();
+    const key = getDeckKey();
+    store[key] = [...(store[key] || []), result].slice(-MAX_STORED_PER_DECK);
+    writeStore(store);
+
+    return result;
+}
+
+/**
+ * Get stored rehearsals of the loaded deck
+ * @returns {ReturnType<typeof buildRehearsalResult>[]} - Oldest first
+ */
+export function getStoredRehearsals() {
+    return readStore()[getDeckKey()] || [];
+}
+
+/**
+ * Get stored rehearsals of any deck
+ * @param {string} deckName
+ * @param {number} totalPages
+ * @returns {ReturnType<typeof buildRehearsalResult>[]} - Oldest first
+ */
+export function getRehearsalsForDeck(deckName, totalPages) {
+    return readStore()[`${deckName}#${totalPages}`] || [];
+}
+
+/**
+ * Convert rehearsal result to per-slide budgets
+ * @param {ReturnType<typeof buildRehearsalResult>} result
+ * @returns {Map<number, number>} - Page -> budget in ms
+ */
+export function rehearsalToBudgets(result) {
+    return new Map(result.pages.map(({ page, seconds }) => [page, seconds * 1000]));
+}
+
+/**
+ * Export rehearsal result as CSV (readable as a timings file)
+ * @param {ReturnType<typeof buildRehearsalResult>} result
+ * @returns {string}
+ */
+export function rehearsalToCsv(result) {
+    const rows = result.pages.map(({ page, label, seconds }) => `${page},"${label.replace(/"/g, '""')}",${seconds}`);
+    return ['page,label,seconds', ...rows].join('\n') + '\n';
+}
+
+/**
+ * Export rehearsal result as JSON (readable as a timings file)
+ * @param {ReturnType<typeof buildRehearsalResult>} result
+ * @returns {string}
+ */
+export function rehearsalToJson(result) {
+    return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Format signed difference in seconds
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDelta(seconds) {
+    const ms = Math.round(seconds) * 1000;
+    return ms > 0 ? `+${formatTime(ms)}` : formatTime(ms);
+}
+
+/**
+ * Render rehearsal report table
+ * Compares with the most recent earlier rehearsal and lists earlier totals.
+ * @param {HTMLElement} container - Report container
+ * @param {ReturnType<typeof buildRehearsalResult>} result - This rehearsal
+ * @param {ReturnType<typeof buildRehearsalResult>[]} history - Earlier rehearsals (oldest first)
+ */
+export function renderRehearsalReport(container, result, history) {
+    const previous = history.length > 0 ? history[history.length - 1] : null;
+    const previousByPage = new Map((previous?.pages || []).map(entry => [entry.page, entry.seconds]));
+
+    const table = document.createElement('table');
+    table.className = 'rehearsal-table';
+
+    const head = table.createTHead().insertRow();
+    ['Slide', 'This run', 'Previous', 'Δ'].forEach((title) => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+
+    const addRow = (label, seconds, previousSeconds, className) => {
+        const row = body.insertRow();
+        if (className) {
+            row.className = className;
+        }
+
+        const hasPrevious = previousSeconds !== undefined;
+        const delta = hasPrevious ? seconds - previousSeconds : null;
+
+        [
+            label,
+            formatTime(seconds * 1000),
+            hasPrevious ? formatTime(previousSeconds * 1000) : '–',
+            hasPrevious ? formatDelta(delta) : '–',
+        ].forEach((text, index) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (index === 3 && delta) {
+                cell.className = delta > 0 ? 'slower' : 'faster';
+            }
+        });
+    };
+
+    result.pages.forEach(({ page, label, seconds }) => {
+        addRow(label, seconds, previousByPage.get(page) ?? (previous ? 0 : undefined));
+    });
+
+    addRow('Total', result.totalSeconds, previous?.totalSeconds, 'total');
+
+    container.innerHTML = '';
+    container.appendChild(table);
+
+    if (history.length > 0) {
+        const totals = document.createElement('p');
+        totals.className = 'rehearsal-history text-xs text-muted';
+        totals.textContent = 'Earlier rehearsals: ' + history
+            .map(entry => `${formatTime(entry.totalSeconds * 1000)} (${new Date(entry.date).toLocaleDateString()})`)
+            .join(', ');
+        container.appendChild(totals);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Beamer Presenter - Relay Client Module
+ * WebSocket connection to the optional LAN relay (relay/server.mjs)
+ */
+
+// Relay-level message types (see relay/server.mjs)
+export const RELAY_TYPES = {
+    JOIN: 'RELAY_JOIN',
+    LEAVE: 'RELAY_LEAVE',
+    PRESENTER: 'RELAY_PRESENTER',
+};
+
+// Join codes avoid look-alike characters (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Presenter tokens are never typed, only kept by the presenter tab
+const TOKEN_BYTES = 24;
+
+// Reconnect backoff
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+const state = {
+    socket: null,
+    options: null,
+    reconnectDelay: RECONNECT_MIN_MS,
+    reconnectTimer: null,
+};
+
+/**
+ * Generate a join code
+ * @returns {string}
+ */
+export function generateJoinCode() {
+    const values = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Generate a presenter token (proves to the relay that a presenter owns its room)
+ * @returns {string} - Hex string
+ */
+export function generatePresenterToken() {
+    const values = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get default relay URL
+ * Pages served by the relay use the same host; otherwise a local relay is assumed.
+ * @returns {string}
+ */
+export function getDefaultRelayUrl() {
+    const { protocol, host } = window.location;
+
+    if (protocol === 'http:' || protocol === 'https:') {
+        return `${protocol === 'https:' ? 'wss' : 'ws'}://${host}/relay`;
+    }
+    return 'ws://localhost:8765/relay';
+}
+
+/**
+ * Get HTTP base URL of the relay (where it serves the app pages)
+ * @param {string} relayUrl - WebSocket URL of the relay
+ * @returns {string}
+ */
+export function getRelayHttpBase(relayUrl) {
+    const url = new URL(relayUrl);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    url.pathname = '/';
+    url.search = '';
+    return url.toString();
+}
+
+/**
+ * Check if the relay connection is open
+ * @returns {boolean}
+ */
+export function isRelayConnected() {
+    return state.socket !== null && state.socket.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Get bytes queued on the relay socket (for pacing large transfers)
+ * @returns {number}
+ */
+export function getRelayBufferedAmount() {
+    return state.socket ? state.socket.bufferedAmount : 0;
+}
+
+/**
+ * Open the socket and reconnect with backoff when it drops
+ */
+function openSocket() {
+    const { url, room, role, params = {}, onMessage, onStatus } = state.options;
+    const query = new URLSearchParams({ ...params, room, role });
+    const socketUrl = `${url}?${query}`;
+
+    let socket;
+    try {
+        socket = new WebSocket(socketUrl);
+    } catch (error) {
+        console.error('Invalid relay URL:', error);
+        onStatus('error');
+        return;
+    }
+
+    state.socket = socket;
+    onStatus('connecting');
+
+    socket.addEventListener('open', () => {
+        state.reconnectDelay = RECONNECT_MIN_MS;
+        onStatus('connected');
+    });
+
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('Ignoring malformed relay message');
+            return;
+        }
+        if (message && typeof message.type === 'string') {
+            onMessage(message);
+        }
+    });
+
+    socket.addEventListener('close', () => {
+        if (state.socket !== socket) {
+            return;
+        }
+        state.socket = null;
+        onStatus('disconnected');
+
+        state.reconnectTimer = setTimeout(openSocket, state.reconnectDelay);
+        state.reconnectDelay = Math.min(state.reconnectDelay * 2, RECONNECT_MAX_MS);
+    });
+}
+
+/**
+ * Connect to the relay (reconnects automatically until disconnectRelay)
+ * @param {{
+ *   url: string,
+ *   room: string,
+ *   role: string,
+ *   params?: Object<string, string>,
+ *   onMessage: (message: object) => void,
+ *   onStatus: (status: string) => void,
+ * }} options - params are extra query parameters (presenter token and viewer code);
+ *   status is 'connecting', 'connected', 'disconnected' or 'error'
+ */
+export function connectRelay(options) {
+    disconnectRelay();
+    state.options = options;
+    state.reconnectDelay = RECONNECT_MIN_MS;
+    openSocket();
+}
+
+/**
+ * Close the relay connection
+ */
+export function disconnectRelay() {
+    clearTimeout(state.reconnectTimer);
+
+    const socket = state.socket;
+    state.socket = null;
+    if (socket) {
+        socket.close();
+    }
+
+    if (state.options) {
+        state.options.onStatus('disconnected');
+        state.options = null;
+    }
+}
+
+/**
+ * Send a message through the relay
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ * @param {{ to?: number, toRole?: string }} [target] - Recipient client or role (presenter only)
+ * @returns {boolean} - Whether the message was sent
+ */
+export function sendToRelay(type, payload, target = {}) {
+    if (!isRelayConnected()) {
+        return false;
+    }
+
+    state.socket.send(JSON.stringify({ ...target, type, payload }));
+    return true;
+}
@@ -0,0 +1,266 @@
+/**
+ * Beamer Presenter - Remote Control Module
+ * Presenter side of the relay: phone remote status and commands, network viewers
+ */
+
+import { CONFIG } from './config.js';
+import { connectRelay, disconnectRelay, sendToRelay, isRelayConnected, generateJoinCode, generatePresenterToken, getDefaultRelayUrl, getRelayHttpBase, RELAY_TYPES } from './relay.js';
+import { handleViewerMessage, getViewerCount, resetViewers } from './mirror.js';
+
+// Join code survives presenter reloads (remotes reconnect on their own)
+const CODE_STORAGE_KEY = 'beamer-presenter-join-code';
+
+// Viewer code (handed out in viewer links) and the presenter's own token, kept alike
+const VIEWER_CODE_STORAGE_KEY = 'beamer-presenter-viewer-code';
+const TOKEN_STORAGE_KEY = 'beamer-presenter-relay-token';
+const URL_STORAGE_KEY = 'beamer-presenter-relay-url';
+
+// Thumbnails sent to phones (small JPEGs keep status updates fast on Wi-Fi)
+const SNAPSHOT_QUALITY = 0.7;
+
+// Commands a remote may send
+const COMMANDS = ['next', 'prev', 'black', 'white', 'jump'];
+
+// Relay client IDs of connected phone remotes
+const remotes = new Set();
+
+const state = {
+    status: 'disconnected',
+    onCommand: null,
+    getStatus: null,
+    onStatusChange: null,
+};
+
+// Values generated when sessionStorage is unavailable (kept for this page)
+const fallbackValues = new Map();
+
+/**
+ * Get a value of this presenter session, generating it on first use
+ * @param {string} key - sessionStorage key
+ * @param {() => string} generate
+ * @returns {string}
+ */
+function getSessionValue(key, generate) {
+    let value = null;
+
+    try {
+        value = sessionStorage.getItem(key);
+        if (!value) {
+            value = generate();
+            sessionStorage.setItem(key, value);
+        }
+    } catch (error) {
+        if (!fallbackValues.has(key)) {
+            fallbackValues.set(key, generate());
+        }
+        value = fallbackValues.get(key);
+    }
+
+    return value;
+}
+
+/**
+ * Get join code of this presenter session (phone remotes)
+ * @returns {string}
+ */
+export function getJoinCode() {
+    return getSessionValue(CODE_STORAGE_KEY, generateJoinCode);
+}
+
+/**
+ * Get viewer code of this presenter session
+ * Viewers cannot derive the join code from it, so they cannot send commands.
+ * @returns {string}
+ */
+function getViewerCode() {
+    return getSessionValue(VIEWER_CODE_STORAGE_KEY, generateJoinCode);
+}
+
+/**
+ * Get relay URL (last used, or the default)
+ * @returns {string}
+ */
+export function getRelayUrl() {
+    try {
+        return localStorage.getItem(URL_STORAGE_KEY) || getDefaultRelayUrl();
+    } catch (error) {
+        return getDefaultRelayUrl();
+    }
+}
+
+/**
+ * Get URL of the remote page for phones
+ * @returns {string}
+ */
+export function getRemotePageUrl() {
+    return `${getRelayHttpBase(getRelayUrl())}remote.html?code=${getJoinCode()}`;
+}
+
+/**
+ * Get URL of the audience page for network viewers
+ * @returns {string}
+ */
+export function getViewerPageUrl() {
+    return `${getRelayHttpBase(getRelayUrl())}audience.html?viewer=${getViewerCode()}`;
+}
+
+/**
+ * Get relay connection status
+ * @returns {string} - 'connecting', 'connected', 'disconnected' or 'error'
+ */
+export function getRemoteStatus() {
+    return state.status;
+}
+
+/**
+ * Get number of connected phone remotes and viewers
+ * @returns {{ remotes: number, viewers: number }}
+ */
+export function getClientCounts() {
+    return { remotes: remotes.size, viewers: getViewerCount() };
+}
+
+/**
+ * Notify status listener (connection or client count changed)
+ */
+function notifyStatusChange() {
+    if (state.onStatusChange) {
+        state.onStatusChange(state.status);
+    }
+}
+
+/**
+ * Scale a canvas down to a JPEG data URL for the remote
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} maxWidth - Largest width of the image
+ * @returns {string|null} - Data URL, or null if the canvas is empty
+ */
+export function snapshotCanvas(canvas, maxWidth) {
+    if (!canvas || canvas.width === 0 || canvas.height === 0) {
+        return null;
+    }
+
+    const scale = Math.min(1, maxWidth / canvas.width);
+    const snapshot = document.createElement('canvas');
+    snapshot.width = Math.round(canvas.width * scale);
+    snapshot.height = Math.round(canvas.height * scale);
+    snapshot.getContext('2d').drawImage(canvas, 0, 0, snapshot.width, snapshot.height);
+
+    return snapshot.toDataURL('image/jpeg', SNAPSHOT_QUALITY);
+}
+
+/**
+ * Handle a message from the relay
+ * @param {{ type: string, payload: object, from?: number, role?: string }} message
+ */
+function handleRelayMessage(message) {
+    const { type, payload, from, role } = message;
+
+    if (role === 'viewer') {
+        handleViewerMessage(message);
+        if (type === RELAY_TYPES.JOIN || type === RELAY_TYPES.LEAVE) {
+            notifyStatusChange();
+        }
+        return;
+    }
+
+    switch (type) {
+        case RELAY_TYPES.JOIN:
+            if (role === 'remote') {
+                remotes.add(from);
+                notifyStatusChange();
+                sendRemoteStatus(from);
+            }
+            break;
+
+        case RELAY_TYPES.LEAVE:
+            if (remotes.delete(from)) {
+                notifyStatusChange();
+            }
+            break;
+
+        case CONFIG.remoteMessageTypes.HELLO:
+            if (role === 'remote') {
+                sendRemoteStatus(from);
+            }
+            break;
+
+        case CONFIG.remoteMessageTypes.COMMAND:
+            if (role === 'remote' && payload && COMMANDS.includes(payload.action) && state.onCommand) {
+                state.onCommand(payload);
+            }
+            break;
+    }
+}
+
+/**
+ * Connect to the relay, accept remote commands and serve network viewers
+ * @param {string} url - Relay WebSocket URL
+ * @param {{
+ *   onCommand: (command: { action: string, page?: number }) => void,
+ *   getStatus: () => Promise<object>,
+ *   onStatusChange: (status: string) => void,
+ * }} handlers
+ */
+export function startRemoteControl(url, handlers) {
+    try {
+        localStorage.setItem(URL_STORAGE_KEY, url);
+    } catch (error) {
+        console.warn('Failed to save relay URL:', error);
+    }
+
+    Object.assign(state, handlers);
+
+    connectRelay({
+        url: url,
+        room: getJoinCode(),
+        role: 'presenter',
+        params: {
+            token: getSessionValue(TOKEN_STORAGE_KEY, generatePresenterToken),
+            viewer: getViewerCode(),
+        },
+        onMessage: handleRelayMessage,
+        onStatus: (status) => {
+            state.status = status;
+            // The relay announces every client again after a reconnect
+            if (status !== 'connected') {
+                remotes.clear();
+                resetViewers();
+            }
+            notifyStatusChange();
+        },
+    });
+}
+
+/**
+ * Disconnect from the relay
+ */
+export function stopRemoteControl() {
+    disconnectRelay();
+}
+
+/**
+ * Send slide status (thumbnails, notes) to remotes
+ * @param {number|null} [to] - Relay client ID, or null for all remotes
+ */
+export async function sendRemoteStatus(to = null) {
+    if (!isRelayConnected() || !state.getStatus) {
+        return;
+    }
+
+    try {
+        const status = await state.getStatus();
+        sendToRelay(CONFIG.remoteMessageTypes.STATUS, status, to !== null ? { to } : { toRole: 'remote' });
+    } catch (error) {
+        console.warn('Failed to send remote status:', error);
+    }
+}
+
+/**
+ * Send timer display to remotes
+ * @param {string} text - Timer text
+ * @param {string} level - '', 'warning', 'critical' or 'overtime'
+ */
+export function sendRemoteTimer(text, level) {
+    sendToRelay(CONFIG.remoteMessageTypes.TIMER, { text, level }, { toRole: 'remote' });
+}
@@ -0,0 +1,304 @@
+/**
+ * Beamer Presenter - Render Scheduler Module
+ * Page renders for the presenter: megapixel-budgeted cache, prefetching, cancellation and metrics
+ */
+
+import { CONFIG, AppState } from './config.js';
+
+// Timing samples kept for the metrics
+const MAX_SAMPLES = 100;
+
+// Rendered pages, least recently used first: page -> { canvas, scale, megapixels }
+const cache = new Map();
+let cacheMegapixels = 0;
+
+// Renders in progress: page -> job
+const jobs = new Map();
+
+// Pages waiting to be prefetched, and at which scale
+let prefetchQueue = [];
+let prefetchScale = 1;
+
+const metrics = {
+    renders: 0,
+    prefetchRenders: 0,
+    cancelled: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    renderTimes: [],       // ms per render
+    slideChangeTimes: [],  // ms from key press to previews drawn
+};
+
+/**
+ * Create the error of a render cancelled because navigation moved on
+ * @param {number} pageNum
+ * @returns {Error}
+ */
+function createCancelledError(pageNum) {
+    const error = new Error(`Render of page ${pageNum} cancelled`);
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Check if an error is a cancelled render (not worth reporting)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRenderCancelled(error) {
+    return error?.cancelled === true || error?.name === 'RenderingCancelledException';
+}
+
+/**
+ * Add a sample to a bounded list
+ * @param {number[]} samples
+ * @param {number} value
+ */
+function addSample(samples, value) {
+    samples.push(value);
+    if (samples.length > MAX_SAMPLES) {
+        samples.shift();
+    }
+}
+
+/**
+ * Store a rendered page, evicting least recently used pages beyond the budget
+ * @param {number} pageNum
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} scale
+ */
+function storeInCache(pageNum, canvas, scale) {
+    removeFromCache(pageNum);
+
+    const megapixels = (canvas.width * canvas.height) / 1e6;
+    cache.set(pageNum, { canvas, scale, megapixels });
+    cacheMegapixels += megapixels;
+
+    for (const [page] of cache) {
+        if (cacheMegapixels <= CONFIG.renderCacheMegapixels || page === pageNum) {
+            break;
+        }
+        removeFromCache(page);
+    }
+}
+
+/**
+ * Drop a page from the cache
+ * @param {number} pageNum
+ */
+function removeFromCache(pageNum) {
+    const entry = cache.get(pageNum);
+    if (entry) {
+        cacheMegapixels -= entry.megapixels;
+        cache.delete(pageNum);
+    }
+}
+
+/**
+ * Drop all rendered pages and cancel renders (new deck, scale or layout)
+ */
+export function clearRenderCache() {
+    jobs.forEach(job => job.cancel());
+    jobs.clear();
+    cache.clear();
+    cacheMegapixels = 0;
+    prefetchQueue = [];
+}
+
+/**
+ * Render a page with PDF.js
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {number} scale - Render scale (multiplied by devicePixelRatio)
+ * @param {boolean} prefetch - Background render
+ * @returns {{ promise: Promise<HTMLCanvasElement>, cancel: () => void, scale: number, prefetch: boolean }}
+ */
+function startRender(pageNum, scale, prefetch) {
+    const pdfDoc = AppState.pdfDoc;
+    let renderTask = null;
+    let cancelled = false;
+
+    const job = {
+        scale,
+        prefetch,
+        cancel: () => {
+            cancelled = true;
+            renderTask?.cancel();
+        },
+    };
+
+    job.promise = (async () => {
+        const start = performance.now();
+        const page = await pdfDoc.getPage(pageNum);
+        if (cancelled) {
+            throw createCancelledError(pageNum);
+        }
+
+        const viewport = page.getViewport({ scale: scale * window.devicePixelRatio });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        try {
+            await renderTask.promise;
+        } catch (error) {
+            throw isRenderCancelled(error) ? createCancelledError(pageNum) : error;
+        }
+
+        // Deck closed or replaced meanwhile
+        if (AppState.pdfDoc !== pdfDoc) {
+            throw createCancelledError(pageNum);
+        }
+
+        metrics.renders++;
+        if (prefetch) {
+            metrics.prefetchRenders++;
+        }
+        addSample(metrics.renderTimes, performance.now() - start);
+
+        storeInCache(pageNum, canvas, scale);
+        return canvas;
+    })();
+
+    job.promise
+        .catch((error) => {
+            if (isRenderCancelled(error)) {
+                metrics.cancelled++;
+            }
+        })
+        .finally(() => {
+            if (jobs.get(pageNum) === job) {
+                jobs.delete(pageNum);
+            }
+            pumpPrefetch();
+        });
+
+    return job;
+}
+
+/**
+ * Get a rendered page, from the cache or by rendering it
+ * A page cached at a higher scale is reused (regions are cut out and scaled down).
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {number} scale - Minimum render scale
+ * @param {boolean} [prefetch=false] - Background render
+ * @returns {Promise<HTMLCanvasElement>} - Rejects with a cancelled render if navigation moved on
+ */
+export function getPageCanvas(pageNum, scale, prefetch = false) {
+    const entry = cache.get(pageNum);
+    if (entry && entry.scale >= scale) {
+        // Most recently used goes last
+        cache.delete(pageNum);
+        cache.set(pageNum, entry);
+        metrics.cacheHits++;
+        return Promise.resolve(entry.canvas);
+    }
+
+    const running = jobs.get(pageNum);
+    if (running && running.scale >= scale) {
+        // A prefetch the presenter now waits for
+        running.prefetch = running.prefetch && prefetch;
+        return running.promise;
+    }
+    running?.cancel();
+
+    metrics.cacheMisses++;
+    const job = startRender(pageNum, scale, prefetch);
+    jobs.set(pageNum, job);
+    return job.promise;
+}
+
+/**
+ * Set the pages the presenter shows, cancelling renders of any other page
+ * @param {number[]} pages
+ */
+export function setRenderFocus(pages) {
+    prefetchQueue = [];
+
+    jobs.forEach((job, pageNum) => {
+        if (!pages.includes(pageNum)) {
+            job.cancel();
+        }
+    });
+}
+
+/**
+ * Start the next prefetch when nothing urgent is rendering
+ */
+function pumpPrefetch() {
+    if (jobs.size > 0 || !AppState.pdfDoc) {
+        return;
+    }
+
+    // Skip pages rendered since they were queued
+    while (prefetchQueue.length > 0) {
+        const pageNum = prefetchQueue.shift();
+        const entry = cache.get(pageNum);
+        if (!(entry && entry.scale >= prefetchScale)) {
+            getPageCanvas(pageNum, prefetchScale, true).catch(() => {});
+            return;
+        }
+    }
+}
+
+/**
+ * Render pages the presenter is likely to need next, one at a time
+ * @param {number[]} pages - In priority order
+ * @param {number} scale - Render scale
+ */
+export function prefetchPages(pages, scale) {
+    prefetchScale = scale;
+    prefetchQueue = pages.filter((pageNum) => {
+        const entry = cache.get(pageNum);
+        return !(entry && entry.scale >= scale) && !jobs.has(pageNum);
+    });
+
+    pumpPrefetch();
+}
+
+/**
+ * Record how long a slide change took until the previews were drawn
+ * @param {number} ms
+ */
+export function recordSlideChange(ms) {
+    addSample(metrics.slideChangeTimes, ms);
+}
+
+/**
+ * Get a percentile of samples
+ * @param {number[]} samples
+ * @param {number} percentile - 0-100
+ * @returns {number|null} - Rounded ms, null without samples
+ */
+function getPercentile(samples, percentile) {
+    if (samples.length === 0) {
+        return null;
+    }
+    const sorted = [...samples].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor(sorted.length * percentile / 100));
+    return Math.round(sorted[index]);
+}
+
+/**
+ * Get render metrics (also available as window.beamerRenderMetrics() in the console)
+ * @returns {object}
+ */
+export function getRenderMetrics() {
+    const slideChanges = metrics.slideChangeTimes;
+
+    return {
+        slideChanges: slideChanges.length,
+        lastSlideChangeMs: slideChanges.length > 0 ? Math.round(slideChanges[slideChanges.length - 1]) : null,
+        medianSlideChangeMs: getPercentile(slideChanges, 50),
+        p95SlideChangeMs: getPercentile(slideChanges, 95),
+        renders: metrics.renders,
+        prefetchRenders: metrics.prefetchRenders,
+        cancelledRenders: metrics.cancelled,
+        medianRenderMs: getPercentile(metrics.renderTimes, 50),
+        cacheHits: metrics.cacheHits,
+        cacheMisses: metrics.cacheMisses,
+        cachedPages: cache.size,
+        cacheMegapixels: Math.round(cacheMegapixels * 10) / 10,
+        budgetMegapixels: CONFIG.renderCacheMegapixels,
+    };
+}
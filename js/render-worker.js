@@ -0,0 +1,121 @@
+/**
+ * Beamer Presenter - Render Worker
+ * Renders audience slides on OffscreenCanvas, off the audience window's main thread
+ * Started by js/audience-renderer.js, replies with transferred ImageBitmaps.
+ */
+
+import * as pdfjsLib from '../vendor/pdfjs/pdf.min.mjs';
+import { renderRegionToSize } from './pdf-renderer.js';
+
+const PDFJS_WORKER_URL = new URL('../vendor/pdfjs/pdf.worker.min.mjs', import.meta.url);
+
+// PDF.js asks a document for fonts and scratch canvases; this is all a worker can offer
+const workerDocument = {
+    fonts: self.fonts,
+    createElement: (name) => {
+        if (name !== 'canvas') {
+            throw new Error(`<${name}> is not available in the render worker`);
+        }
+        return new OffscreenCanvas(1, 1);
+    },
+};
+
+// Deck being rendered (resolves once loaded)
+let pdfDocPromise = null;
+
+// PDF.js worker parsing that deck
+let pdfjsWorker = null;
+
+// Renders in progress: request ID -> PDF.js render task (null until started)
+const tasks = new Map();
+
+/**
+ * Load a deck, with its own PDF.js worker for parsing
+ * PDF.js never terminates a worker it was handed as a port, and destroying a
+ * document tears down its side of the port, so each deck gets a fresh worker
+ * and the previous one is terminated once its document is destroyed.
+ * @param {ArrayBuffer} data
+ */
+function loadPdf(data) {
+    const previous = pdfDocPromise;
+    const previousWorker = pdfjsWorker;
+    previous?.then(pdfDoc => pdfDoc.destroy())
+        .catch(() => {})
+        .finally(() => previousWorker.terminate());
+
+    const port = new Worker(PDFJS_WORKER_URL, { type: 'module' });
+    pdfjsWorker = port;
+    port.addEventListener('error', () => {
+        self.postMessage({ type: 'failed', message: 'PDF.js worker failed to start' });
+    });
+    pdfjsLib.GlobalWorkerOptions.workerPort = port;
+
+    pdfDocPromise = pdfjsLib.getDocument({
+        data,
+        disableAutoFetch: true,
+        disableStream: true,
+        ownerDocument: workerDocument,
+        // Without FontFace in workers glyphs are drawn as paths
+        disableFontFace: !self.fonts,
+    }).promise;
+
+    pdfDocPromise.catch((error) => {
+        self.postMessage({ type: 'failed', message: `Cannot load PDF: ${error.message}` });
+    });
+}
+
+/**
+ * Render a slide and send it back as an ImageBitmap
+ * @param {number} id - Request ID
+ * @param {number} pageNum
+ * @param {object} options - See renderRegionToSize()
+ */
+async function renderPage(id, pageNum, options) {
+    tasks.set(id, null);
+
+    try {
+        const pdfDoc = await pdfDocPromise;
+        const page = await pdfDoc.getPage(pageNum);
+        if (!tasks.has(id)) {
+            throw new pdfjsLib.RenderingCancelledException('Rendering cancelled', 'canvas');
+        }
+
+        const canvas = await renderRegionToSize(
+            page,
+            options,
+            (width, height) => new OffscreenCanvas(width, height),
+            task => tasks.set(id, task)
+        );
+
+        const image = canvas.transferToImageBitmap();
+        self.postMessage({ type: 'rendered', id, image }, [image]);
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id,
+            message: error.message,
+            cancelled: error instanceof pdfjsLib.RenderingCancelledException,
+        });
+    } finally {
+        tasks.delete(id);
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const { type, id } = event.data;
+
+    switch (type) {
+        case 'load':
+            loadPdf(event.data.data);
+            break;
+
+        case 'render':
+            renderPage(id, event.data.page, event.data.options);
+            break;
+
+        case 'cancel':
+            tasks.get(id)?.cancel();
+            tasks.delete(id);
+            break;
+    }
+});
@@ -0,0 +1,102 @@
+/**
+ * Beamer Presenter - Panel Resizer Module
+ * Draggable split between the notes panel and the preview panel
+ */
+
+const STORAGE_KEY = 'beamer-presenter-preview-width';
+
+// Preview panel width limits (fraction of the presenter area)
+const MIN_FRACTION = 0.2;
+const MAX_FRACTION = 0.75;
+
+/**
+ * Read the saved preview panel width
+ * @returns {number|null} - Fraction of the presenter area, null for the default layout
+ */
+function loadFraction() {
+    try {
+        const fraction = parseFloat(localStorage.getItem(STORAGE_KEY));
+        return fraction >= MIN_FRACTION && fraction <= MAX_FRACTION ? fraction : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Save the preview panel width
+ * @param {number|null} fraction - null to go back to the default layout
+ */
+function saveFraction(fraction) {
+    try {
+        if (fraction === null) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, String(fraction));
+        }
+    } catch (error) {
+        console.warn('Failed to save panel width:', error);
+    }
+}
+
+/**
+ * Size the preview panel
+ * @param {HTMLElement} container - Presenter area (notes + handle + preview)
+ * @param {HTMLElement} panel - Preview panel
+ * @param {number|null} fraction - Width fraction, null for the stylesheet default
+ */
+function applyFraction(container, panel, fraction) {
+    container.classList.toggle('resized', fraction !== null);
+    panel.style.width = fraction !== null ? `${fraction * 100}%` : '';
+}
+
+/**
+ * Make the split between the notes and preview panels draggable
+ * Double-click the handle to restore the default layout.
+ * @param {{
+ *   handle: HTMLElement,
+ *   panel: HTMLElement,
+ *   container: HTMLElement,
+ *   onResize: () => void,
+ * }} options - onResize is called once a drag ends (re-render at the new size)
+ */
+export function initPanelResizer({ handle, panel, container, onResize }) {
+    applyFraction(container, panel, loadFraction());
+
+    let dragging = false;
+
+    handle.addEventListener('pointerdown', (e) => {
+        dragging = true;
+        handle.setPointerCapture(e.pointerId);
+        handle.classList.add('active');
+        e.preventDefault();
+    });
+
+    handle.addEventListener('pointermove', (e) => {
+        if (!dragging) {
+            return;
+        }
+
+        // The preview panel is on the right: its width runs from the pointer to the edge
+        const rect = container.getBoundingClientRect();
+        const fraction = Math.min(MAX_FRACTION, Math.max(MIN_FRACTION, (rect.right - e.clientX) / rect.width));
+        applyFraction(container, panel, fraction);
+    });
+
+    const endDrag = () => {
+        if (!dragging) {
+            return;
+        }
+        dragging = false;
+        handle.classList.remove('active');
+        saveFraction(parseFloat(panel.style.width) / 100);
+        onResize();
+    };
+    handle.addEventListener('pointerup', endDrag);
+    handle.addEventListener('pointercancel', endDrag);
+
+    handle.addEventListener('dblclick', () => {
+        applyFraction(container, panel, null);
+        saveFraction(null);
+        onResize();
+    });
+}
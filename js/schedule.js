@@ -0,0 +1,159 @@
+/**
+ * Beamer Presenter - Schedule Module
+ * Per-slide time budgets (from a timings file or spread over the talk)
+ */
+
+import { AppState } from './config.js';
+
+/**
+ * Check if a file name is a timings/budget file
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+export function isBudgetFile(name) {
+    const lower = name.toLowerCase();
+    return lower.endsWith('.json') || lower.endsWith('.csv');
+}
+
+/**
+ * Resolve a budget entry to a page number
+ * Entries may reference a page number or a frame label.
+ * @param {{ page?: number|string, label?: string, frame?: string }} entry
+ * @returns {number|null}
+ */
+function resolveEntryPage(entry) {
+    const page = parseInt(entry.page, 10);
+    if (page >= 1 && page <= AppState.totalPages) {
+        return page;
+    }
+
+    const label = entry.label ?? entry.frame;
+    if (label !== undefined && label !== '') {
+        const frame = AppState.frames.find(f => f.label === `${label}`);
+        return frame ? frame.start : null;
+    }
+
+    return null;
+}
+
+/**
+ * Parse CSV lines into entry objects keyed by header names
+ * @param {string} text
+ * @returns {object[]}
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+        return [];
+    }
+
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+
+    return lines.slice(1).map((line) => {
+        const values = line.split(',').map(value => value.trim());
+        const entry = {};
+        header.forEach((name, index) => {
+            entry[name] = values[index];
+        });
+        return entry;
+    });
+}
+
+/**
+ * Parse a timings file into per-page budgets
+ * JSON: `[{ "page": 3, "seconds": 90 }]` or `{ "pages": [...] }`; entries
+ * may use `label` (frame label) instead of `page`.
+ * CSV: header row with `page` or `label` and `seconds` columns.
+ * @param {string} text - File content
+ * @returns {Map<number, number>} - Page -> budget in ms
+ */
+export function parseBudgetFile(text) {
+    let entries;
+
+    try {
+        const data = JSON.parse(text);
+        entries = Array.isArray(data) ? data : (data.pages || data.slides || []);
+    } catch (error) {
+        entries = parseCsv(text);
+    }
+
+    const budgets = new Map();
+
+    entries.forEach((entry) => {
+        const page = resolveEntryPage(entry);
+        const seconds = parseFloat(entry.seconds ?? entry.budget);
+
+        if (page !== null && seconds >= 0) {
+            budgets.set(page, (budgets.get(page) || 0) + seconds * 1000);
+        }
+    });
+
+    if (budgets.size === 0) {
+        throw new Error('No page timings found');
+    }
+
+    return budgets;
+}
+
+/**
+ * Spread talk time evenly over frames that are not hidden
+ * @param {number} totalMs - Total talk time
+ * @returns {Map<number, number>} - Frame start page -> budget in ms
+ */
+export function computeEvenBudgets(totalMs) {
+    const frames = AppState.frames.filter((frame) => {
+        for (let page = frame.start; page <= frame.end; page++) {
+            if (!AppState.hiddenPages.has(page)) {
+                return true;
+            }
+        }
+        return false;
+    });
+
+    const budgets = new Map();
+    frames.forEach((frame) => {
+        budgets.set(frame.start, totalMs / frames.length);
+    });
+
+    return budgets;
+}
+
+/**
+ * Get active budgets
+ * @param {number|null} totalMs - Total talk time (needed for even spread)
+ * @returns {Map<number, number>|null} - Page -> budget in ms, or null if none
+ */
+export function getBudgets(totalMs) {
+    switch (AppState.budgetMode) {
+        case 'file':
+            return AppState.slideBudgets.size > 0 ? AppState.slideBudgets : null;
+        case 'even':
+            return totalMs > 0 && AppState.frames.length > 0 ? computeEvenBudgets(totalMs) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get planned time window of the frame containing a page
+ * @param {number} page - Page number (1-indexed)
+ * @param {Map<number, number>} budgets - Page -> budget in ms
+ * @returns {{ start: number, end: number }} - Cumulative planned times in ms
+ */
+export function getPlannedWindow(page, budgets) {
+    const frame = AppState.frames[AppState.pageToFrame[page - 1]] || { start: page, end: page };
+
+    let start = 0;
+    let end = 0;
+
+    budgets.forEach((budget, budgetPage) => {
+        if (budgetPage < frame.start) {
+            start += budget;
+        }
+        if (budgetPage <= frame.end) {
+            end += budget;
+        }
+    });
+
+    return { start, end };
+}
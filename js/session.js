@@ -0,0 +1,224 @@
+/**
+ * Beamer Presenter - Session Module
+ * Crash recovery: PDF in IndexedDB, presentation state in localStorage
+ */
+
+import { AppState } from './config.js';
+import { setFrames } from './frames.js';
+import { withStore, STORES } from './storage.js';
+
+const PDF_KEY = 'session';
+const STATE_STORAGE_KEY = 'beamer-presenter-saved-session';
+
+// Snapshot often enough that a crash loses at most a couple of seconds
+const AUTOSAVE_INTERVAL_MS = 2000;
+
+// AppState settings saved and restored as-is
+const SETTING_KEYS = [
+    'location',
+    'split',
+    'scale',
+    'showNextPreview',
+    'nextPreviewMode',
+    'showOutlineNotes',
+    'noteFontSize',
+    'timerMode',
+    'talkDuration',
+    'talkEndTime',
+    'talkWarningMinutes',
+    'talkCriticalMinutes',
+    'audienceTimerFlash',
+    'budgetMode',
+    'drawingColor',
+    'transitions',
+];
+
+let autosaveTimer = null;
+let autosaveHandler = null;
+let lastSavedText = null;
+
+/**
+ * Save the loaded PDF for recovery
+ */
+export async function saveSessionPdf() {
+    if (!AppState.pdfData) {
+        return;
+    }
+
+    const record = {
+        data: AppState.pdfData,
+        name: AppState.deckName,
+        url: AppState.pdfUrl,
+    };
+
+    try {
+        await withStore(STORES.SESSION_PDF, 'readwrite', store => store.put(record, PDF_KEY));
+    } catch (error) {
+        console.warn('Failed to save PDF for recovery:', error);
+    }
+}
+
+/**
+ * Load the PDF saved for recovery
+ * @returns {Promise<{ data: ArrayBuffer, name: string|null, url: string|null }|null>}
+ */
+export async function loadSessionPdf() {
+    try {
+        return (await withStore(STORES.SESSION_PDF, 'readonly', store => store.get(PDF_KEY))) || null;
+    } catch (error) {
+        console.warn('Failed to read saved PDF:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the saved session snapshot
+ * @returns {object|null}
+ */
+export function getSavedSession() {
+    try {
+        return JSON.parse(localStorage.getItem(STATE_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Create a snapshot of the running presentation
+ * @param {object} extra - Fields added by the caller (e.g. open outputs)
+ * @returns {object}
+ */
+function createSnapshot(extra) {
+    const settings = {};
+    SETTING_KEYS.forEach((key) => {
+        settings[key] = AppState[key];
+    });
+
+    return {
+        deckName: AppState.deckName,
+        pdfSize: AppState.pdfData.byteLength,
+        totalPages: AppState.totalPages,
+        currentPage: AppState.currentPage,
+        previousPage: AppState.previousPage,
+        displayMode: AppState.displayMode,
+        settings: settings,
+        timer: {
+            timerState: AppState.timerState,
+            timerStartTime: AppState.timerStartTime,
+            timerElapsed: AppState.timerElapsed,
+        },
+        pageVisits: AppState.pageVisits,
+        pageEnteredAt: AppState.pageEnteredAt,
+        pageLabels: AppState.pageLabels,
+        frames: AppState.frames,
+        hiddenPages: Array.from(AppState.hiddenPages),
+        textNotes: Array.from(AppState.textNotes),
+        slideBudgets: Array.from(AppState.slideBudgets),
+        drawings: Array.from(AppState.drawings),
+        ...extra,
+    };
+}
+
+/**
+ * Save a snapshot of the running presentation (skipped if nothing changed)
+ * @param {object} [extra] - Fields added by the caller
+ */
+export function saveSession(extra = {}) {
+    if (!AppState.pdfDoc || !AppState.pdfData) {
+        return;
+    }
+
+    const snapshot = createSnapshot(extra);
+    // Compare without the time so an unchanged session is not rewritten
+    const text = JSON.stringify(snapshot);
+    if (text === lastSavedText) {
+        return;
+    }
+
+    try {
+        localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify({ ...snapshot, savedAt: Date.now() }));
+        lastSavedText = text;
+    } catch (error) {
+        console.warn('Failed to save session:', error);
+    }
+}
+
+/**
+ * Save the session periodically and when the page goes away
+ * @param {() => object} getExtra - Returns extra snapshot fields
+ */
+export function startSessionAutosave(getExtra) {
+    stopSessionAutosave();
+
+    autosaveHandler = () => saveSession(getExtra());
+    autosaveTimer = setInterval(autosaveHandler, AUTOSAVE_INTERVAL_MS);
+    window.addEventListener('pagehide', autosaveHandler);
+    autosaveHandler();
+}
+
+/**
+ * Stop saving the session
+ */
+export function stopSessionAutosave() {
+    if (autosaveTimer) {
+        clearInterval(autosaveTimer);
+        autosaveTimer = null;
+    }
+    if (autosaveHandler) {
+        window.removeEventListener('pagehide', autosaveHandler);
+        autosaveHandler = null;
+    }
+}
+
+/**
+ * Forget the saved session (presentation closed on purpose)
+ */
+export async function clearSession() {
+    stopSessionAutosave();
+    lastSavedText = null;
+
+    try {
+        localStorage.removeItem(STATE_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to clear session:', error);
+    }
+
+    try {
+        await withStore(STORES.SESSION_PDF, 'readwrite', store => store.delete(PDF_KEY));
+    } catch (error) {
+        console.warn('Failed to clear saved PDF:', error);
+    }
+}
+
+/**
+ * Apply a saved snapshot to AppState
+ * Must be called after the saved PDF is loaded.
+ * @param {object} snapshot
+ */
+export function restoreSessionState(snapshot) {
+    SETTING_KEYS.forEach((key) => {
+        if (snapshot.settings && snapshot.settings[key] !== undefined) {
+            AppState[key] = snapshot.settings[key];
+        }
+    });
+
+    Object.assign(AppState, snapshot.timer);
+    AppState.pageVisits = snapshot.pageVisits || [];
+    AppState.pageEnteredAt = snapshot.pageEnteredAt || 0;
+    AppState.displayMode = snapshot.displayMode || AppState.displayMode;
+
+    AppState.hiddenPages = new Set(snapshot.hiddenPages);
+    AppState.textNotes = new Map(snapshot.textNotes);
+    AppState.slideBudgets = new Map(snapshot.slideBudgets);
+    AppState.drawings = new Map(snapshot.drawings);
+
+    // Labels and frames may come from a pdfpc sidecar
+    if (snapshot.totalPages === AppState.totalPages && snapshot.frames) {
+        AppState.pageLabels = snapshot.pageLabels;
+        setFrames(snapshot.frames);
+    }
+
+    const page = snapshot.currentPage;
+    AppState.currentPage = page >= 1 && page <= AppState.totalPages ? page : 1;
+    AppState.previousPage = snapshot.previousPage ?? null;
+}
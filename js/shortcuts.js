@@ -0,0 +1,340 @@
+/**
+ * Beamer Presenter - Shortcuts Module
+ * Keyboard shortcut registry: bindings (defaults + user), conflicts and dispatch
+ */
+
+import { CONFIG } from './config.js';
+
+const STORAGE_KEY = 'beamer-presenter-shortcuts';
+
+// Actions in help overlay order
+const ACTIONS = {
+    next: { label: 'Next slide', group: 'Navigation' },
+    prev: { label: 'Previous slide', group: 'Navigation' },
+    first: { label: 'First slide', group: 'Navigation' },
+    last: { label: 'Last slide', group: 'Navigation' },
+    nextFrame: { label: 'Next frame (skip overlays)', group: 'Navigation' },
+    prevFrame: { label: 'Previous frame', group: 'Navigation' },
+    overview: { label: 'Slide overview', group: 'Navigation' },
+    black: { label: 'Black screen', group: 'Audience' },
+    white: { label: 'White screen', group: 'Audience' },
+    fullscreen: { label: 'Audience fullscreen', group: 'Audience' },
+    timerToggle: { label: 'Start / pause timer', group: 'Timer' },
+    timerReset: { label: 'Reset timer', group: 'Timer' },
+    laser: { label: 'Laser pointer', group: 'Pointer & drawing' },
+    spotlight: { label: 'Spotlight', group: 'Pointer & drawing' },
+    zoom: { label: 'Zoom to region', group: 'Pointer & drawing' },
+    pen: { label: 'Pen', group: 'Pointer & drawing' },
+    highlighter: { label: 'Highlighter', group: 'Pointer & drawing' },
+    eraser: { label: 'Eraser', group: 'Pointer & drawing' },
+    clearDrawing: { label: 'Clear drawing', group: 'Pointer & drawing' },
+    notesZoomIn: { label: 'Larger text notes', group: 'Notes' },
+    notesZoomOut: { label: 'Smaller text notes', group: 'Notes' },
+    help: { label: 'Keyboard shortcuts', group: 'General' },
+};
+
+// Modifier prefixes, in combo order
+const MODIFIERS = [
+    ['ctrlKey', 'Ctrl'],
+    ['altKey', 'Alt'],
+    ['shiftKey', 'Shift'],
+    ['metaKey', 'Meta'],
+];
+
+// Key codes shown differently from their name
+const KEY_NAMES = {
+    ArrowRight: '→',
+    ArrowLeft: '←',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Period: '.',
+    Comma: ',',
+    Slash: '/',
+    Minus: '−',
+    Equal: '=',
+    NumpadAdd: 'Num +',
+    NumpadSubtract: 'Num −',
+    Escape: 'Esc',
+};
+
+// Action -> handler (see registerShortcutHandlers)
+let handlers = {};
+
+// Bindings read from storage (dropped when they change)
+let cachedBindings = null;
+
+/**
+ * Read user bindings (only actions changed from the defaults)
+ * @returns {Object<string, string[]>}
+ */
+function loadOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save user bindings
+ * @param {Object<string, string[]>} overrides
+ */
+function saveOverrides(overrides) {
+    cachedBindings = null;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    } catch (error) {
+        console.warn('Failed to save shortcuts:', error);
+    }
+}
+
+/**
+ * Get current bindings of all actions
+ * @returns {Object<string, string[]>} - Action -> key combos
+ */
+export function getBindings() {
+    if (cachedBindings) {
+        return cachedBindings;
+    }
+
+    const overrides = loadOverrides();
+    const bindings = {};
+
+    Object.keys(ACTIONS).forEach((action) => {
+        bindings[action] = Array.isArray(overrides[action])
+            ? overrides[action]
+            : (CONFIG.shortcuts[action] || []);
+    });
+    cachedBindings = bindings;
+    return bindings;
+}
+
+/**
+ * Change the bindings of one action
+ * @param {string} action
+ * @param {string[]} combos
+ */
+function setActionBindings(action, combos) {
+    const overrides = loadOverrides();
+    const defaults = CONFIG.shortcuts[action] || [];
+
+    if (combos.length === defaults.length && combos.every(combo => defaults.includes(combo))) {
+        delete overrides[action];
+    } else {
+        overrides[action] = combos;
+    }
+    saveOverrides(overrides);
+}
+
+/**
+ * Get the key combo of a key press
+ * @param {KeyboardEvent} e
+ * @returns {string|null} - e.g. 'Shift+PageDown', null for a lone modifier
+ */
+export function getComboFromEvent(e) {
+    if (/^(Shift|Control|Alt|Meta|OS)(Left|Right)?$/.test(e.code) || !e.code) {
+        return null;
+    }
+
+    const parts = MODIFIERS.filter(([property]) => e[property]).map(([, name]) => name);
+    return [...parts, e.code].join('+');
+}
+
+/**
+ * Get the action bound to a key press
+ * "?" opens the help whatever the keyboard layout.
+ * @param {KeyboardEvent} e
+ * @returns {string|null}
+ */
+export function getShortcutAction(e) {
+    const combo = getComboFromEvent(e);
+    if (!combo) {
+        return null;
+    }
+
+    const bindings = getBindings();
+    const action = Object.keys(bindings).find(name => bindings[name].includes(combo));
+    if (action) {
+        return action;
+    }
+    return e.key === '?' ? 'help' : null;
+}
+
+/**
+ * Register what the actions do
+ * @param {Object<string, () => void|Promise<void>>} actionHandlers - Action -> handler
+ */
+export function registerShortcutHandlers(actionHandlers) {
+    handlers = actionHandlers;
+}
+
+/**
+ * Run the action bound to a key press
+ * @param {KeyboardEvent} e
+ * @returns {Promise<boolean>} - Whether an action ran
+ */
+export async function runShortcut(e) {
+    const action = getShortcutAction(e);
+    if (!action || !handlers[action]) {
+        return false;
+    }
+
+    e.preventDefault();
+    await handlers[action]();
+    return true;
+}
+
+/**
+ * Find the action a combo is already bound to
+ * @param {string} combo
+ * @param {string} [exceptAction] - Action being rebound
+ * @returns {string|null}
+ */
+export function findConflict(combo, exceptAction = null) {
+    const bindings = getBindings();
+    return Object.keys(bindings)
+        .find(action => action !== exceptAction && bindings[action].includes(combo)) || null;
+}
+
+/**
+ * Get combos bound to more than one action (e.g. after defaults changed)
+ * @returns {Array<{ combo: string, actions: string[] }>}
+ */
+export function getConflicts() {
+    const byCombo = new Map();
+
+    Object.entries(getBindings()).forEach(([action, combos]) => {
+        combos.forEach((combo) => {
+            byCombo.set(combo, [...(byCombo.get(combo) || []), action]);
+        });
+    });
+
+    return Array.from(byCombo, ([combo, actions]) => ({ combo, actions }))
+        .filter(conflict => conflict.actions.length > 1);
+}
+
+/**
+ * Bind a combo to an action, taking it away from any other action
+ * @param {string} action
+ * @param {string} combo
+ */
+export function bindShortcut(action, combo) {
+    const bindings = getBindings();
+
+    Object.keys(bindings).forEach((other) => {
+        if (other !== action && bindings[other].includes(combo)) {
+            setActionBindings(other, bindings[other].filter(c => c !== combo));
+        }
+    });
+
+    if (!bindings[action].includes(combo)) {
+        setActionBindings(action, [...bindings[action], combo]);
+    }
+}
+
+/**
+ * Remove a combo from an action
+ * @param {string} action
+ * @param {string} combo
+ */
+export function unbindShortcut(action, combo) {
+    setActionBindings(action, getBindings()[action].filter(c => c !== combo));
+}
+
+/**
+ * Restore default bindings
+ * @param {string} [action] - One action, or all if omitted
+ */
+export function resetShortcuts(action = null) {
+    if (action) {
+        setActionBindings(action, CONFIG.shortcuts[action] || []);
+    } else {
+        saveOverrides({});
+    }
+}
+
+/**
+ * Get display label of an action
+ * @param {string} action
+ * @returns {string}
+ */
+export function getActionLabel(action) {
+    return ACTIONS[action]?.label || action;
+}
+
+/**
+ * Format a key combo for display
+ * @param {string} combo - e.g. 'Shift+KeyB'
+ * @returns {string} - e.g. 'Shift+B'
+ */
+export function formatCombo(combo) {
+    return combo.split('+').map((part) => {
+        if (KEY_NAMES[part]) {
+            return KEY_NAMES[part];
+        }
+        return part.replace(/^Key/, '').replace(/^Digit/, '');
+    }).join('+');
+}
+
+/**
+ * Render the shortcut list of the help overlay
+ * @param {HTMLElement} container
+ * @param {{
+ *   capturing: string|null,
+ *   onAdd: (action: string) => void,
+ *   onRemove: (action: string, combo: string) => void,
+ *   onReset: (action: string) => void,
+ * }} options - capturing is the action waiting for a key press
+ */
+export function renderShortcutList(container, options) {
+    const bindings = getBindings();
+    const conflicting = new Set(getConflicts().map(conflict => conflict.combo));
+    let group = null;
+
+    container.innerHTML = '';
+
+    Object.entries(ACTIONS).forEach(([action, { label, group: actionGroup }]) => {
+        if (actionGroup !== group) {
+            group = actionGroup;
+            const heading = document.createElement('h4');
+            heading.className = 'shortcut-group';
+            heading.textContent = group;
+            container.appendChild(heading);
+        }
+
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+
+        const name = document.createElement('span');
+        name.className = 'shortcut-label';
+        name.textContent = label;
+
+        const keys = document.createElement('div');
+        keys.className = 'shortcut-keys';
+
+        bindings[action].forEach((combo) => {
+            const key = document.createElement('kbd');
+            key.className = conflicting.has(combo) ? 'conflict' : '';
+            key.textContent = formatCombo(combo);
+            key.title = conflicting.has(combo) ? 'Also bound to another action, click to remove' : 'Click to remove';
+            key.addEventListener('click', () => options.onRemove(action, combo));
+            keys.appendChild(key);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-sm';
+        addBtn.textContent = options.capturing === action ? 'Press a key…' : '+';
+        addBtn.title = options.capturing === action ? 'Press Escape to cancel' : 'Add a key';
+        addBtn.addEventListener('click', () => options.onAdd(action));
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'btn btn-sm';
+        resetBtn.textContent = 'Reset';
+        resetBtn.addEventListener('click', () => options.onReset(action));
+
+        keys.append(addBtn, resetBtn);
+        row.append(name, keys);
+        container.appendChild(row);
+    });
+}
@@ -0,0 +1,57 @@
+/**
+ * Beamer Presenter - Storage Module
+ * IndexedDB database shared by session recovery and the recent decks library
+ */
+
+const DB_NAME = 'beamer-presenter';
+const DB_VERSION = 2;
+
+// Object stores (out-of-line keys)
+export const STORES = {
+    SESSION_PDF: 'pdf',         // PDF of the running session (v1)
+    LIBRARY: 'library',         // Recent deck metadata and thumbnails
+    LIBRARY_PDF: 'library-pdf', // Recent deck bytes (decks opened from files)
+};
+
+/**
+ * Open the database, creating missing stores
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(STORES).forEach((name) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against an object store
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ * @returns {Promise<any>} - Request result, once the transaction completed
+ */
+export async function withStore(storeName, mode, action) {
+    const db = await openDatabase();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
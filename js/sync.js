@@ -4,24 +4,230 @@
  */
 
 import { CONFIG, AppState } from './config.js';
+import { getOutputs, ensureOutput, getOutputPage } from './outputs.js';
+import { getTransition } from './transitions.js';
+
+// Presenter session ID survives reloads of the presenter tab
+const SESSION_STORAGE_KEY = 'beamer-presenter-session';
+
+// Window name prefix of audience popups (one window per output, reused when reopening)
+const AUDIENCE_WINDOW_PREFIX = 'BeamerAudience';
+
+// Heartbeat: presenter pings, audience answers with its page and mode
+const HEARTBEAT_INTERVAL_MS = 1000;
+const HEARTBEAT_TIMEOUT_MS = 3500;
+
+// HELLO repeated after opening, in case the presenter isn't listening yet
+const HELLO_RETRY_DELAYS_MS = [500, 1500];
+
+// Active transport ({ name, send, onMessage, close })
+let transport = null;
+
+// Output ID of this audience window (audience side)
+let audienceOutputId = null;
+
+// Time the presenter last changed what the audience should show
+let lastStateChange = 0;
+
+// Extra receiver of broadcast messages (network viewers), called with (type, payload)
+let audienceMirror = null;
+
+// ============================================
+// Transports
+// ============================================
+
+/**
+ * Create BroadcastChannel transport
+ * Reaches every same-origin window of the session, so either side can reload
+ * without holding a window reference.
+ * @param {string} sessionId
+ * @returns {{ name: string, send: Function, onMessage: Function, close: Function }}
+ */
+function createBroadcastTransport(sessionId) {
+    const channel = new BroadcastChannel(`beamer-presenter-${sessionId}`);
+
+    return {
+        name: 'broadcast',
+        send(message) {
+            // Transfer lists are not supported; ArrayBuffers are copied
+            channel.postMessage(message);
+        },
+        onMessage(handler) {
+            channel.addEventListener('message', event => handler(event.data, null));
+        },
+        close() {
+            channel.close();
+        },
+    };
+}
+
+/**
+ * Create postMessage transport between opener and popups
+ * Fallback for file:// pages and browsers without BroadcastChannel.
+ * @param {() => Window[]} getPeers - Returns the current peer windows
+ * @returns {{ name: string, send: Function, onMessage: Function, close: Function }}
+ */
+function createWindowTransport(getPeers) {
+    // file:// pages have an opaque origin ('null') and can only target '*'
+    const origin = window.location.origin;
+    const targetOrigin = origin === 'null' ? '*' : origin;
+    let listener = null;
+
+    return {
+        name: 'window',
+        send(message, transfer = []) {
+            const peers = getPeers().filter(peer => peer && !peer.closed);
+
+            // A buffer can only be transferred once; copy it for several peers
+            peers.forEach((peer) => {
+                peer.postMessage(message, targetOrigin, peers.length === 1 ? transfer : []);
+            });
+        },
+        onMessage(handler) {
+            listener = (event) => {
+                if (event.origin !== origin) {
+                    return;
+                }
+                handler(event.data, event.source);
+            };
+            window.addEventListener('message', listener);
+        },
+        close() {
+            window.removeEventListener('message', listener);
+        },
+    };
+}
+
+/**
+ * Create the best available transport for this page
+ * @param {string} sessionId
+ * @param {() => Window[]} getPeers - Peer windows for the postMessage fallback
+ * @returns {{ name: string, send: Function, onMessage: Function, close: Function }}
+ */
+function createDefaultTransport(sessionId, getPeers) {
+    if (typeof BroadcastChannel !== 'undefined' && window.location.protocol !== 'file:') {
+        return createBroadcastTransport(sessionId);
+    }
+    return createWindowTransport(getPeers);
+}
 
 /**
- * Open audience window
+ * Replace the active transport
+ * Lets other backends (e.g. a network relay) plug into the same messages.
+ * The transport must provide `send(message, transfer)`, `onMessage(handler)`
+ * and `close()`; handlers receive `(message, sourceWindow|null)`.
+ * @param {{ name: string, send: Function, onMessage: Function, close: Function }} newTransport
+ */
+export function setTransport(newTransport) {
+    if (transport) {
+        transport.close();
+    }
+    transport = newTransport;
+}
+
+/**
+ * Forward broadcast audience messages to another receiver as well
+ * Unlike a transport this only sees messages for all outputs.
+ * @param {((type: string, payload: object) => void)|null} handler
+ */
+export function setAudienceMirror(handler) {
+    audienceMirror = handler;
+}
+
+/**
+ * Get name of the active transport
+ * @returns {string|null}
+ */
+export function getTransportName() {
+    return transport ? transport.name : null;
+}
+
+/**
+ * Build a message envelope
+ * @param {string} role - Sender role (presenter, audience)
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ * @param {{ from?: string, to?: string }} [address] - Sending output (audience) or target output (presenter)
+ * @returns {{ sessionId: string, role: string, type: string, payload: object }}
+ */
+function createMessage(role, type, payload, address = {}) {
+    return {
+        sessionId: CONFIG.sessionId,
+        role: role,
+        ...address,
+        type: type,
+        payload: payload,
+    };
+}
+
+/**
+ * Check that a message belongs to this session and comes from the expected side
+ * @param {*} message - Received data
+ * @param {string} role - Expected sender role
+ * @returns {boolean}
+ */
+function isValidMessage(message, role) {
+    return !!message
+        && typeof message === 'object'
+        && typeof message.type === 'string'
+        && message.sessionId === CONFIG.sessionId
+        && message.role === role;
+}
+
+/**
+ * Get windows of all outputs opened by this presenter
+ * @returns {Window[]}
+ */
+function getOutputWindows() {
+    return getOutputs().map(output => output.window).filter(Boolean);
+}
+
+// ============================================
+// Presenter-side functions
+// ============================================
+
+/**
+ * Initialize presenter session and transport
+ * The session ID is kept in sessionStorage, so a reloaded presenter tab
+ * re-pairs with audience windows that are still open.
+ */
+export function initPresenterSync() {
+    let sessionId = null;
+
+    try {
+        sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+        if (!sessionId) {
+            sessionId = crypto.randomUUID();
+            sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+        }
+    } catch (error) {
+        sessionId = crypto.randomUUID();
+    }
+
+    CONFIG.sessionId = sessionId;
+    setTransport(createDefaultTransport(sessionId, getOutputWindows));
+    console.log(`Presenter session ${sessionId} (${transport.name} transport)`);
+}
+
+/**
+ * Open (or reopen) the window of an output
+ * @param {object} output - Output from the outputs registry
  * @returns {Window|null}
  */
-export function openAudienceWindow() {
+export function openAudienceWindow(output) {
     const width = Math.min(window.screen.width * 0.6, 1200);
     const height = Math.min(window.screen.height * 0.7, 800);
     const left = (window.screen.width - width) / 2;
     const top = (window.screen.height - height) / 2;
 
     const features = `width=${width},height=${height},left=${left},top=${top}`;
+    const url = `audience.html?session=${encodeURIComponent(CONFIG.sessionId)}&output=${encodeURIComponent(output.id)}`;
 
-    AppState.audienceWindow = window.open('audience.html', 'BeamerAudience', features);
+    output.window = window.open(url, `${AUDIENCE_WINDOW_PREFIX}-${output.id}`, features);
 
-    if (AppState.audienceWindow) {
-        console.log('Audience window opened');
-        return AppState.audienceWindow;
+    if (output.window) {
+        console.log(`Audience window opened (${output.name})`);
+        return output.window;
     } else {
         console.error('Failed to open audience window (popup blocked?)');
         return null;
@@ -29,66 +235,135 @@ export function openAudienceWindow() {
 }
 
 /**
- * Check if audience window is connected
+ * Get connection health of an output
+ * An output that stops answering pings is 'unresponsive' (e.g. a hung tab),
+ * not 'connected'.
+ * @param {object} output - Output from the outputs registry
+ * @returns {{ status: string, latency: number|null, lastSeen: number|null }}
+ *   status is 'connected', 'unresponsive' or 'disconnected'
+ */
+export function getOutputHealth(output) {
+    let status = 'disconnected';
+
+    if (output.window && output.window.closed) {
+        output.window = null;
+        output.isConnected = false;
+    }
+
+    if (output.isConnected) {
+        const silentFor = Date.now() - output.lastSeen;
+        status = silentFor <= HEARTBEAT_TIMEOUT_MS ? 'connected' : 'unresponsive';
+    }
+
+    return {
+        status: status,
+        latency: output.latency,
+        lastSeen: output.lastSeen,
+    };
+}
+
+/**
+ * Check if any audience output is connected (and answering pings)
  * @returns {boolean}
  */
 export function isAudienceConnected() {
-    return AppState.audienceWindow && !AppState.audienceWindow.closed && AppState.isAudienceConnected;
+    return getOutputs().some(output => getOutputHealth(output).status === 'connected');
 }
 
 /**
- * Send message to audience window
+ * Send message to audience windows
  * @param {string} type - Message type
  * @param {object} payload - Message payload
  * @param {Transferable[]} [transfer] - Transferable objects
+ * @param {string|null} [to] - Output ID, or null for all outputs
  */
-export function sendToAudience(type, payload, transfer = []) {
-    if (!AppState.audienceWindow || AppState.audienceWindow.closed) {
-        console.log('Audience window not available');
-        return;
+export function sendToAudience(type, payload, transfer = [], to = null) {
+    if (to === null && audienceMirror) {
+        audienceMirror(type, payload);
     }
 
-    const message = {
-        sessionId: CONFIG.sessionId,
-        type: type,
-        payload: payload,
-    };
+    if (!transport) {
+        console.log('Audience transport not available');
+        return;
+    }
 
     try {
-        AppState.audienceWindow.postMessage(message, '*', transfer);
+        transport.send(createMessage('presenter', type, payload, to ? { to } : {}), transfer);
     } catch (error) {
         console.error('Failed to send message to audience:', error);
     }
 }
 
 /**
- * Send current state to audience
+ * Get current state as sent to audiences
+ * @returns {object}
  */
-export function sendStateToAudience() {
-    sendToAudience(CONFIG.messageTypes.STATE, {
+export function getAudienceState() {
+    return {
         page: AppState.currentPage,
+        previousPage: AppState.previousPage,
         totalPages: AppState.totalPages,
         location: AppState.location,
         split: AppState.split,
         mode: AppState.displayMode,
-    });
+        transitions: AppState.transitions,
+    };
+}
+
+/**
+ * Send current state to audience
+ * @param {string|null} [to] - Output ID, or null for all outputs
+ */
+export function sendStateToAudience(to = null) {
+    lastStateChange = Date.now();
+    sendToAudience(CONFIG.messageTypes.STATE, getAudienceState(), [], to);
 }
 
 /**
  * Send navigation update to audience
+ * Lagging outputs show the previous page instead.
  * @param {number} page - New page number
  */
 export function sendNavigateToAudience(page) {
+    lastStateChange = Date.now();
     sendToAudience(CONFIG.messageTypes.NAVIGATE, {
         page: page,
+        previousPage: AppState.previousPage,
+        transition: getTransition(AppState.previousPage, page),
     });
 }
 
+/**
+ * Send name and settings to an output
+ * @param {object} output - Output from the outputs registry
+ */
+export function sendOutputConfig(output) {
+    sendToAudience(CONFIG.messageTypes.OUTPUT_CONFIG, {
+        name: output.name,
+        settings: output.settings,
+    }, [], output.id);
+}
+
+/**
+ * Ask an output window to close (also works without a window reference)
+ * @param {object} output - Output from the outputs registry
+ */
+export function closeOutputWindow(output) {
+    sendToAudience(CONFIG.messageTypes.CLOSE, {}, [], output.id);
+
+    if (output.window && !output.window.closed) {
+        output.window.close();
+    }
+    output.window = null;
+    output.isConnected = false;
+}
+
 /**
  * Send display mode update to audience
  * @param {string} mode - Display mode (normal, black, white)
  */
 export function sendModeToAudience(mode) {
+    lastStateChange = Date.now();
     sendToAudience(CONFIG.messageTypes.MODE, {
         mode: mode,
     });
@@ -105,13 +380,72 @@ export function sendPointerToAudience(x, y, active) {
         x: x,
         y: y,
         active: active,
+        mode: AppState.pointerMode,
+    });
+}
+
+/**
+ * Send zoom region to audience
+ * @param {{x: number, y: number, w: number, h: number}|null} region - Normalized region, null to reset
+ */
+export function sendZoomToAudience(region) {
+    sendToAudience(CONFIG.messageTypes.ZOOM, {
+        page: AppState.currentPage,
+        region: region,
+    });
+}
+
+/**
+ * Send the media players of a page to audience
+ * Files go along as Blobs (embedded or picked) or URLs.
+ * @param {number} page - Page number
+ * @param {object[]} items - { id, kind, rect, src, state } (see js/media.js)
+ */
+export function sendMediaToAudience(page, items) {
+    sendToAudience(CONFIG.messageTypes.MEDIA, {
+        page: page,
+        items: items,
+    });
+}
+
+/**
+ * Send playback of a media player to audience
+ * @param {{ page: number, id: string, playing: boolean, time: number, rate: number }} payload
+ */
+export function sendMediaControlToAudience(payload) {
+    sendToAudience(CONFIG.messageTypes.MEDIA_CONTROL, payload);
+}
+
+/**
+ * Send drawing update to audience
+ * @param {{ action: string, page: number }} payload - Drawing action ('begin', 'points' or 'set')
+ */
+export function sendDrawingToAudience(payload) {
+    sendToAudience(CONFIG.messageTypes.DRAWING, payload);
+}
+
+/**
+ * Ask audience to enter fullscreen
+ */
+export function sendFullscreenRequestToAudience() {
+    sendToAudience(CONFIG.messageTypes.REQUEST_FULLSCREEN, {});
+}
+
+/**
+ * Send countdown threshold warning to audience (discreet flash)
+ * @param {string} level - 'warning', 'critical' or 'overtime'
+ */
+export function sendTimerWarningToAudience(level) {
+    sendToAudience(CONFIG.messageTypes.TIMER_WARNING, {
+        level: level,
     });
 }
 
 /**
  * Send PDF data to audience
+ * @param {string|null} [to] - Output ID, or null for all outputs
  */
-export function sendPdfDataToAudience() {
+export function sendPdfDataToAudience(to = null) {
     if (!AppState.pdfData) {
         console.log('No PDF data to send');
         return;
@@ -124,56 +458,139 @@ export function sendPdfDataToAudience() {
         data: dataClone,
         location: AppState.location,
         split: AppState.split,
-    }, [dataClone]);
+    }, [dataClone], to);
+}
+
+/**
+ * Send everything a fresh output needs (settings, state, PDF, then extras via onConnect)
+ * @param {object} output - Output from the outputs registry
+ * @param {Function} onConnect - Callback to send presenter extras (drawings, zoom)
+ */
+function syncAudience(output, onConnect) {
+    sendOutputConfig(output);
+    sendStateToAudience(output.id);
+
+    if (AppState.pdfData) {
+        console.log('Sending PDF data to audience, size:', AppState.pdfData.byteLength);
+        sendPdfDataToAudience(output.id);
+    }
+
+    if (onConnect) {
+        onConnect(output);
+    }
+}
+
+/**
+ * Check heartbeat reply for drift and resync the output
+ * Resyncs at most once per heartbeat timeout, and ignores replies to pings
+ * sent before the last navigation (they may still show the old page).
+ * @param {object} output - Output from the outputs registry
+ * @param {{ sentAt: number, page: number, mode: string, pdf: string }} status - Audience report
+ * @param {Function} onConnect - Callback to send presenter extras
+ * @param {Function} [onResync] - Called with the output and reason after a resync
+ */
+function checkAudienceDrift(output, status, onConnect, onResync) {
+    const now = Date.now();
+
+    if (status.sentAt < lastStateChange || now - output.lastResync < HEARTBEAT_TIMEOUT_MS) {
+        return;
+    }
+
+    let reason = null;
+
+    if (status.pdf === 'none' && AppState.pdfData) {
+        reason = 'pdf';
+        syncAudience(output, onConnect);
+    } else if (status.pdf === 'ready' && AppState.pdfDoc
+        && (status.page !== getOutputPage(output) || status.mode !== AppState.displayMode)) {
+        reason = 'state';
+        sendStateToAudience(output.id);
+    }
+
+    if (reason) {
+        console.warn(`${output.name} out of sync (${reason}), resent`);
+        output.lastResync = now;
+        if (onResync) {
+            onResync(output, reason);
+        }
+    }
 }
 
 /**
  * Handle incoming message from audience
- * @param {MessageEvent} event
- * @param {Function} onConnect - Callback when audience connects
+ * @param {object} message - Validated message
+ * @param {Window|null} source - Sender window (postMessage transport only)
+ * @param {Function} onConnect - Callback with the output when it connects
+ * @param {Function} [onResync] - Callback when a drifted output was resynced
  */
-export function handleAudienceMessage(event, onConnect) {
-    const { sessionId, type, payload } = event.data || {};
+export function handleAudienceMessage(message, source, onConnect, onResync) {
+    const { type, payload } = message;
+    const output = ensureOutput(message.from || 'main');
 
-    // Skip non-valid messages
-    if (!type) {
+    output.lastSeen = Date.now();
+
+    if (type === CONFIG.messageTypes.PONG) {
+        output.isConnected = true;
+        output.latency = Date.now() - payload.sentAt;
+        checkAudienceDrift(output, payload, onConnect, onResync);
         return;
     }
 
-    console.log('Presenter received message:', type);
+    console.log(`Presenter received message from ${output.name}:`, type);
 
     switch (type) {
         case CONFIG.messageTypes.HELLO:
-            console.log('Audience connected');
-            AppState.isAudienceConnected = true;
-
-            // Send current state and PDF data
-            sendStateToAudience();
+            console.log(`${output.name} connected`);
+            output.isConnected = true;
 
-            if (AppState.pdfData) {
-                console.log('Sending PDF data to audience, size:', AppState.pdfData.byteLength);
-                sendPdfDataToAudience();
+            // Re-acquire the popup after a presenter reload (postMessage transport)
+            if (source && !output.window) {
+                output.window = source;
             }
 
-            if (onConnect) {
-                onConnect();
-            }
+            syncAudience(output, onConnect);
+            break;
+
+        case CONFIG.messageTypes.BYE:
+            console.log(`${output.name} disconnected`);
+            output.isConnected = false;
+            output.latency = null;
             break;
 
         case CONFIG.messageTypes.ERROR:
-            console.error('Error from audience:', payload);
+            console.error(`Error from ${output.name}:`, payload);
             break;
     }
 }
 
 /**
  * Setup message listener for presenter
+ * Also announces the presenter, so audience windows left open re-pair after a reload.
  * @param {Function} onConnect - Callback when audience connects
+ * @param {Function} [onResync] - Callback when a drifted audience was resynced
  */
-export function setupPresenterMessageListener(onConnect) {
-    window.addEventListener('message', (event) => {
-        handleAudienceMessage(event, onConnect);
+export function setupPresenterMessageListener(onConnect, onResync) {
+    transport.onMessage((message, source) => {
+        if (!isValidMessage(message, 'audience')) {
+            return;
+        }
+        handleAudienceMessage(message, source, onConnect, onResync);
     });
+
+    sendToAudience(CONFIG.messageTypes.ANNOUNCE, {});
+}
+
+/**
+ * Start pinging the audience
+ * @param {Function} onTick - Called after every ping (e.g. to refresh the status badge)
+ */
+export function startHeartbeat(onTick) {
+    setInterval(() => {
+        sendToAudience(CONFIG.messageTypes.PING, { sentAt: Date.now() });
+        if (onTick) {
+            onTick();
+        }
+    }, HEARTBEAT_INTERVAL_MS);
 }
 
 // ============================================
@@ -181,74 +598,99 @@ export function setupPresenterMessageListener(onConnect) {
 // ============================================
 
 /**
- * Send hello message to presenter (called from audience)
- * @param {Window} presenterWindow - Presenter window reference (opener)
+ * Initialize audience session and transport
+ * Session and output IDs come from the `session` and `output` URL parameters
+ * set by the presenter.
+ * @returns {boolean} - False if the page was opened without a session
  */
-export function sendHelloToPresenter(presenterWindow) {
-    if (!presenterWindow || presenterWindow.closed) {
-        console.error('Presenter window not available');
-        return;
+export function initAudienceSync() {
+    const params = new URLSearchParams(window.location.search);
+    const sessionId = params.get('session');
+    audienceOutputId = params.get('output') || 'main';
+
+    if (!sessionId) {
+        console.error('No presenter session in URL');
+        return false;
     }
 
-    const message = {
-        sessionId: CONFIG.sessionId,
-        type: CONFIG.messageTypes.HELLO,
-        payload: {},
-    };
-
-    presenterWindow.postMessage(message, '*');
+    CONFIG.sessionId = sessionId;
+    setTransport(createDefaultTransport(sessionId, () => [window.opener]));
+    console.log(`Audience session ${sessionId}, output ${audienceOutputId} (${transport.name} transport)`);
+    return true;
 }
 
 /**
- * Handle incoming message from presenter (called from audience)
- * @param {MessageEvent} event
- * @param {object} callbacks - Event callbacks
+ * Send message to presenter (called from audience)
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
  */
-export function handlePresenterMessage(event, callbacks) {
-    const { sessionId, type, payload } = event.data || {};
-
-    // Store session ID from first message
-    if (!CONFIG.sessionId && sessionId) {
-        CONFIG.sessionId = sessionId;
+export function sendToPresenter(type, payload = {}) {
+    if (!transport) {
+        return;
     }
 
-    switch (type) {
-        case CONFIG.messageTypes.STATE:
-            console.log('Received state:', payload);
-            if (callbacks.onState) {
-                callbacks.onState(payload);
-            }
-            break;
-
-        case CONFIG.messageTypes.NAVIGATE:
-            console.log('Received navigate:', payload);
-            if (callbacks.onNavigate) {
-                callbacks.onNavigate(payload.page);
-            }
-            break;
-
-        case CONFIG.messageTypes.MODE:
-            console.log('Received mode:', payload);
-            if (callbacks.onMode) {
-                callbacks.onMode(payload.mode);
-            }
-            break;
-
-        case CONFIG.messageTypes.PDF_DATA:
-            console.log('Received PDF data');
-            if (callbacks.onPdfData) {
-                callbacks.onPdfData(payload.data, payload.location, payload.split);
-            }
-            break;
+    try {
+        transport.send(createMessage('audience', type, payload, { from: audienceOutputId }));
+    } catch (error) {
+        console.error('Failed to send message to presenter:', error);
     }
 }
 
 /**
- * Setup message listener for audience
- * @param {object} callbacks - Event callbacks
+ * Send hello message to presenter (called from audience)
+ */
+export function sendHelloToPresenter() {
+    sendToPresenter(CONFIG.messageTypes.HELLO);
+}
+
+/**
+ * Setup message listener for audience and say HELLO (repeated shortly after)
+ * Answers presenter announcements with HELLO and pings with the displayed
+ * page and mode, says HELLO again when the presenter goes silent, and BYE
+ * when the page goes away.
+ * @param {(message: object) => void} onMessage - Called with validated presenter messages
+ * @param {() => { page: number, mode: string, pdf: string }} getStatus - Current audience display
+ *   (pdf is 'none', 'loading', 'ready' or 'error'; only 'none' gets the PDF resent)
  */
-export function setupAudienceMessageListener(callbacks) {
-    window.addEventListener('message', (event) => {
-        handlePresenterMessage(event, callbacks);
+export function setupAudienceMessageListener(onMessage, getStatus) {
+    let lastPresenterMessage = Date.now();
+
+    transport.onMessage((message) => {
+        // Skip foreign messages and messages for other outputs
+        if (!isValidMessage(message, 'presenter') || (message.to && message.to !== audienceOutputId)) {
+            return;
+        }
+
+        lastPresenterMessage = Date.now();
+
+        switch (message.type) {
+            case CONFIG.messageTypes.ANNOUNCE:
+                sendHelloToPresenter();
+                break;
+
+            case CONFIG.messageTypes.PING:
+                sendToPresenter(CONFIG.messageTypes.PONG, {
+                    sentAt: message.payload.sentAt,
+                    ...getStatus(),
+                });
+                break;
+
+            default:
+                onMessage(message);
+        }
+    });
+
+    // Presenter stopped pinging (reloaded or lost our window): ask to pair again
+    setInterval(() => {
+        if (Date.now() - lastPresenterMessage > HEARTBEAT_TIMEOUT_MS) {
+            sendHelloToPresenter();
+        }
+    }, HEARTBEAT_TIMEOUT_MS);
+
+    window.addEventListener('pagehide', () => {
+        sendToPresenter(CONFIG.messageTypes.BYE);
     });
+
+    sendHelloToPresenter();
+    HELLO_RETRY_DELAYS_MS.forEach(delay => setTimeout(sendHelloToPresenter, delay));
 }
@@ -1,25 +1,34 @@
 /**
  * Beamer Presenter - Timer Module
- * Handles clock and elapsed timer functionality
+ * Handles clock, elapsed and countdown timer functionality
  */
 
 import { AppState } from './config.js';
+import { getBudgets, getPlannedWindow } from './schedule.js';
 
 let clockInterval = null;
 let timerInterval = null;
+const tickCallbacks = [];
+
+// Countdown threshold state
+const TIMER_LEVELS = ['normal', 'warning', 'critical', 'overtime'];
+let timerLevel = 'normal';
+let thresholdCallback = null;
 
 /**
  * Format time as HH:MM:SS
+ * Negative durations (overtime) are prefixed with '-'.
  * @param {number} ms - Milliseconds
  * @returns {string}
  */
 export function formatTime(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
+    const totalSeconds = Math.floor(Math.abs(ms) / 1000);
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.floor((totalSeconds % 3600) / 60);
     const seconds = totalSeconds % 60;
+    const sign = ms < 0 && totalSeconds > 0 ? '-' : '';
 
-    return [hours, minutes, seconds]
+    return sign + [hours, minutes, seconds]
         .map(v => v.toString().padStart(2, '0'))
         .join(':');
 }
@@ -79,12 +88,166 @@ export function getElapsedTime() {
     return AppState.timerElapsed + (Date.now() - AppState.timerStartTime);
 }
 
+/**
+ * Get end time of the talk as a timestamp (today)
+ * @param {string} endTime - 'HH:MM'
+ * @returns {number}
+ */
+function getEndTimestamp(endTime) {
+    const [hours, minutes] = endTime.split(':').map(Number);
+    const end = new Date();
+    end.setHours(hours, minutes, 0, 0);
+    return end.getTime();
+}
+
+/**
+ * Check if the timer counts down
+ * @returns {boolean}
+ */
+export function isCountdown() {
+    return AppState.timerMode === 'countdown' && (AppState.talkDuration !== null || AppState.talkEndTime !== null);
+}
+
+/**
+ * Get remaining talk time in milliseconds (negative when over time)
+ * An end clock time takes precedence over a duration.
+ * @returns {number|null} - Remaining time, or null without a countdown
+ */
+export function getRemainingTime() {
+    if (!isCountdown()) {
+        return null;
+    }
+
+    if (AppState.talkEndTime !== null) {
+        return getEndTimestamp(AppState.talkEndTime) - Date.now();
+    }
+
+    return AppState.talkDuration - getElapsedTime();
+}
+
+/**
+ * Get countdown level for remaining time
+ * @param {number|null} remaining - Remaining time in milliseconds
+ * @returns {string} - 'normal', 'warning', 'critical' or 'overtime'
+ */
+function getTimerLevel(remaining) {
+    if (remaining === null) {
+        return 'normal';
+    }
+    if (remaining < 0) {
+        return 'overtime';
+    }
+    if (AppState.talkCriticalMinutes && remaining <= AppState.talkCriticalMinutes * 60 * 1000) {
+        return 'critical';
+    }
+    if (AppState.talkWarningMinutes && remaining <= AppState.talkWarningMinutes * 60 * 1000) {
+        return 'warning';
+    }
+    return 'normal';
+}
+
+/**
+ * Register callback for countdown thresholds
+ * Called with the new level when the countdown crosses into a more urgent level.
+ * @param {Function} callback - Receives 'warning', 'critical' or 'overtime'
+ */
+export function onTimerThreshold(callback) {
+    thresholdCallback = callback;
+}
+
+/**
+ * Register callback run after every timer display update
+ * @param {Function} callback
+ */
+export function onTimerTick(callback) {
+    tickCallbacks.push(callback);
+}
+
+/**
+ * Record that a page was entered (called on every navigation)
+ * @param {number} page - Page number (1-indexed)
+ */
+export function recordPageEntry(page) {
+    const elapsed = getElapsedTime();
+
+    AppState.pageEnteredAt = elapsed;
+    AppState.pageVisits.push({ page: page, elapsed: elapsed });
+}
+
+/**
+ * Get total planned talk time
+ * @returns {number|null} - Milliseconds, or null without duration/end time
+ */
+function getTalkTotalTime() {
+    if (AppState.talkDuration !== null) {
+        return AppState.talkDuration;
+    }
+
+    if (AppState.talkEndTime !== null) {
+        return getEndTimestamp(AppState.talkEndTime) - Date.now() + getElapsedTime();
+    }
+
+    return null;
+}
+
+/**
+ * Compare elapsed time with the per-slide plan at the current page
+ * `delta` is positive when behind schedule (past the current frame's planned
+ * end), negative when ahead (before its planned start) and 0 when on time.
+ * @returns {{ delta: number, slideElapsed: number, slideBudget: number }|null}
+ */
+export function getScheduleStatus() {
+    const budgets = getBudgets(getTalkTotalTime());
+    if (!budgets) {
+        return null;
+    }
+
+    const elapsed = getElapsedTime();
+    const planned = getPlannedWindow(AppState.currentPage, budgets);
+
+    let delta = 0;
+    if (elapsed > planned.end) {
+        delta = elapsed - planned.end;
+    } else if (elapsed < planned.start) {
+        delta = elapsed - planned.start;
+    }
+
+    return {
+        delta: delta,
+        slideElapsed: elapsed - AppState.pageEnteredAt,
+        slideBudget: planned.end - planned.start,
+    };
+}
+
 /**
  * Update timer display
  * @param {HTMLElement} element - Element to display timer
  */
-function updateTimerDisplay(element) {
-    element.textContent = formatTime(getElapsedTime());
+export function updateTimerDisplay(element) {
+    const remaining = getRemainingTime();
+
+    if (remaining === null) {
+        element.textContent = formatTime(getElapsedTime());
+    } else {
+        // Round up so the display reaches 00:00:00 exactly at the deadline
+        element.textContent = formatTime(Math.ceil(remaining / 1000) * 1000);
+    }
+
+    const level = getTimerLevel(remaining);
+
+    TIMER_LEVELS.forEach((name) => {
+        element.classList.toggle(`timer-${name}`, name !== 'normal' && name === level);
+    });
+
+    const isMoreUrgent = TIMER_LEVELS.indexOf(level) > TIMER_LEVELS.indexOf(timerLevel);
+    const wasRunning = AppState.timerState === 'running';
+    timerLevel = level;
+
+    if (isMoreUrgent && wasRunning && thresholdCallback) {
+        thresholdCallback(level);
+    }
+
+    tickCallbacks.forEach(callback => callback());
 }
 
 /**
@@ -139,13 +302,37 @@ export function resetTimer(element) {
     AppState.timerState = 'stopped';
     AppState.timerStartTime = null;
     AppState.timerElapsed = 0;
+    AppState.pageVisits = [];
+    AppState.pageEnteredAt = 0;
 
     if (timerInterval) {
         clearInterval(timerInterval);
         timerInterval = null;
     }
 
-    element.textContent = '00:00:00';
+    timerLevel = 'normal';
+    updateTimerDisplay(element);
+}
+
+/**
+ * Resume the timer display after its AppState fields were restored
+ * A running timer keeps counting from its original start, so time while the
+ * presenter was closed counts too.
+ * @param {HTMLElement} element - Element to display timer
+ */
+export function restoreTimer(element) {
+    if (timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+
+    if (AppState.timerState === 'running') {
+        timerInterval = setInterval(() => updateTimerDisplay(element), 1000);
+    }
+
+    // Thresholds already passed before the reload do not flash again
+    timerLevel = getTimerLevel(getRemainingTime());
+    updateTimerDisplay(element);
 }
 
 /**
@@ -167,3 +354,11 @@ export function toggleTimer(element) {
 export function getTimerState() {
     return AppState.timerState;
 }
+
+/**
+ * Get countdown level of the last display update
+ * @returns {string} - 'normal', 'warning', 'critical' or 'overtime'
+ */
+export function getCurrentTimerLevel() {
+    return timerLevel;
+}
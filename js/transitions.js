@@ -0,0 +1,241 @@
+/**
+ * Beamer Presenter - Transitions Module
+ * Slide transitions: the deck's own /Trans entries (\transfade, \transwipe...), per-deck
+ * settings, and their animation on the audience canvas
+ */
+
+import { CONFIG, AppState } from './config.js';
+import { getPdfObjects } from './pdf-objects.js';
+
+// PDF transition styles (/S) -> animation; unknown styles fade
+const PDF_STYLES = {
+    R: 'replace',
+    Fade: 'fade',
+    Dissolve: 'fade',
+    Glitter: 'fade',
+    Wipe: 'wipe',
+    Split: 'split',
+    Blinds: 'split',
+    Box: 'box',
+    Fly: 'fly',
+    Push: 'push',
+    Cover: 'cover',
+    Uncover: 'uncover',
+};
+
+// Part of the new slide hidden when a wipe starts, by direction of motion (/Di)
+const WIPE_START = {
+    0: 'inset(0 100% 0 0)',
+    90: 'inset(100% 0 0 0)',
+    180: 'inset(0 0 0 100%)',
+    270: 'inset(0 0 100% 0)',
+};
+
+const CLIP_OPEN = 'inset(0 0 0 0)';
+const NO_OFFSET = 'translate(0, 0)';
+
+// Animations of the transition in progress (audience)
+let runningAnimations = [];
+
+/**
+ * Read a transition dictionary (/Trans)
+ * @param {string} source - e.g. '<< /S /Wipe /D 0.5 /Di 90 >>'
+ * @returns {{ style: string, duration: number, direction: number, dimension: string, motion: string }} - duration in ms
+ */
+export function parseTransition(source) {
+    const getName = key => source.match(new RegExp(`/${key}\\s*/(\\w+)`))?.[1];
+    const getNumber = key => parseFloat(source.match(new RegExp(`/${key}\\s+(-?[\\d.]+)`))?.[1]);
+
+    // No /S means replace (the spec default)
+    const style = getName('S');
+    const duration = getNumber('D');
+    const direction = getNumber('Di');
+
+    return {
+        style: style ? (PDF_STYLES[style] || 'fade') : 'replace',
+        duration: (Number.isFinite(duration) ? duration : 1) * 1000,
+        direction: Number.isFinite(direction) ? direction : 0,
+        dimension: getName('Dm') === 'V' ? 'V' : 'H',
+        motion: getName('M') === 'O' ? 'O' : 'I',
+    };
+}
+
+/**
+ * Find the transition dictionary of a page
+ * @param {string|undefined} pageSource - Page dictionary source
+ * @param {Map<number, string>} objects
+ * @returns {string|null}
+ */
+function findTransitionSource(pageSource, objects) {
+    const match = pageSource?.match(/\/Trans\s*(<<[\s\S]*?>>|(\d+)\s+\d+\s+R)/);
+    if (!match) {
+        return null;
+    }
+    return match[2] ? (objects.get(Number(match[2])) || null) : match[1];
+}
+
+/**
+ * Read the page transitions of the loaded deck into AppState.pageTransitions
+ * PDF.js does not expose /Trans, so the PDF data is scanned for it.
+ * @param {PDFDocumentProxy} pdfDoc
+ */
+export async function loadPageTransitions(pdfDoc) {
+    AppState.pageTransitions = new Map();
+
+    try {
+        const pdf = await getPdfObjects();
+        const objects = pdf?.objects;
+        if (!objects || ![...objects.values()].some(source => /\/Trans\b/.test(source))) {
+            return;
+        }
+
+        for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+            const page = await pdfDoc.getPage(pageNum);
+            const source = findTransitionSource(objects.get(page.ref.num), objects);
+            if (source) {
+                AppState.pageTransitions.set(pageNum, parseTransition(source));
+            }
+        }
+
+        console.log(`Page transitions: ${AppState.pageTransitions.size} pages`);
+    } catch (error) {
+        console.warn('Failed to read page transitions:', error);
+    }
+}
+
+/**
+ * Use the transition settings saved for a deck
+ * Decks with their own transitions follow them unless set otherwise.
+ * @param {object} [saved] - Settings from the deck's library entry
+ */
+export function restoreTransitionSettings(saved) {
+    const defaults = CONFIG.defaults.transitions;
+
+    AppState.transitions = {
+        ...defaults,
+        style: AppState.pageTransitions.size > 0 ? 'pdf' : defaults.style,
+        ...saved,
+    };
+}
+
+/**
+ * Get the transition audiences play for a page change
+ * @param {number|null} fromPage - Page shown before
+ * @param {number} toPage
+ * @returns {object|null} - See parseTransition(), null for an instant change
+ */
+export function getTransition(fromPage, toPage) {
+    const { style, duration } = AppState.transitions;
+    if (!fromPage || fromPage === toPage) {
+        return null;
+    }
+
+    const forward = toPage > fromPage;
+
+    switch (style) {
+        case 'pdf': {
+            // Like PDF viewers, a page's own transition plays when it is entered going forward
+            const transition = forward ? AppState.pageTransitions.get(toPage) : null;
+            return transition && transition.style !== 'replace' ? transition : null;
+        }
+        case 'crossfade':
+            return parseTransition(`<< /S /Fade /D ${duration} >>`);
+        case 'push':
+            return parseTransition(`<< /S /Push /D ${duration} /Di ${forward ? 180 : 0} >>`);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get where a slide comes from for a direction of motion
+ * @param {number} direction - Degrees, counterclockwise from left to right (/Di)
+ * @returns {[number, number]} - Offset in slide widths/heights
+ */
+function getEntryOffset(direction) {
+    const angle = direction * Math.PI / 180;
+    return [-Math.round(Math.cos(angle)), Math.round(Math.sin(angle))];
+}
+
+/**
+ * Get the animations of a transition
+ * @param {object} transition - See parseTransition()
+ * @returns {{ oldOnTop?: boolean, incoming?: Keyframe[], outgoing?: Keyframe[] }}
+ */
+function getKeyframes(transition) {
+    const { style, direction, dimension, motion } = transition;
+    const [dx, dy] = getEntryOffset(direction);
+    const entry = `translate(${dx * 100}%, ${dy * 100}%)`;
+    const exit = `translate(${-dx * 100}%, ${-dy * 100}%)`;
+    const band = dimension === 'H' ? 'inset(50% 0 50% 0)' : 'inset(0 50% 0 50%)';
+
+    // Inward motion closes the previous slide, outward motion opens the new one
+    const closeOrOpen = (shape) => (motion === 'I'
+        ? { oldOnTop: true, outgoing: [{ clipPath: CLIP_OPEN }, { clipPath: shape }] }
+        : { incoming: [{ clipPath: shape }, { clipPath: CLIP_OPEN }] });
+
+    switch (style) {
+        case 'wipe':
+            return { incoming: [{ clipPath: WIPE_START[direction] || WIPE_START[0] }, { clipPath: CLIP_OPEN }] };
+        case 'split':
+            return closeOrOpen(band);
+        case 'box':
+            return closeOrOpen('inset(50% 50% 50% 50%)');
+        case 'fly':
+            return motion === 'O'
+                ? { oldOnTop: true, outgoing: [{ transform: NO_OFFSET }, { transform: exit }] }
+                : { incoming: [{ transform: entry }, { transform: NO_OFFSET }] };
+        case 'cover':
+            return { incoming: [{ transform: entry }, { transform: NO_OFFSET }] };
+        case 'uncover':
+            return { oldOnTop: true, outgoing: [{ transform: NO_OFFSET }, { transform: exit }] };
+        case 'push':
+            return {
+                incoming: [{ transform: entry }, { transform: NO_OFFSET }],
+                outgoing: [{ transform: NO_OFFSET }, { transform: exit }],
+            };
+        default:
+            return { incoming: [{ opacity: 0 }, { opacity: 1 }] };
+    }
+}
+
+/**
+ * Stop a running transition, showing the new slide as is
+ * @param {HTMLCanvasElement} snapshot - Canvas holding the previous slide
+ */
+export function finishTransition(snapshot) {
+    runningAnimations.forEach(animation => animation.cancel());
+    runningAnimations = [];
+    snapshot.classList.add('hidden');
+}
+
+/**
+ * Play a transition on the audience canvas
+ * The previous slide must already be on the snapshot canvas, the new one on the canvas.
+ * @param {HTMLCanvasElement} canvas - New slide
+ * @param {HTMLCanvasElement} snapshot - Previous slide, laid over the canvas
+ * @param {object} transition - See parseTransition()
+ */
+export function playTransition(canvas, snapshot, transition) {
+    const { oldOnTop = false, incoming, outgoing } = getKeyframes(transition);
+    const timing = { duration: transition.duration, easing: 'ease-in-out' };
+
+    snapshot.classList.toggle('on-top', oldOnTop);
+    snapshot.classList.remove('hidden');
+
+    const animations = [
+        incoming && canvas.animate(incoming, timing),
+        outgoing && snapshot.animate(outgoing, timing),
+    ].filter(Boolean);
+    runningAnimations = animations;
+
+    Promise.all(animations.map(animation => animation.finished))
+        .then(() => {
+            if (runningAnimations === animations) {
+                finishTransition(snapshot);
+            }
+        })
+        .catch(() => {
+            // Cancelled by the next transition
+        });
+}
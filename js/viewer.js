@@ -0,0 +1,131 @@
+/**
+ * Beamer Presenter - Network Viewer Module
+ * Audience side of a relay viewer: receives the PDF in chunks and follows the presenter
+ */
+
+import { CONFIG } from './config.js';
+import { connectRelay, sendToRelay, getDefaultRelayUrl, RELAY_TYPES } from './relay.js';
+import { createPdfReceiver } from './pdf-transfer.js';
+
+// Presenter messages a viewer follows
+const FOLLOWED_TYPES = [
+    CONFIG.messageTypes.STATE,
+    CONFIG.messageTypes.NAVIGATE,
+    CONFIG.messageTypes.MODE,
+    CONFIG.messageTypes.POINTER,
+];
+
+// Resend requests per transfer before giving up
+const MAX_RESENDS = 3;
+
+/**
+ * Get viewer join code and relay URL from the page URL
+ * @returns {{ code: string, relayUrl: string }|null} - null when not opened as a viewer
+ */
+export function getViewerParams() {
+    const params = new URLSearchParams(window.location.search);
+    const code = (params.get('viewer') || '').toUpperCase();
+
+    if (!code) {
+        return null;
+    }
+    return { code, relayUrl: params.get('relay') || getDefaultRelayUrl() };
+}
+
+/**
+ * Join a presenter session as a viewer
+ * @param {{ code: string, relayUrl: string }} params
+ * @param {{
+ *   onMessage: (message: { type: string, payload: object }) => void,
+ *   onPdf: (data: ArrayBuffer, settings: { location: string, split: number }) => void,
+ *   onStatus: (text: string) => void,
+ * }} handlers - onStatus receives waiting-screen text
+ */
+export function connectViewer(params, handlers) {
+    const receiver = createPdfReceiver();
+    let transfer = null;       // PDF_BEGIN payload of the running transfer
+    let loadedCrc = null;      // Checksum of the PDF shown
+    let resends = 0;
+
+    /**
+     * Handle end of a transfer: hand over the PDF or ask for what is missing
+     * @param {string} transferId
+     */
+    const finishTransfer = (transferId) => {
+        const result = receiver.finish(transferId);
+        if (!result) {
+            return;
+        }
+
+        if (result.data) {
+            loadedCrc = transfer.crc;
+            handlers.onPdf(result.data, { location: transfer.location, split: transfer.split });
+            transfer = null;
+            return;
+        }
+
+        if (resends >= MAX_RESENDS) {
+            handlers.onStatus('Presentation transfer failed, reload to try again');
+            return;
+        }
+        resends++;
+        console.warn(`Viewer: ${result.missing.length} PDF chunks missing or corrupted, asking again`);
+        sendToRelay(CONFIG.viewerMessageTypes.PDF_RESEND, { transferId, missing: result.missing });
+    };
+
+    /**
+     * Handle a relay message
+     * @param {{ type: string, payload: object }} message
+     */
+    const handleMessage = (message) => {
+        const { type, payload } = message;
+        const { PDF_BEGIN, PDF_CHUNK, PDF_END, HELLO } = CONFIG.viewerMessageTypes;
+
+        switch (type) {
+            case RELAY_TYPES.PRESENTER:
+                if (payload.connected) {
+                    sendToRelay(HELLO, { crc: loadedCrc });
+                } else if (loadedCrc === null) {
+                    handlers.onStatus('Waiting for presenter...');
+                }
+                break;
+
+            case PDF_BEGIN:
+                transfer = payload;
+                resends = 0;
+                receiver.begin(payload);
+                handlers.onStatus('Receiving presentation...');
+                break;
+
+            case PDF_CHUNK:
+                receiver.addChunk(payload);
+                if (transfer && loadedCrc === null) {
+                    handlers.onStatus(`Receiving presentation ${Math.round(receiver.getProgress() * 100)}%`);
+                }
+                break;
+
+            case PDF_END:
+                finishTransfer(payload.transferId);
+                break;
+
+            default:
+                if (FOLLOWED_TYPES.includes(type)) {
+                    handlers.onMessage(message);
+                }
+        }
+    };
+
+    connectRelay({
+        url: params.relayUrl,
+        room: params.code,
+        role: 'viewer',
+        onMessage: handleMessage,
+        onStatus: (status) => {
+            if (status === 'error') {
+                handlers.onStatus('Invalid relay address');
+            } else if (status !== 'connected' && loadedCrc === null) {
+                handlers.onStatus('Connecting to relay...');
+            }
+        },
+    });
+}
@@ -0,0 +1,444 @@
+/**
+ * Beamer Presenter - Relay Server
+ * Optional LAN relay: serves the app and forwards messages between the
+ * presenter and phone remotes / network viewers in rooms keyed by join code.
+ * Viewers join with a separate viewer code, so viewer links never reveal the
+ * join code; the presenter holds a token that nobody else sees.
+ *
+ * Usage: node relay/server.mjs [--port 8765] [--host 0.0.0.0]
+ * No dependencies and no internet access needed.
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { acceptWebSocket } from './websocket.mjs';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+
+// What the relay serves of the repository: the app pages and their assets, nothing else
+const PUBLIC_PAGES = ['index.html', 'audience.html', 'remote.html'];
+const PUBLIC_DIRS = ['js', 'styles', 'vendor'];
+const RELAY_PATH = '/relay';
+const ROLES = ['presenter', 'remote', 'viewer'];
+const ROOM_PATTERN = /^[A-Z0-9]{4,12}$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Keepalive ping; peers that miss one round are dropped
+const PING_INTERVAL_MS = 30000;
+
+// How long a room stays claimed after its presenter left (reloads, short breaks)
+const CLAIM_GRACE_MS = 15 * 60 * 1000;
+
+// Relay-level message types (app message types pass through untouched)
+const RELAY_TYPES = {
+    JOIN: 'RELAY_JOIN',            // To presenter: a client joined
+    LEAVE: 'RELAY_LEAVE',          // To presenter: a client left
+    PRESENTER: 'RELAY_PRESENTER',  // To clients: presenter (dis)connected
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.map': 'application/json',
+    '.wasm': 'application/wasm',
+    '.bcmap': 'application/octet-stream',
+    '.pfb': 'application/octet-stream',
+    '.ttf': 'font/ttf',
+};
+
+// Room code -> { presenter: connection|null, clients: Map<clientId, connection>, token: string|null,
+//   viewerCode: string|null, releaseTimer: Timeout|null }
+const rooms = new Map();
+let nextClientId = 1;
+
+/**
+ * Parse command line options
+ * @param {string[]} args
+ * @returns {{ port: number, host: string }}
+ */
+function parseArgs(args) {
+    const options = { port: 8765, host: '0.0.0.0' };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') {
+            options.port = parseInt(args[++i], 10) || options.port;
+        } else if (args[i] === '--host') {
+            options.host = args[++i] || options.host;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Check if a file may be served (app pages and asset directories, no dotfiles)
+ * @param {string} filePath - Absolute path
+ * @returns {boolean}
+ */
+function isPublicFile(filePath) {
+    if (!filePath.startsWith(ROOT + sep)) {
+        return false;
+    }
+
+    const parts = filePath.slice(ROOT.length + 1).split(sep);
+    if (parts.some(part => part.startsWith('.'))) {
+        return false;
+    }
+    return parts.length === 1 ? PUBLIC_PAGES.includes(parts[0]) : PUBLIC_DIRS.includes(parts[0]);
+}
+
+/**
+ * Serve a static file of the app
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function serveStatic(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        res.writeHead(400).end('Bad request');
+        return;
+    }
+
+    const filePath = join(ROOT, normalize(decoded));
+    if (!isPublicFile(filePath)) {
+        res.writeHead(403).end('Forbidden');
+        return;
+    }
+
+    try {
+        const data = await readFile(filePath);
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache',
+        });
+        res.end(data);
+    } catch (error) {
+        res.writeHead(404).end('Not found');
+    }
+}
+
+/**
+ * Get room, creating it on first use
+ * @param {string} code
+ * @returns {{ presenter: object|null, clients: Map<number, object> }}
+ */
+function getRoom(code) {
+    if (!rooms.has(code)) {
+        rooms.set(code, { presenter: null, clients: new Map(), token: null, viewerCode: null, releaseTimer: null });
+    }
+    return rooms.get(code);
+}
+
+/**
+ * Find the room a viewer code belongs to
+ * @param {string} viewerCode
+ * @returns {string|null} - Room code, null until its presenter connected once
+ */
+function findViewerRoom(viewerCode) {
+    for (const [code, room] of rooms) {
+        if (room.viewerCode === viewerCode) {
+            return code;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a presenter's claim on a room
+ * The first presenter sets the room's token and viewer code; later presenters
+ * (a reloaded tab) must bring the same token.
+ * @param {string} code - Room code
+ * @param {string} token - Presenter token
+ * @param {string} viewerCode
+ * @returns {boolean}
+ */
+function canPresent(code, token, viewerCode) {
+    const room = rooms.get(code);
+    if (room?.token && room.token !== token) {
+        return false;
+    }
+
+    const viewerRoom = findViewerRoom(viewerCode);
+    return viewerRoom === null || viewerRoom === code;
+}
+
+/**
+ * Refuse a WebSocket upgrade
+ * @param {import('node:net').Socket} socket
+ * @param {string} status - e.g. '403 Forbidden'
+ */
+function rejectUpgrade(socket, status) {
+    socket.end(`HTTP/1.1 ${status}\r\n\r\n`);
+}
+
+/**
+ * Send a JSON message if the connection exists
+ * @param {object|null} connection
+ * @param {object} message
+ */
+function sendJson(connection, message) {
+    if (connection) {
+        connection.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Forward a presenter message to its clients
+ * Envelope fields `to` (client ID) and `toRole` narrow the recipients.
+ * @param {{ clients: Map<number, object> }} room
+ * @param {string} data - Raw JSON text
+ */
+function forwardFromPresenter(room, data) {
+    let target = {};
+
+    try {
+        target = JSON.parse(data);
+    } catch (error) {
+        return;
+    }
+
+    room.clients.forEach((client, clientId) => {
+        if (target.to !== undefined && target.to !== clientId) {
+            return;
+        }
+        if (target.toRole !== undefined && target.toRole !== client.role) {
+            return;
+        }
+        client.send(data);
+    });
+}
+
+/**
+ * Attach a WebSocket connection to a room
+ * @param {object} connection - WebSocket connection
+ * @param {string} code - Room code
+ * @param {string} role - presenter, remote or viewer
+ * @param {{ token: string, viewerCode: string }} [claim] - Presenter token and viewer code (presenter only)
+ */
+function joinRoom(connection, code, role, claim = null) {
+    const room = getRoom(code);
+    connection.role = role;
+    connection.isAlive = true;
+    connection.on('pong', () => {
+        connection.isAlive = true;
+    });
+
+    if (role === 'presenter') {
+        clearTimeout(room.releaseTimer);
+        room.releaseTimer = null;
+        room.token = claim.token;
+        room.viewerCode = claim.viewerCode;
+
+        // A reloaded presenter (same token) replaces the old connection
+        const previous = room.presenter;
+        room.presenter = connection;
+        if (previous) {
+            previous.close(4000, 'Replaced by another presenter');
+        }
+
+        room.clients.forEach((client, clientId) => {
+            sendJson(client, { type: RELAY_TYPES.PRESENTER, payload: { connected: true } });
+            sendJson(connection, { type: RELAY_TYPES.JOIN, from: clientId, role: client.role, payload: {} });
+        });
+
+        connection.on('message', (data) => {
+            if (typeof data === 'string') {
+                forwardFromPresenter(room, data);
+            }
+        });
+
+        connection.on('close', () => {
+            if (room.presenter !== connection) {
+                return;
+            }
+            room.presenter = null;
+            room.clients.forEach((client) => {
+                sendJson(client, { type: RELAY_TYPES.PRESENTER, payload: { connected: false } });
+            });
+
+            room.releaseTimer = setTimeout(() => releaseRoom(code), CLAIM_GRACE_MS);
+            room.releaseTimer.unref();
+        });
+
+        console.log(`[${code}] presenter connected`);
+        return;
+    }
+
+    const clientId = nextClientId++;
+    room.clients.set(clientId, connection);
+
+    sendJson(connection, { type: RELAY_TYPES.PRESENTER, payload: { connected: room.presenter !== null } });
+    sendJson(room.presenter, { type: RELAY_TYPES.JOIN, from: clientId, role: role, payload: {} });
+
+    // Client messages only go to the presenter, tagged with the sender
+    connection.on('message', (data) => {
+        if (typeof data !== 'string') {
+            return;
+        }
+        try {
+            const { type, payload } = JSON.parse(data);
+            sendJson(room.presenter, { type, payload, from: clientId, role });
+        } catch (error) {
+            // Ignore malformed client messages
+        }
+    });
+
+    connection.on('close', () => {
+        room.clients.delete(clientId);
+        sendJson(room.presenter, { type: RELAY_TYPES.LEAVE, from: clientId, role: role, payload: {} });
+        removeRoomIfEmpty(code);
+        console.log(`[${code}] ${role} #${clientId} left`);
+    });
+
+    console.log(`[${code}] ${role} #${clientId} joined`);
+}
+
+/**
+ * Drop a presenter's claim on a room it left CLAIM_GRACE_MS ago
+ * @param {string} code
+ */
+function releaseRoom(code) {
+    const room = rooms.get(code);
+    if (!room || room.presenter) {
+        return;
+    }
+
+    room.token = null;
+    room.viewerCode = null;
+    room.releaseTimer = null;
+    removeRoomIfEmpty(code);
+    console.log(`[${code}] released`);
+}
+
+/**
+ * Forget a room once nobody is in it
+ * Claimed rooms are kept until released, so nobody else can claim the code while the presenter reloads.
+ * @param {string} code
+ */
+function removeRoomIfEmpty(code) {
+    const room = rooms.get(code);
+    if (room && !room.token && !room.presenter && room.clients.size === 0) {
+        rooms.delete(code);
+    }
+}
+
+/**
+ * Ping all connections and drop the ones that did not answer the last ping
+ */
+function pingAll() {
+    rooms.forEach((room) => {
+        [room.presenter, ...room.clients.values()].forEach((connection) => {
+            if (!connection) {
+                return;
+            }
+            if (!connection.isAlive) {
+                connection.close(1001, 'Ping timeout');
+                return;
+            }
+            connection.isAlive = false;
+            connection.ping();
+        });
+    });
+}
+
+/**
+ * Get URLs the relay can be reached at from other devices
+ * @param {number} port
+ * @returns {string[]}
+ */
+function getLanUrls(port) {
+    const urls = [];
+
+    Object.values(networkInterfaces()).flat().forEach((address) => {
+        if (address && address.family === 'IPv4' && !address.internal) {
+            urls.push(`http://${address.address}:${port}/`);
+        }
+    });
+
+    return urls;
+}
+
+/**
+ * Start the relay server
+ * @param {{ port: number, host: string }} options
+ * @returns {import('node:http').Server}
+ */
+export function startRelay(options) {
+    const server = createServer((req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405).end();
+            return;
+        }
+        serveStatic(req, res).catch(() => res.writeHead(500).end());
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        let code = (url.searchParams.get('room') || '').toUpperCase();
+        const role = url.searchParams.get('role');
+        const token = url.searchParams.get('token') || '';
+        const viewerCode = (url.searchParams.get('viewer') || '').toUpperCase();
+
+        if (url.pathname !== RELAY_PATH || !ROOM_PATTERN.test(code) || !ROLES.includes(role)) {
+            rejectUpgrade(socket, '400 Bad Request');
+            return;
+        }
+
+        if (role === 'presenter') {
+            if (!TOKEN_PATTERN.test(token) || !ROOM_PATTERN.test(viewerCode)) {
+                rejectUpgrade(socket, '400 Bad Request');
+                return;
+            }
+            if (!canPresent(code, token, viewerCode)) {
+                rejectUpgrade(socket, '403 Forbidden');
+                return;
+            }
+        } else if (role === 'viewer') {
+            // Viewers know the viewer code only (clients retry until the presenter is there)
+            code = findViewerRoom(code);
+            if (code === null) {
+                rejectUpgrade(socket, '404 Not Found');
+                return;
+            }
+        }
+
+        const connection = acceptWebSocket(req, socket);
+        if (connection) {
+            joinRoom(connection, code, role, role === 'presenter' ? { token, viewerCode } : null);
+        }
+    });
+
+    const pingTimer = setInterval(pingAll, PING_INTERVAL_MS);
+    server.on('close', () => clearInterval(pingTimer));
+
+    server.listen(options.port, options.host, () => {
+        // Port 0 picks a free port
+        const { port } = server.address();
+        console.log(`Beamer Presenter relay listening on port ${port}`);
+        console.log(`  Presenter: http://localhost:${port}/`);
+        getLanUrls(port).forEach((url) => {
+            console.log(`  LAN:       ${url}`);
+        });
+    });
+
+    return server;
+}
+
+// Run when started directly (not when imported)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    startRelay(parseArgs(process.argv.slice(2)));
+}
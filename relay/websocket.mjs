@@ -0,0 +1,306 @@
+/**
+ * Beamer Presenter - Relay WebSocket Module
+ * Minimal server-side WebSocket (RFC 6455) on top of node:http, no dependencies
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest accepted message (after reassembling fragments)
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA,
+};
+
+const CLOSE_CODES = {
+    NORMAL: 1000,
+    PROTOCOL_ERROR: 1002,
+    TOO_BIG: 1009,
+};
+
+/**
+ * Encode a single unmasked frame (server to client)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the next frame from a buffer
+ * Client frames must be masked.
+ * @param {Buffer} buffer
+ * @returns {{ frame: { fin: boolean, opcode: number, payload: Buffer }, rest: Buffer }|{ error: number }|null}
+ *   null if more data is needed
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (!masked) {
+        return { error: CLOSE_CODES.PROTOCOL_ERROR };
+    }
+
+    if (length === 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        const bigLength = buffer.readBigUInt64BE(2);
+        if (bigLength > BigInt(MAX_MESSAGE_BYTES)) {
+            return { error: CLOSE_CODES.TOO_BIG };
+        }
+        length = Number(bigLength);
+        offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_BYTES) {
+        return { error: CLOSE_CODES.TOO_BIG };
+    }
+
+    if (buffer.length < offset + 4 + length) {
+        return null;
+    }
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return {
+        frame: { fin, opcode, payload },
+        rest: buffer.subarray(offset + 4 + length),
+    };
+}
+
+/**
+ * Complete the WebSocket handshake for an HTTP upgrade request
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:stream').Duplex} socket
+ * @returns {EventEmitter|null} - Connection, or null if the request is not a valid upgrade
+ *   Emits 'message' (string|Buffer) and 'close'; has send(data) and close(code, reason).
+ */
+export function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket'
+        || req.headers['sec-websocket-version'] !== '13'
+        || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+
+    return createConnection(socket);
+}
+
+/**
+ * Wrap an upgraded socket as a WebSocket connection
+ * @param {import('node:stream').Duplex} socket
+ * @returns {EventEmitter}
+ */
+function createConnection(socket) {
+    const connection = new EventEmitter();
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentOpcode = null;
+    let fragmentBytes = 0;
+    let isClosed = false;
+
+    /**
+     * Write a frame if the socket is still open
+     * @param {number} opcode
+     * @param {Buffer} payload
+     */
+    const writeFrame = (opcode, payload) => {
+        if (!socket.destroyed) {
+            socket.write(encodeFrame(opcode, payload));
+        }
+    };
+
+    /**
+     * Send a text (string) or binary (Buffer) message
+     * @param {string|Buffer} data
+     */
+    connection.send = (data) => {
+        if (isClosed) {
+            return;
+        }
+        if (typeof data === 'string') {
+            writeFrame(OPCODES.TEXT, Buffer.from(data, 'utf8'));
+        } else {
+            writeFrame(OPCODES.BINARY, data);
+        }
+    };
+
+    /**
+     * Send a ping (keeps NAT mappings alive, detects dead peers)
+     */
+    connection.ping = () => {
+        if (!isClosed) {
+            writeFrame(OPCODES.PING, Buffer.alloc(0));
+        }
+    };
+
+    /**
+     * Close the connection
+     * @param {number} [code]
+     * @param {string} [reason]
+     */
+    connection.close = (code = CLOSE_CODES.NORMAL, reason = '') => {
+        if (isClosed) {
+            return;
+        }
+        isClosed = true;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        writeFrame(OPCODES.CLOSE, payload);
+        socket.end();
+        connection.emit('close');
+    };
+
+    /**
+     * Handle a decoded frame
+     * @param {{ fin: boolean, opcode: number, payload: Buffer }} frame
+     */
+    const handleFrame = ({ fin, opcode, payload }) => {
+        switch (opcode) {
+            case OPCODES.PING:
+                writeFrame(OPCODES.PONG, payload);
+                connection.emit('pong');
+                return;
+
+            case OPCODES.PONG:
+                connection.emit('pong');
+                return;
+
+            case OPCODES.CLOSE:
+                connection.close();
+                return;
+
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+                if (fragmentOpcode !== null) {
+                    connection.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unfinished message');
+                    return;
+                }
+                fragmentOpcode = opcode;
+                break;
+
+            case OPCODES.CONTINUATION:
+                if (fragmentOpcode === null) {
+                    connection.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unexpected continuation');
+                    return;
+                }
+                break;
+
+            default:
+                connection.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unknown opcode');
+                return;
+        }
+
+        fragments.push(payload);
+        fragmentBytes += payload.length;
+
+        if (fragmentBytes > MAX_MESSAGE_BYTES) {
+            connection.close(CLOSE_CODES.TOO_BIG, 'Message too big');
+            return;
+        }
+
+        if (!fin) {
+            return;
+        }
+
+        const data = Buffer.concat(fragments);
+        const isText = fragmentOpcode === OPCODES.TEXT;
+        fragments = [];
+        fragmentOpcode = null;
+        fragmentBytes = 0;
+
+        connection.emit('message', isText ? data.toString('utf8') : data);
+    };
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (!isClosed) {
+            const result = decodeFrame(buffer);
+            if (result === null) {
+                break;
+            }
+            if (result.error) {
+                connection.close(result.error);
+                break;
+            }
+            buffer = result.rest;
+            handleFrame(result.frame);
+        }
+    });
+
+    socket.on('close', () => {
+        if (!isClosed) {
+            isClosed = true;
+            connection.emit('close');
+        }
+    });
+
+    socket.on('error', () => {
+        socket.destroy();
+    });
+
+    return connection;
+}
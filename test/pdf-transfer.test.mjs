@@ -0,0 +1,99 @@
+/**
+ * Beamer Presenter - PDF Transfer Tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDF_CHUNK_SIZE, crc32, describePdf, sendPdfChunks, createPdfReceiver } from '../js/pdf-transfer.js';
+
+/**
+ * Make a PDF-sized buffer of a few chunks (pseudo-random, so no two chunks match)
+ * @returns {ArrayBuffer}
+ */
+function makeData() {
+    const bytes = new Uint8Array(PDF_CHUNK_SIZE * 2 + 1000);
+    let seed = 1;
+    bytes.forEach((_, i) => {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        bytes[i] = seed >>> 24;
+    });
+    return bytes.buffer;
+}
+
+/**
+ * Flip one byte of a chunk, keeping its checksum
+ * @param {object} chunk
+ * @returns {object}
+ */
+function corrupt(chunk) {
+    const bytes = Buffer.from(chunk.data, 'base64');
+    bytes[100] ^= 0xff;
+    return { ...chunk, data: bytes.toString('base64') };
+}
+
+/**
+ * Cut data into the chunk messages the presenter sends
+ * @param {ArrayBuffer} data
+ * @returns {Promise<object[]>}
+ */
+async function getChunks(data) {
+    const chunks = [];
+    await sendPdfChunks(data, 't1', chunk => chunks.push(chunk) > 0, () => 0);
+    return chunks;
+}
+
+test('crc32 matches the IEEE check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('reassembles a transfer', async () => {
+    const data = makeData();
+    const receiver = createPdfReceiver();
+
+    receiver.begin({ transferId: 't1', ...describePdf(data) });
+    (await getChunks(data)).forEach(chunk => receiver.addChunk(chunk));
+
+    assert.equal(receiver.getProgress(), 1);
+    assert.ok(Buffer.from(receiver.finish('t1').data).equals(Buffer.from(data)));
+});
+
+test('asks again for a corrupted chunk', async () => {
+    const data = makeData();
+    const receiver = createPdfReceiver();
+    const chunks = await getChunks(data);
+
+    receiver.begin({ transferId: 't1', ...describePdf(data) });
+    chunks.forEach((chunk, index) => {
+        receiver.addChunk(index === 1 ? corrupt(chunk) : chunk);
+    });
+    assert.deepEqual(receiver.finish('t1'), { missing: [1] });
+
+    receiver.addChunk(chunks[1]);
+    assert.ok(receiver.finish('t1').data);
+});
+
+test('asks for everything again on a whole-file CRC mismatch', async () => {
+    const data = makeData();
+    const receiver = createPdfReceiver();
+    const description = describePdf(data);
+
+    receiver.begin({ transferId: 't1', ...description, crc: (description.crc + 1) >>> 0 });
+    (await getChunks(data)).forEach(chunk => receiver.addChunk(chunk));
+
+    assert.deepEqual(receiver.finish('t1'), { missing: [0, 1, 2] });
+    assert.equal(receiver.getProgress(), 0);
+});
+
+test('ignores chunks of other transfers and out of range', async () => {
+    const data = makeData();
+    const receiver = createPdfReceiver();
+    const [chunk] = await getChunks(data);
+
+    receiver.begin({ transferId: 't1', ...describePdf(data) });
+    receiver.addChunk({ ...chunk, transferId: 't0' });
+    receiver.addChunk({ ...chunk, index: 7 });
+
+    assert.equal(receiver.getProgress(), 0);
+    assert.equal(receiver.finish('t0'), null);
+});
@@ -0,0 +1,51 @@
+/**
+ * Beamer Presenter - pdfpc Sidecar Tests
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parsePdfpc } from '../js/pdfpc.js';
+
+const FIXTURE = new URL('./fixtures/talk.pdfpc', import.meta.url);
+
+test('reads a pdfpc file as pdfpc writes it', async () => {
+    const sidecar = parsePdfpc(await readFile(FIXTURE, 'utf8'));
+
+    assert.equal(sidecar.location, 'right');
+    assert.equal(sidecar.duration, 20 * 60 * 1000);
+    assert.equal(sidecar.endTime, '10:45');
+    assert.equal(sidecar.lastMinutes, 3);
+    assert.equal(sidecar.noteFontSize, 24);
+    assert.deepEqual([...sidecar.notes.keys()], [1, 3, 5]);
+    assert.equal(sidecar.notes.get(1), 'Welcome everyone.\nIntroduce the team.');
+    assert.deepEqual([...sidecar.hiddenPages], [4]);
+    assert.deepEqual(sidecar.pages.map(({ overlay }) => overlay), [0, 0, 1, 0, 0]);
+});
+
+test('still reads snake_case settings', () => {
+    const sidecar = parsePdfpc(JSON.stringify({ note_position: 'bottom', end_time: '9:30', last_minutes: 5, note_font_size: 18 }));
+
+    assert.equal(sidecar.location, 'bottom');
+    assert.equal(sidecar.endTime, '9:30');
+    assert.equal(sidecar.lastMinutes, 5);
+    assert.equal(sidecar.noteFontSize, 18);
+});
+
+test('maps split and ignores out-of-range values', () => {
+    assert.equal(parsePdfpc('{"split": 0.6}').split, 0.6);
+    assert.equal(parsePdfpc('{"split": 60}').split, null);
+    assert.equal(parsePdfpc('{}').split, null);
+});
+
+test('skips page entries that are not objects', () => {
+    const sidecar = parsePdfpc('{"pages": [null, {"idx": 1, "note": "Kept"}, 3, "x"]}');
+
+    assert.deepEqual(sidecar.pages.map(({ page }) => page), [2]);
+    assert.equal(sidecar.notes.get(2), 'Kept');
+});
+
+test('rejects legacy text sidecars', () => {
+    assert.throws(() => parsePdfpc('[duration]\n20\n'), /legacy text format/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Beamer Presenter - Relay Server Tests
+ * Starts the relay on a free port. Run with: node --test test/
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { once } from 'node:events';
+import { startRelay } from '../relay/server.mjs';
+
+const TOKEN = 'a'.repeat(32);
+const OTHER_TOKEN = 'b'.repeat(32);
+
+let server;
+let port;
+
+// Upgraded sockets, closed before the relay stops
+const sockets = [];
+
+/**
+ * GET a path from the relay
+ * @param {string} path - Sent as is (not normalized)
+ * @returns {Promise<number>} - Status code
+ */
+function getStatus(path) {
+    return new Promise((resolve, reject) => {
+        request({ port, path, host: '127.0.0.1' }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        }).on('error', reject).end();
+    });
+}
+
+/**
+ * Open a relay WebSocket
+ * @param {Object<string, string>} params - Query parameters
+ * @returns {Promise<number>} - 101 if accepted, else the status the relay refused with
+ */
+function connect(params) {
+    return new Promise((resolve, reject) => {
+        const req = request({
+            port,
+            host: '127.0.0.1',
+            path: `/relay?${new URLSearchParams(params)}`,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+            },
+        });
+        req.on('upgrade', (res, socket) => {
+            sockets.push(socket);
+            resolve(101);
+        });
+        req.on('response', (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+before(async () => {
+    server = startRelay({ port: 0, host: '127.0.0.1' });
+    await once(server, 'listening');
+    port = server.address().port;
+});
+
+after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+});
+
+test('serves the app pages and assets', async () => {
+    assert.equal(await getStatus('/'), 200);
+    assert.equal(await getStatus('/audience.html'), 200);
+    assert.equal(await getStatus('/js/app.js'), 200);
+    assert.equal(await getStatus('/js/missing.js'), 404);
+});
+
+test('refuses everything else in the repository', async () => {
+    for (const path of ['/.git/HEAD', '/js/../.git/config', '/relay/server.mjs', '/README.md', '/test/pdfpc.test.mjs', '/%2e%2e/%2e%2e/etc/passwd', '/js/%2e%2e/.git/HEAD']) {
+        assert.equal(await getStatus(path), 403, path);
+    }
+});
+
+test('answers malformed escapes with 400', async () => {
+    assert.equal(await getStatus('/%E0%A4%A'), 400);
+});
+
+test('lets only the token holder present in a room', async () => {
+    const claim = { room: 'JOIN01', role: 'presenter', token: TOKEN, viewer: 'VIEW01' };
+
+    assert.equal(await connect(claim), 101);
+    assert.equal(await connect({ ...claim, token: OTHER_TOKEN, viewer: 'VIEW02' }), 403);
+    assert.equal(await connect({ ...claim, token: '' }), 400);
+
+    // A reloaded presenter brings the same token
+    assert.equal(await connect(claim), 101);
+});
+
+test('keeps viewer codes to their room', async () => {
+    assert.equal(await connect({ room: 'JOIN02', role: 'presenter', token: TOKEN, viewer: 'VIEW03' }), 101);
+    assert.equal(await connect({ room: 'JOIN03', role: 'presenter', token: OTHER_TOKEN, viewer: 'VIEW03' }), 403);
+
+    assert.equal(await connect({ room: 'VIEW03', role: 'viewer' }), 101);
+    assert.equal(await connect({ room: 'JOIN02', role: 'viewer' }), 404);
+    assert.equal(await connect({ room: 'JOIN02', role: 'remote' }), 101);
+});
+
+test('rejects unknown roles and bad room codes', async () => {
+    assert.equal(await connect({ room: 'JOIN04', role: 'admin' }), 400);
+    assert.equal(await connect({ room: 'x', role: 'remote' }), 400);
+});